@@ -0,0 +1,24 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Authentication settings shared by the login routes and the auth middleware
+module.exports = {
+  JWT_SECRET: process.env.JWT_SECRET || 'your_secret_key', // Use env var in production
+  // Lifetime of access tokens (jsonwebtoken format, e.g. "15m")
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Lifetime of a session and its refresh tokens, in days
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7,
+  // Lifetime of a self-service password reset link, in minutes
+  PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  // Lifetime of the link sent to set the password of a new account, in hours
+  INVITE_TTL_HOURS: Number(process.env.INVITE_TTL_HOURS) || 72,
+  // Lifetime of the challenge token between the password and the TOTP code
+  MFA_CHALLENGE_TTL: process.env.MFA_CHALLENGE_TTL || '5m',
+  // Issuer name shown by authenticator apps
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'Bed Management',
+  // Frontend page receiving the reset token as ?token=
+  PASSWORD_RESET_URL:
+    process.env.PASSWORD_RESET_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password`
+};
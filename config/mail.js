@@ -0,0 +1,13 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Outgoing mail settings used by lib/mailer.js
+module.exports = {
+  // "none" (sends nothing), "console" (logs the message in development), "file" (one JSON file per message) or a transport registered with registerTransport
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'none',
+  MAIL_FROM: process.env.MAIL_FROM || 'no-reply@bed-management.local',
+  // Directory of the file transport
+  MAIL_DIR: process.env.MAIL_DIR || path.join(__dirname, '..', 'mail')
+};
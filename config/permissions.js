@@ -0,0 +1,100 @@
+const { ROLES, ROLE_NAMES, CLEANING_ROLES, TECHNICAL_ROLES, CARE_ROLES } = require('./roles');
+
+const EVERYONE = ROLE_NAMES;
+const ADMINS = [ROLES.ADMIN];
+const SUPERVISORS = [ROLES.ADMIN, ROLES.MANAGER];
+const TASK_LEADS = [ROLES.RESPONSABLE_ENTRETIEN, ROLES.RESPONSABLE_TECHNIQUE];
+const TASK_WORKERS = [...CLEANING_ROLES, ...TECHNICAL_ROLES];
+
+// Permission matrix: "resource:action" -> roles granted.
+// Routes check it with middleware/authorize.js; finer rules (status graph,
+// task type, authorized services) are still enforced by the handlers.
+const PERMISSIONS = {
+  // Reference data
+  'secteurs:read': EVERYONE,
+  'secteurs:create': ADMINS,
+  'secteurs:update': ADMINS,
+  'secteurs:delete': ADMINS,
+  'services:read': EVERYONE,
+  'services:create': ADMINS,
+  // Every role but Viewer may update the services in its SERVICES_AUTORISES (checked by the route)
+  'services:update': [...SUPERVISORS, ...CARE_ROLES, ...TASK_WORKERS],
+  'services:delete': ADMINS,
+  'chambres:read': EVERYONE,
+  'chambres:create': ADMINS,
+  'chambres:update': ADMINS,
+  'chambres:delete': ADMINS,
+  'statuts:read': EVERYONE,
+
+  // Beds
+  'lits:read': EVERYONE,
+  'lits:create': ADMINS,
+  'lits:update': [...SUPERVISORS, ...CARE_ROLES],
+  'lits:update-status': ROLE_NAMES.filter((role) => role !== ROLES.VIEWER),
+  'lits:transfer': [...SUPERVISORS, ...CARE_ROLES],
+  'lits:recommend': [...SUPERVISORS, ...CARE_ROLES],
+  'lits:delete': ADMINS,
+
+  // Patient stays
+  'admissions:read': [...SUPERVISORS, ...CARE_ROLES, ROLES.VIEWER],
+  'admissions:write': [...SUPERVISORS, ...CARE_ROLES],
+
+  // Cleaning and maintenance work
+  'tasks:read': EVERYONE,
+  'tasks:work': TASK_WORKERS,
+  'tasks:update': [...SUPERVISORS, ...TASK_WORKERS],
+  'tasks:assign': [...SUPERVISORS, ...TASK_LEADS],
+  'schedule:read': EVERYONE,
+  'maintenance-plans:read': EVERYONE,
+  'maintenance-plans:write': [...SUPERVISORS, ROLES.RESPONSABLE_TECHNIQUE],
+
+  // Monitoring
+  'dashboard:read': EVERYONE,
+  'reports:read': [...SUPERVISORS, ...TASK_LEADS],
+  'events:stream': EVERYONE,
+  'menus:read': EVERYONE,
+
+  // Administration
+  'settings:read': EVERYONE,
+  'settings:update': ADMINS,
+  'utilisateurs:read': [...SUPERVISORS, ...TASK_LEADS],
+  'utilisateurs:create': ADMINS,
+  'utilisateurs:update': ADMINS,
+  'utilisateurs:delete': ADMINS,
+  'utilisateurs:unlock': ADMINS,
+  'utilisateurs:reset-password': ADMINS,
+  'utilisateurs:reset-mfa': ADMINS,
+  'sessions:manage-own': EVERYONE,
+  'sessions:manage-all': ADMINS,
+  'mfa:manage-own': EVERYONE,
+  'auth-events:read': ADMINS,
+
+  // Audit trail of the write operations
+  'audit:read': ADMINS
+};
+
+// Every role in the matrix must exist in the registry
+Object.entries(PERMISSIONS).forEach(([permission, roles]) => {
+  roles.forEach((role) => {
+    if (!ROLE_NAMES.includes(role)) {
+      throw new Error(`Unknown role "${role}" in permission ${permission}`);
+    }
+  });
+});
+
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// Sorted permissions granted to a role
+function getPermissionsForRole(role) {
+  return Object.keys(PERMISSIONS)
+    .filter((permission) => PERMISSIONS[permission].includes(role))
+    .sort();
+}
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  getPermissionsForRole
+};
@@ -0,0 +1,34 @@
+// Role registry: the single list of roles used by Utilisateur.ROLE,
+// Menu.permission and the permission matrix (config/permissions.js)
+const ROLES = {
+  ADMIN: 'Admin',
+  USER: 'User',
+  VIEWER: 'Viewer',
+  MANAGER: 'Manager',
+  MEDECIN: 'Medecin',
+  AGENT_ENTRETIEN: "Agent d'entretien",
+  RESPONSABLE_ENTRETIEN: "Responsabled'entretien",
+  AGENT_TECHNIQUE: 'Agent technique',
+  RESPONSABLE_TECHNIQUE: 'Responsable technique'
+};
+
+const ROLE_NAMES = Object.values(ROLES);
+
+// Roles working on cleaning (status 3) and maintenance (status 4)
+const CLEANING_ROLES = [ROLES.AGENT_ENTRETIEN, ROLES.RESPONSABLE_ENTRETIEN];
+const TECHNICAL_ROLES = [ROLES.AGENT_TECHNIQUE, ROLES.RESPONSABLE_TECHNIQUE];
+
+// Care staff working with patients and beds of their services
+const CARE_ROLES = [ROLES.USER, ROLES.MEDECIN];
+
+// Roles not restricted to their SERVICES_AUTORISES
+const SCOPE_BYPASS_ROLES = [ROLES.ADMIN, ROLES.MANAGER];
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  CLEANING_ROLES,
+  TECHNICAL_ROLES,
+  CARE_ROLES,
+  SCOPE_BYPASS_ROLES
+};
@@ -29,9 +29,19 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
 - CAPA_REELLE (Number): Real capacity
 - ROR (Boolean): ROR status
 
+### Rooms (Chambres)
+- ID_CHAMBRE (String, unique): Room identifier (ID_SERVICE-NUMERO)
+- NUMERO (String): Room number
+- ETAGE (Number): Floor
+- ID_SERVICE (String): Reference to service
+- CAPACITE (Number): Maximum number of beds
+- ISOLEMENT (Boolean): Isolation capability
+- GENDER (String): Gender constraint set by the current occupants
+
 ### Beds (Lits)
 - ID_LIT (String, unique): Bed identifier
 - ID_SERVICE (String): Reference to service
+- ID_CHAMBRE (String): Reference to room
 - ID_STATUT (Number): Reference to status
 - MAJ_STATUT (Date): Last status update
 - ACTIF (Boolean): Active status
@@ -43,10 +53,13 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
 ### Users (Utilisateurs)
 - ID_UTILISATEUR (String, unique): User identifier
 - NOM (String): User name
-- ROLE (String): User role (Admin/User/Viewer/Manager)
+- ROLE (String): User role, from the registry in config/roles.js
 - SERVICES_AUTORISES (Array): Authorized services
 - ACTIF (Boolean): Active status
 - EMAIL (String, unique): User email
+- password (String): scrypt hash, never returned by the API
+- FORCE_PASSWORD_CHANGE (Boolean): Password must be changed at next login
+- TOTP_ENABLED (Boolean): TOTP second factor enrolled (secret and recovery code hashes never returned)
 
 ### Status History (HistoriqueStatut)
 - ID_HIST (Number, unique): History identifier
@@ -56,6 +69,78 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
 - AUTEUR (String): Author
 - COMMENTAIRE (String): Comment
 - STATUT_PRECEDENT (Number): Previous status
+- ID_TRANSFERT (String): Links the two records of a bed-to-bed transfer
+- ID_LIT_LIE (String): Bed on the other side of the transfer
+
+### Admissions (Admission)
+- PATIENT_REF (String): Pseudonymous patient reference
+- ID_LIT (String): Current bed
+- ID_SERVICE (String): Admitting service
+- DATE_ADMISSION (Date): Admission time
+- DATE_SORTIE_PREVUE (Date): Expected discharge
+- DATE_SORTIE (Date): Actual discharge
+- STATUT (String): EN_COURS or SORTIE
+- TRANSFERTS (Array): Bed-to-bed moves during the stay
+
+### Tasks (Task)
+- bedId (String): Reference to bed
+- ID_SERVICE (String): Service of the bed
+- taskType (Number): 3 (cleaning) or 4 (maintenance)
+- taskCategory (Number): Cleaning category (SUB_ID_STATUT)
+- isUrgent / isDone (Boolean): Urgency and completion flags
+- assignedTo / assignedBy (String): ID_UTILISATEUR of the agent and of the assigning user
+- startedAt (Date): When the agent started the task
+- completedBy (String): ID_UTILISATEUR of the user who completed the task
+- slaDueAt (Date): SLA deadline; escalatedAt (Date) once it is missed
+
+### Maintenance Plans (MaintenancePlan)
+- serviceId / bedId (String): Every active bed of a service, or one bed
+- frequency (String): once or weekly (every intervalWeeks weeks)
+- startDate / endDate (Date): First occurrence and optional end
+- horizonDays (Number): How far ahead tasks are generated
+- blockBed (Boolean): Move the bed to "En maintenance" when the slot starts
+
+### Sessions (Session)
+- ID_UTILISATEUR (String): Session owner
+- TOKEN_HASH (String): SHA-256 of the current refresh token (rotated on every refresh)
+- LAST_USED_AT / EXPIRES_AT (Date): Last refresh and end of the session
+- REVOKED_AT (Date) / REVOKED_REASON (String): Set on logout, password change or deactivation
+
+### Auth Events (AuthEvent)
+- TYPE (String): login_success, login_failure, login_throttled, account_locked, ip_locked, account_unlocked, token_refreshed, refresh_token_reused, logout, password_changed, sessions_revoked, password_reset_requested, password_reset_link_sent, password_reset, mfa_challenge_issued, mfa_enabled, mfa_disabled, mfa_recovery_code_used, recovery_codes_regenerated, mfa_reset
+- EMAIL / ID_UTILISATEUR (String): Account concerned
+- ACTEUR (String): Admin acting on another account
+- IP / USER_AGENT (String): Client
+- DATE (Date): Timestamp
+
+### Password Reset Tokens (PasswordResetToken)
+- ID_UTILISATEUR (String): Account concerned
+- TOKEN_HASH (String): SHA-256 of the emailed token
+- PURPOSE (String): reset (requested by the user) or invite (new account)
+- CREATED_BY (String): Admin who sent the link
+- EXPIRES_AT / USED_AT (Date): Single use before expiry
+
+### Audit Logs (AuditLog)
+- ACTEUR / ACTEUR_NOM / ROLE (String): Authenticated user who made the change
+- ACTION (String): create, update, delete, update-status, transfer, discharge, claim, assign, unlock, revoke-sessions, send-reset-link, reset-mfa
+- ENTITE / ID_ENTITE (String): Resource and identifier (lits / L001...)
+- CHANGES (Object): Changed fields with their before and after values, secrets redacted
+- METHOD / PATH / IP / USER_AGENT (String): Request
+- DATE (Date): Timestamp
+
+### Census Snapshots (CensusSnapshot)
+- GRANULARITY (String): hour or day
+- DATE (Date): Start of the hour or day; TAKEN_AT when the beds were counted
+- ID_SERVICE (String) / ID_SECTEUR (Number): Service and its sector at that time
+- CAPA_ARCHI / CAPA_REELLE (Number): Active beds and active free beds
+- STATUTS (Object): Active beds per ID_STATUT
+- EXPIRES_AT (Date): Removal of hourly snapshots
+
+### Status Transitions (StatutTransition)
+- FROM_STATUT (Number): Status the bed leaves
+- TO_STATUT (Number): Status the bed enters
+- ROLES (Array): Roles allowed to use the transition (empty = all roles)
+- ACTIF (Boolean): Active status
 
 ## Setup Instructions
 
@@ -108,6 +193,90 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
             }
           }
         },
+        TransitionError: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'string',
+              description: 'Error message'
+            },
+            from: {
+              $ref: '#/components/schemas/Statut'
+            },
+            to: {
+              $ref: '#/components/schemas/Statut'
+            },
+            allowedTransitions: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Statut'
+              },
+              description: 'Statuses reachable from the current status for the user role'
+            }
+          }
+        },
+        Admission: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Admission identifier'
+            },
+            PATIENT_REF: {
+              type: 'string',
+              description: 'Pseudonymous patient reference'
+            },
+            ID_LIT: {
+              type: 'string',
+              description: 'Current bed'
+            },
+            ID_SERVICE: {
+              type: 'string',
+              description: 'Admitting service'
+            },
+            GENDER: {
+              type: 'string',
+              description: 'Patient gender'
+            },
+            DATE_ADMISSION: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Admission time'
+            },
+            DATE_SORTIE_PREVUE: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Expected discharge'
+            },
+            DATE_SORTIE: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Actual discharge'
+            },
+            STATUT: {
+              type: 'string',
+              enum: ['EN_COURS', 'SORTIE'],
+              description: 'Admission status'
+            },
+            DUREE_SEJOUR: {
+              type: 'number',
+              description: 'Length of stay in minutes (up to now while ongoing)'
+            },
+            TRANSFERTS: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ID_TRANSFERT: { type: 'string' },
+                  ID_LIT_ORIGINE: { type: 'string' },
+                  ID_LIT_DESTINATION: { type: 'string' },
+                  DATE_HEURE: { type: 'string', format: 'date-time' },
+                  AUTEUR: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
         Secteur: {
           type: 'object',
           properties: {
@@ -154,6 +323,43 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
             }
           }
         },
+        Chambre: {
+          type: 'object',
+          properties: {
+            ID_CHAMBRE: {
+              type: 'string',
+              description: 'Room identifier (ID_SERVICE-NUMERO)'
+            },
+            NUMERO: {
+              type: 'string',
+              description: 'Room number'
+            },
+            ETAGE: {
+              type: 'number',
+              description: 'Floor'
+            },
+            ID_SERVICE: {
+              type: 'string',
+              description: 'Reference to service'
+            },
+            CAPACITE: {
+              type: 'number',
+              description: 'Maximum number of beds'
+            },
+            ISOLEMENT: {
+              type: 'boolean',
+              description: 'Isolation capability'
+            },
+            GENDER: {
+              type: 'string',
+              description: 'Gender constraint set by the current occupants'
+            },
+            ACTIF: {
+              type: 'boolean',
+              description: 'Active status'
+            }
+          }
+        },
         Lit: {
           type: 'object',
           properties: {
@@ -165,6 +371,10 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
               type: 'string',
               description: 'Reference to service'
             },
+            ID_CHAMBRE: {
+              type: 'string',
+              description: 'Reference to room'
+            },
             ID_STATUT: {
               type: 'number',
               description: 'Reference to status'
@@ -224,6 +434,25 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
               type: 'string',
               format: 'email',
               description: 'User email'
+            },
+            password: {
+              type: 'string',
+              writeOnly: true,
+              description: 'Password, never returned and ignored by POST/PUT /utilisateurs: set by the user with change-password or a reset link, stored as a scrypt hash'
+            },
+            FORCE_PASSWORD_CHANGE: {
+              type: 'boolean',
+              description: 'Password must be changed at next login'
+            },
+            TOTP_ENABLED: {
+              type: 'boolean',
+              readOnly: true,
+              description: 'TOTP second factor enrolled (managed through /me/totp)'
+            },
+            PASSWORD_CHANGED_AT: {
+              type: 'string',
+              format: 'date-time',
+              readOnly: true
             }
           }
         },
@@ -258,6 +487,609 @@ This API provides endpoints for managing hospital beds, services, sectors, and t
             STATUT_PRECEDENT: {
               type: 'number',
               description: 'Previous status'
+            },
+            ID_TRANSFERT: {
+              type: 'string',
+              description: 'Links the two records of a bed-to-bed transfer'
+            },
+            ID_LIT_LIE: {
+              type: 'string',
+              description: 'Bed on the other side of the transfer'
+            }
+          }
+        },
+        MaintenancePlan: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Plan identifier'
+            },
+            name: {
+              type: 'string'
+            },
+            serviceId: {
+              type: 'string',
+              description: 'Every active bed of this service (or use bedId)'
+            },
+            bedId: {
+              type: 'string',
+              description: 'Single bed (or use serviceId)'
+            },
+            frequency: {
+              type: 'string',
+              enum: ['once', 'weekly']
+            },
+            intervalWeeks: {
+              type: 'number',
+              description: 'Weeks between occurrences (weekly plans)'
+            },
+            startDate: {
+              type: 'string',
+              format: 'date-time',
+              description: 'First occurrence; its time of day is kept within maintenance hours'
+            },
+            endDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            horizonDays: {
+              type: 'number',
+              description: 'How far ahead tasks are generated'
+            },
+            blockBed: {
+              type: 'boolean',
+              description: 'Move the bed to "En maintenance" when the slot starts'
+            },
+            notes: {
+              type: 'string'
+            },
+            isActive: {
+              type: 'boolean'
+            },
+            lastGeneratedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last occurrence tasks were generated for'
+            },
+            skippedOccurrences: {
+              type: 'array',
+              description: 'Latest occurrences (at most 50) left without tasks because their beds did not fit in the maintenance slots',
+              items: {
+                type: 'object',
+                properties: {
+                  date: { type: 'string', format: 'date-time' },
+                  ID_LIT: { type: 'string', description: 'First bed that did not fit' },
+                  reason: { type: 'string' },
+                  skippedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            }
+          }
+        },
+        ScheduleSlots: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date'
+            },
+            start: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Start of working hours'
+            },
+            end: {
+              type: 'string',
+              format: 'date-time',
+              description: 'End of working hours'
+            },
+            interval: {
+              type: 'number',
+              description: 'Slot length in minutes'
+            },
+            capacity: {
+              type: 'number',
+              description: 'Beds per slot (active agents)'
+            },
+            slots: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  start: { type: 'string', format: 'date-time' },
+                  end: { type: 'string', format: 'date-time' },
+                  capacity: { type: 'number' },
+                  booked: { type: 'number' },
+                  available: { type: 'number' },
+                  beds: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Beds booked in the slot'
+                  }
+                }
+              }
+            }
+          }
+        },
+        Task: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Task identifier'
+            },
+            bedId: {
+              type: 'string',
+              description: 'Reference to bed'
+            },
+            serviceName: {
+              type: 'string',
+              description: 'Service of the bed'
+            },
+            taskType: {
+              type: 'number',
+              description: '3 (cleaning) or 4 (maintenance)'
+            },
+            taskCategory: {
+              type: 'number',
+              description: 'Cleaning category (SUB_ID_STATUT)'
+            },
+            creationDate: {
+              type: 'string',
+              format: 'date-time'
+            },
+            taskCompletionDateTime: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Scheduled time of the task'
+            },
+            bedFor: {
+              type: 'string',
+              description: 'Patient the bed is prepared for'
+            },
+            gender: {
+              type: 'string'
+            },
+            isUrgent: {
+              type: 'boolean'
+            },
+            isDone: {
+              type: 'boolean'
+            },
+            ID_SERVICE: {
+              type: 'string',
+              description: 'Service of the bed, used for service scoping'
+            },
+            assignedTo: {
+              type: 'string',
+              description: 'ID_UTILISATEUR of the assigned agent'
+            },
+            assignedBy: {
+              type: 'string',
+              description: 'ID_UTILISATEUR of the user who assigned the task'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the agent started the task'
+            },
+            completedBy: {
+              type: 'string',
+              description: 'ID_UTILISATEUR of the user who completed the task'
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            slaDueAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'SLA deadline from the settings'
+            },
+            escalatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the missed SLA was escalated'
+            },
+            planId: {
+              type: 'string',
+              description: 'Maintenance plan that generated the task'
+            },
+            bedBlockedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the plan moved the bed to "En maintenance"'
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Session identifier (sid claim of the access token)'
+            },
+            ID_UTILISATEUR: {
+              type: 'string'
+            },
+            USER_AGENT: {
+              type: 'string'
+            },
+            IP: {
+              type: 'string'
+            },
+            LAST_USED_AT: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last login or refresh'
+            },
+            EXPIRES_AT: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            current: {
+              type: 'boolean',
+              description: 'Session of the access token used for the request'
+            }
+          }
+        },
+        AuthEvent: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            TYPE: {
+              type: 'string',
+              enum: ['login_success', 'login_failure', 'login_throttled', 'account_locked', 'ip_locked', 'account_unlocked', 'token_refreshed', 'refresh_token_reused', 'logout', 'password_changed', 'sessions_revoked', 'password_reset_requested', 'password_reset_link_sent', 'password_reset', 'mfa_challenge_issued', 'mfa_enabled', 'mfa_disabled', 'mfa_recovery_code_used', 'recovery_codes_regenerated', 'mfa_reset']
+            },
+            EMAIL: {
+              type: 'string',
+              description: 'Email of the account (as typed for unknown accounts)'
+            },
+            ID_UTILISATEUR: {
+              type: 'string'
+            },
+            ACTEUR: {
+              type: 'string',
+              description: 'ID_UTILISATEUR of the Admin acting on the account'
+            },
+            IP: {
+              type: 'string'
+            },
+            USER_AGENT: {
+              type: 'string'
+            },
+            DETAILS: {
+              type: 'object',
+              description: 'Reason, failure count, lockout end, session id...'
+            },
+            DATE: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        BedAnalytics: {
+          type: 'object',
+          properties: {
+            bedCount: {
+              type: 'integer'
+            },
+            bedHours: {
+              type: 'number',
+              description: 'Bed time in the range'
+            },
+            availableBedHours: {
+              type: 'number',
+              description: 'Bed time not "Hors service"'
+            },
+            occupiedBedHours: {
+              type: 'number'
+            },
+            occupancyRate: {
+              type: 'number',
+              description: 'occupiedBedHours / availableBedHours (0 to 1)'
+            },
+            admissions: {
+              type: 'integer',
+              description: 'Transitions into "Occupé"'
+            },
+            turnover: {
+              type: 'number',
+              description: 'Admissions per bed'
+            },
+            statusTimes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ID_STATUT: {
+                    type: 'integer'
+                  },
+                  LIB_STATUT: {
+                    type: 'string'
+                  },
+                  totalHours: {
+                    type: 'number'
+                  },
+                  share: {
+                    type: 'number',
+                    description: 'Share of the bed time (0 to 1)'
+                  },
+                  stays: {
+                    type: 'integer',
+                    description: 'Stays that started and ended inside the range'
+                  },
+                  averageMinutes: {
+                    type: 'number',
+                    nullable: true
+                  }
+                }
+              }
+            },
+            dischargeToAvailable: {
+              type: 'object',
+              properties: {
+                count: {
+                  type: 'integer'
+                },
+                averageMinutes: {
+                  type: 'number',
+                  nullable: true
+                },
+                medianMinutes: {
+                  type: 'number',
+                  nullable: true
+                },
+                pending: {
+                  type: 'integer',
+                  description: 'Discharged beds not yet free at the end of the range'
+                }
+              }
+            }
+          }
+        },
+        TaskPerformance: {
+          type: 'object',
+          properties: {
+            created: {
+              type: 'integer',
+              description: 'Tasks created in the range'
+            },
+            completed: {
+              type: 'integer',
+              description: 'Tasks completed in the range'
+            },
+            completionMedianMinutes: {
+              type: 'number',
+              nullable: true,
+              description: 'From the SLA start (scheduled time, else creation) to completion'
+            },
+            completionP90Minutes: {
+              type: 'number',
+              nullable: true
+            },
+            workMedianMinutes: {
+              type: 'number',
+              nullable: true,
+              description: 'From the claim (startedAt) to completion'
+            },
+            workP90Minutes: {
+              type: 'number',
+              nullable: true
+            },
+            slaTracked: {
+              type: 'integer',
+              description: 'Completed tasks with an SLA deadline'
+            },
+            slaBreaches: {
+              type: 'integer',
+              description: 'Completed after their SLA deadline'
+            },
+            slaBreachRate: {
+              type: 'number',
+              nullable: true
+            }
+          }
+        },
+        BedForecast: {
+          type: 'object',
+          properties: {
+            bedCount: {
+              type: 'integer',
+              description: 'Active beds'
+            },
+            freeNow: {
+              type: 'integer'
+            },
+            drivers: {
+              type: 'object',
+              description: 'Known events expected within the horizon',
+              properties: {
+                plannedDischarges: {
+                  type: 'integer'
+                },
+                cleaningCompletions: {
+                  type: 'integer'
+                },
+                maintenanceCompletions: {
+                  type: 'integer'
+                },
+                reservationsExpiring: {
+                  type: 'integer'
+                }
+              }
+            },
+            points: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  at: {
+                    type: 'string',
+                    format: 'date-time'
+                  },
+                  expectedFree: {
+                    type: 'number',
+                    description: 'Average free beds over the simulations'
+                  },
+                  low: {
+                    type: 'integer',
+                    description: '10th percentile'
+                  },
+                  median: {
+                    type: 'integer'
+                  },
+                  high: {
+                    type: 'integer',
+                    description: '90th percentile'
+                  }
+                }
+              }
+            }
+          }
+        },
+        CensusSnapshot: {
+          type: 'object',
+          properties: {
+            GRANULARITY: {
+              type: 'string',
+              enum: ['hour', 'day']
+            },
+            DATE: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Start of the hour or day'
+            },
+            TAKEN_AT: {
+              type: 'string',
+              format: 'date-time'
+            },
+            ID_SERVICE: {
+              type: 'string'
+            },
+            ID_SECTEUR: {
+              type: 'integer'
+            },
+            CAPA_ARCHI: {
+              type: 'integer',
+              description: 'Active beds'
+            },
+            CAPA_REELLE: {
+              type: 'integer',
+              description: 'Active free beds'
+            },
+            STATUTS: {
+              type: 'object',
+              additionalProperties: {
+                type: 'integer'
+              },
+              description: 'Active beds per ID_STATUT'
+            }
+          }
+        },
+        CensusPoint: {
+          type: 'object',
+          properties: {
+            date: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Start of the bucket'
+            },
+            samples: {
+              type: 'integer',
+              description: 'Snapshots averaged'
+            },
+            CAPA_ARCHI: {
+              type: 'number'
+            },
+            CAPA_REELLE: {
+              type: 'number'
+            },
+            occupancyRate: {
+              type: 'number',
+              nullable: true,
+              description: 'Beds "Occupé" / beds not "Hors service" (0 to 1)'
+            },
+            statusCounts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ID_STATUT: {
+                    type: 'integer'
+                  },
+                  LIB_STATUT: {
+                    type: 'string'
+                  },
+                  count: {
+                    type: 'number',
+                    description: 'Average beds in the status'
+                  }
+                }
+              }
+            }
+          }
+        },
+        AuditLog: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            ACTEUR: {
+              type: 'string',
+              description: 'ID_UTILISATEUR of the user who made the change'
+            },
+            ACTEUR_NOM: {
+              type: 'string'
+            },
+            ROLE: {
+              type: 'string'
+            },
+            ACTION: {
+              type: 'string',
+              enum: ['create', 'update', 'delete', 'update-status', 'transfer', 'discharge', 'claim', 'assign', 'unlock', 'revoke-sessions', 'send-reset-link', 'reset-mfa']
+            },
+            ENTITE: {
+              type: 'string',
+              description: 'Resource name (secteurs, services, chambres, lits, admissions, tasks, maintenance-plans, utilisateurs, settings)'
+            },
+            ID_ENTITE: {
+              type: 'string'
+            },
+            CHANGES: {
+              type: 'object',
+              description: 'Changed fields as { FIELD: { before, after } }; passwords and token hashes are redacted',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  before: {},
+                  after: {}
+                }
+              }
+            },
+            METHOD: {
+              type: 'string'
+            },
+            PATH: {
+              type: 'string'
+            },
+            IP: {
+              type: 'string'
+            },
+            USER_AGENT: {
+              type: 'string'
+            },
+            DATE: {
+              type: 'string',
+              format: 'date-time'
             }
           }
         }
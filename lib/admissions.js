@@ -0,0 +1,191 @@
+const mongoose = require("mongoose");
+const { Admission, Chambre, Lit } = require("../models");
+const { BedStatusError, loadBed, changeBedStatus } = require("./bedStatus");
+const { performTransfer } = require("./transfers");
+const { runTransaction } = require("./events");
+
+// Load an ongoing admission inside the transaction or throw
+async function loadActiveAdmission(admissionId, session) {
+  if (!mongoose.Types.ObjectId.isValid(admissionId)) {
+    throw new BedStatusError(400, { error: "Invalid admission ID format" });
+  }
+  const admission = await Admission.findById(admissionId).session(session);
+  if (!admission) {
+    throw new BedStatusError(404, { error: "Admission not found" });
+  }
+  if (admission.STATUT !== "EN_COURS") {
+    throw new BedStatusError(409, { error: "Admission is already closed" });
+  }
+  return admission;
+}
+
+// Refuse a patient whose gender differs from the bed's or an occupied roommate's
+async function assertGenderCompatible(lit, gender, session) {
+  if (lit.GENDER && lit.GENDER !== gender) {
+    throw new BedStatusError(409, {
+      error: `Bed ${lit.ID_LIT} is reserved for gender ${lit.GENDER}`,
+      ID_LIT: lit.ID_LIT,
+      GENDER: lit.GENDER,
+    });
+  }
+  if (!lit.ID_CHAMBRE) {
+    return;
+  }
+  const roommate = await Lit.findOne({
+    ID_CHAMBRE: lit.ID_CHAMBRE,
+    ID_LIT: { $ne: lit.ID_LIT },
+    ID_STATUT: 2,
+    GENDER: { $nin: ["", null, gender] },
+  }).session(session);
+  if (roommate) {
+    throw new BedStatusError(409, {
+      error: `Room ${lit.ID_CHAMBRE} already holds a patient of gender ${roommate.GENDER}`,
+      ID_LIT: roommate.ID_LIT,
+      GENDER: roommate.GENDER,
+    });
+  }
+}
+
+/**
+ * Refuse a manual change that takes an occupied bed out of "Occupé" while
+ * its patient is still admitted: the admission is closed by a discharge or
+ * moved by a transfer, otherwise the bed could never be admitted again.
+ *
+ * @param {Document} lit
+ * @param {number} ID_STATUT - Requested status
+ * @throws {BedStatusError} 409 when the bed has an ongoing admission
+ */
+async function assertNoOngoingAdmission(lit, ID_STATUT) {
+  if (lit.ID_STATUT !== 2 || Number(ID_STATUT) === 2) {
+    return;
+  }
+  const admission = await Admission.findActiveForBed(lit.ID_LIT);
+  if (admission) {
+    throw new BedStatusError(409, {
+      error: `Bed ${lit.ID_LIT} has an ongoing admission: use POST /admissions/${admission._id}/discharge or /transfer`,
+      ID_ADMISSION: admission._id,
+    });
+  }
+}
+
+/**
+ * Admit a patient into a bed: the bed moves to "Occupé" (2) and the
+ * admission record is created in the same transaction. The patient's gender
+ * must match the bed and the occupied beds of its room.
+ */
+async function admitPatient(data, user) {
+  return runTransaction(async (session) => {
+    const lit = await loadBed(data.ID_LIT, session);
+
+    const bedAdmission = await Admission.findActiveForBed(lit.ID_LIT, session);
+    if (bedAdmission) {
+      throw new BedStatusError(409, {
+        error: `Bed ${lit.ID_LIT} already has an ongoing admission`,
+      });
+    }
+
+    const patientAdmission = await Admission.findOne({
+      PATIENT_REF: data.PATIENT_REF,
+      STATUT: "EN_COURS",
+    }).session(session);
+    if (patientAdmission) {
+      throw new BedStatusError(409, {
+        error: "Patient already has an ongoing admission",
+        ID_LIT: patientAdmission.ID_LIT,
+      });
+    }
+
+    if (data.GENDER) {
+      await assertGenderCompatible(lit, data.GENDER, session);
+    }
+
+    await changeBedStatus(lit, 2, {
+      author: user.NOM,
+      role: user.ROLE,
+      session,
+    });
+
+    // The patient's gender becomes the constraint of the bed and its roommates
+    if (data.GENDER) {
+      lit.GENDER = data.GENDER;
+      await lit.save({ session });
+      if (lit.ID_CHAMBRE) {
+        await Chambre.propagateGender(lit.ID_CHAMBRE, data.GENDER, lit.ID_LIT, session);
+      }
+    }
+
+    const [admission] = await Admission.create(
+      [
+        {
+          PATIENT_REF: data.PATIENT_REF,
+          ID_LIT: lit.ID_LIT,
+          ID_SERVICE: data.ID_SERVICE || lit.ID_SERVICE,
+          GENDER: data.GENDER || "",
+          DATE_ADMISSION: data.DATE_ADMISSION || new Date(),
+          DATE_SORTIE_PREVUE: data.DATE_SORTIE_PREVUE || null,
+          AUTEUR_ADMISSION: user.NOM,
+        },
+      ],
+      { session }
+    );
+
+    return admission;
+  });
+}
+
+/**
+ * Discharge a patient: the admission is closed and the bed is sent to
+ * "À nettoyer" (3), which creates the cleaning task.
+ */
+async function dischargePatient(admissionId, data, user) {
+  return runTransaction(async (session) => {
+    const admission = await loadActiveAdmission(admissionId, session);
+    const lit = await loadBed(admission.ID_LIT, session);
+
+    if (lit.ID_STATUT === 2) {
+      await changeBedStatus(lit, 3, {
+        SUB_ID_STATUT: data.SUB_ID_STATUT,
+        CLEANING_TIME: data.CLEANING_TIME,
+        author: user.NOM,
+        role: user.ROLE,
+        session,
+      });
+    } else {
+      console.log(`⚠️  Bed ${lit.ID_LIT} was not occupied at discharge (status ${lit.ID_STATUT}), status left unchanged`);
+    }
+
+    admission.STATUT = "SORTIE";
+    admission.DATE_SORTIE = data.DATE_SORTIE || new Date();
+    admission.AUTEUR_SORTIE = user.NOM;
+    await admission.save({ session });
+
+    return admission;
+  });
+}
+
+/**
+ * Move an admitted patient to another bed. Same rules as POST /lits/transfers:
+ * the target must be free and gender-compatible, the source goes to cleaning.
+ */
+async function transferPatient(admissionId, data, user) {
+  return runTransaction(async (session) => {
+    const admission = await loadActiveAdmission(admissionId, session);
+    const { admission: moved } = await performTransfer(
+      {
+        ...data,
+        SOURCE_ID_LIT: admission.ID_LIT,
+        TARGET_ID_LIT: data.ID_LIT,
+      },
+      user,
+      session
+    );
+    return moved;
+  });
+}
+
+module.exports = {
+  admitPatient,
+  assertNoOngoingAdmission,
+  dischargePatient,
+  transferPatient,
+};
@@ -0,0 +1,241 @@
+const { HistoriqueStatut, Lit, Secteur, Service, Statut } = require("../models");
+const { buildTimelines } = require("./bedTimeline");
+const { HttpError } = require("./httpError");
+const { round } = require("./numbers");
+const { DAY, HOUR, MINUTE } = require("./time");
+
+const DEFAULT_RANGE_DAYS = 7;
+// Longest range replayed in one request
+const MAX_RANGE_DAYS = 366;
+
+const FREE = 1;
+const OCCUPIED = 2;
+const OUT_OF_SERVICE = 5;
+
+// Invalid analytics range or grouping
+class AnalyticsError extends HttpError {}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Read the from/to query parameters (ISO dates). Defaults to the last
+ * seven days; the range is limited to MAX_RANGE_DAYS.
+ *
+ * @param {Object} query
+ * @param {Date} [now=new Date()]
+ * @returns {{from: Date, to: Date}}
+ */
+function parseRange(query, now = new Date()) {
+  const to = query.to ? new Date(query.to) : now;
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new AnalyticsError(400, { error: "from and to must be valid dates" });
+  }
+  if (from >= to) {
+    throw new AnalyticsError(400, { error: "from must be before to" });
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY) {
+    throw new AnalyticsError(400, { error: `The range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+  return { from, to };
+}
+
+function emptyGroup() {
+  return {
+    beds: new Set(),
+    statusMs: {},
+    stays: {},
+    admissions: 0,
+    dischargeDurations: [],
+    pendingDischarges: 0,
+  };
+}
+
+function summarize(group, statuts) {
+  const totalMs = Object.values(group.statusMs).reduce((sum, ms) => sum + ms, 0);
+  const availableMs = totalMs - (group.statusMs[OUT_OF_SERVICE] || 0);
+  const occupiedMs = group.statusMs[OCCUPIED] || 0;
+  const bedCount = group.beds.size;
+  const durations = group.dischargeDurations;
+
+  return {
+    bedCount,
+    bedHours: round(totalMs / HOUR),
+    availableBedHours: round(availableMs / HOUR),
+    occupiedBedHours: round(occupiedMs / HOUR),
+    occupancyRate: availableMs > 0 ? round(occupiedMs / availableMs, 4) : null,
+    admissions: group.admissions,
+    turnover: bedCount > 0 ? round(group.admissions / bedCount) : null,
+    statusTimes: statuts.map((statut) => {
+      const ms = group.statusMs[statut.ID_STATUT] || 0;
+      const stays = group.stays[statut.ID_STATUT] || { count: 0, totalMs: 0 };
+      return {
+        ID_STATUT: statut.ID_STATUT,
+        LIB_STATUT: statut.LIB_STATUT,
+        totalHours: round(ms / HOUR),
+        share: totalMs > 0 ? round(ms / totalMs, 4) : 0,
+        stays: stays.count,
+        averageMinutes: stays.count > 0 ? round(stays.totalMs / stays.count / MINUTE, 1) : null,
+      };
+    }),
+    dischargeToAvailable: {
+      count: durations.length,
+      averageMinutes: durations.length
+        ? round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length / MINUTE, 1)
+        : null,
+      medianMinutes: durations.length ? round(median(durations) / MINUTE, 1) : null,
+      pending: group.pendingDischarges,
+    },
+  };
+}
+
+/**
+ * Occupancy, turnover and status durations of the active beds over a
+ * period, rebuilt from the HistoriqueStatut transitions.
+ *
+ * - occupancyRate: time "Occupé" / time not "Hors service"
+ * - turnover: admissions (transitions into "Occupé") per bed
+ * - statusTimes: time spent in each status; averageMinutes only counts
+ *   stays that started and ended inside the period
+ * - dischargeToAvailable: from leaving "Occupé" to the next "Libre";
+ *   discharges still waiting at the end of the period are `pending`
+ *
+ * Each stay counts for the service the bed was in at the time: beds that
+ * moved in or out of the filtered services during the period count for the
+ * time they spent in them, and time spent in other services is left out.
+ *
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} [options.groupBy="service"] - "service" or "secteur"
+ * @param {Object} [options.serviceFilter={}] - Service filter (sector, scope...)
+ * @returns {Promise<Object>}
+ */
+async function computeAnalytics({ from, to, groupBy = "service", serviceFilter = {} }) {
+  const services = await Service.find(serviceFilter).lean();
+  const knownServices = new Map(services.map((s) => [s.ID_SERVICE, s]));
+  const serviceIds = [...knownServices.keys()];
+  // Beds in one of the services now or at some point up to the end of the
+  // period, wherever they are today
+  const movedIds = await HistoriqueStatut.distinct("ID_LIT", {
+    ID_SERVICE: { $in: serviceIds },
+    DATE_HEURE: { $lte: to },
+  });
+  const [beds, statuts, secteurs] = await Promise.all([
+    Lit.find({
+      ACTIF: true,
+      $or: [{ ID_SERVICE: { $in: serviceIds } }, { ID_LIT: { $in: movedIds } }],
+    }).lean(),
+    Statut.find().sort({ ID_STATUT: 1 }).lean(),
+    Secteur.find().lean(),
+  ]);
+  const timelines = await buildTimelines(beds, from, to);
+
+  const keyOf = (serviceId) => {
+    if (groupBy === "secteur") {
+      const service = knownServices.get(serviceId);
+      return service ? service.ID_SECTEUR : null;
+    }
+    return serviceId;
+  };
+
+  const groups = new Map();
+  const total = emptyGroup();
+  // Time spent in services outside the filter is left out
+  const accumulators = (serviceId) => {
+    if (!knownServices.has(serviceId)) {
+      return [];
+    }
+    const key = keyOf(serviceId);
+    if (!groups.has(key)) {
+      groups.set(key, emptyGroup());
+    }
+    return [groups.get(key), total];
+  };
+
+  let gaps = 0;
+  for (const { lit, segments, transitions, gaps: bedGaps } of timelines) {
+    gaps += bedGaps;
+    for (const segment of segments) {
+      const duration = segment.end - segment.start;
+      for (const group of accumulators(segment.ID_SERVICE)) {
+        group.beds.add(lit.ID_LIT);
+        group.statusMs[segment.ID_STATUT] = (group.statusMs[segment.ID_STATUT] || 0) + duration;
+        if (!segment.openStart && !segment.openEnd) {
+          const stays = group.stays[segment.ID_STATUT] || { count: 0, totalMs: 0 };
+          stays.count += 1;
+          stays.totalMs += duration;
+          group.stays[segment.ID_STATUT] = stays;
+        }
+      }
+    }
+
+    let discharge = null;
+    for (const record of transitions) {
+      if (record.ID_STATUT === OCCUPIED && record.STATUT_PRECEDENT !== OCCUPIED) {
+        accumulators(record.ID_SERVICE).forEach((group) => {
+          group.admissions += 1;
+        });
+        // Occupied again without becoming free: not a turnaround
+        discharge = null;
+      }
+      if (record.STATUT_PRECEDENT === OCCUPIED && record.ID_STATUT !== OCCUPIED) {
+        discharge = record;
+      }
+      if (discharge && record.ID_STATUT === FREE) {
+        const duration = record.DATE_HEURE - discharge.DATE_HEURE;
+        accumulators(discharge.ID_SERVICE).forEach((group) => {
+          group.dischargeDurations.push(duration);
+        });
+        discharge = null;
+      }
+    }
+    if (discharge) {
+      accumulators(discharge.ID_SERVICE).forEach((group) => {
+        group.pendingDischarges += 1;
+      });
+    }
+  }
+
+  const secteurNames = new Map(secteurs.map((s) => [s.ID_SECTEUR, s.LIB_SECTEUR]));
+  const rows = [...groups.entries()]
+    .map(([key, group]) => {
+      const label =
+        groupBy === "secteur"
+          ? { ID_SECTEUR: key, LIB_SECTEUR: secteurNames.get(key) || null }
+          : {
+              ID_SERVICE: key,
+              LIB_SERVICE: knownServices.get(key).LIB_SERVICE,
+            };
+      return { ...label, ...summarize(group, statuts) };
+    })
+    .sort((a, b) =>
+      String(a.ID_SECTEUR ?? a.ID_SERVICE).localeCompare(
+        String(b.ID_SECTEUR ?? b.ID_SERVICE),
+        undefined,
+        { numeric: true }
+      )
+    );
+
+  return {
+    from,
+    to,
+    groupBy,
+    groups: rows,
+    total: summarize(total, statuts),
+    historyGaps: gaps,
+  };
+}
+
+module.exports = {
+  AnalyticsError,
+  computeAnalytics,
+  parseRange,
+};
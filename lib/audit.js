@@ -0,0 +1,121 @@
+const { AuditLog } = require("../models");
+const { csvLine } = require("./csv");
+
+// Never stored in clear in the audit trail
+const REDACTED_FIELDS = [
+  "password",
+  "PASSWORD_HISTORY",
+  "TOKEN_HASH",
+  "PREVIOUS_TOKEN_HASHES",
+  "TOTP_SECRET",
+  "TOTP_PENDING_SECRET",
+  "RECOVERY_CODES",
+];
+const REDACTED = "[redacted]";
+
+// Bookkeeping fields left out of the diff
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt"];
+
+// Plain JSON copy of a document or response body
+function toPlain(value) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  const object = typeof value.toObject === "function" ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(object));
+}
+
+/**
+ * Fields that differ between two versions of an entity.
+ * `before` is null for a creation and `after` null for a deletion.
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object} { FIELD: { before, after } }
+ */
+function diffChanges(before, after) {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+  const changes = {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = previous[field] === undefined ? null : previous[field];
+    const to = next[field] === undefined ? null : next[field];
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      continue;
+    }
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: from === null ? null : REDACTED, after: to === null ? null : REDACTED }
+      : { before: from, after: to };
+  }
+  return changes;
+}
+
+/**
+ * Record a write operation. Failures are logged and never thrown so the
+ * audit trail cannot break the request it describes.
+ *
+ * @param {Object} options
+ * @param {Request} options.req - Authenticated request (actor, IP, method, path)
+ * @param {string} options.action - One of AuditLog.ACTIONS
+ * @param {string} options.entity - Resource name (lits, services...)
+ * @param {string|number} [options.entityId]
+ * @param {Object} [options.before] - Entity before the change
+ * @param {Object} [options.after] - Entity after the change
+ * @returns {Promise<Document|null>}
+ */
+async function recordAudit(options) {
+  const { req, action, entity, entityId = null, before = null, after = null } = options;
+  const user = req.user || {};
+  try {
+    return await AuditLog.create({
+      ACTEUR: user.ID_UTILISATEUR || null,
+      ACTEUR_NOM: user.NOM || "",
+      ROLE: user.ROLE || "",
+      ACTION: action,
+      ENTITE: entity,
+      ID_ENTITE: entityId === null || entityId === undefined ? null : String(entityId),
+      CHANGES: diffChanges(before, after),
+      METHOD: req.method,
+      PATH: req.originalUrl,
+      IP: req.ip || "",
+      USER_AGENT: req.headers["user-agent"] || "",
+    });
+  } catch (error) {
+    console.error(`❌ Error recording audit log ${action} ${entity}:`, error);
+    return null;
+  }
+}
+
+const CSV_COLUMNS = [
+  "DATE",
+  "ACTEUR",
+  "ACTEUR_NOM",
+  "ROLE",
+  "ACTION",
+  "ENTITE",
+  "ID_ENTITE",
+  "METHOD",
+  "PATH",
+  "IP",
+  "CHANGES",
+];
+
+/**
+ * CSV line of an audit log entry (CHANGES as JSON).
+ *
+ * @param {Object} [log] - Entry, or nothing for the header line
+ * @returns {string}
+ */
+function auditCsvLine(log) {
+  return csvLine(log ? CSV_COLUMNS.map((column) => log[column]) : CSV_COLUMNS);
+}
+
+module.exports = {
+  auditCsvLine,
+  diffChanges,
+  recordAudit,
+};
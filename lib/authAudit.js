@@ -0,0 +1,36 @@
+const { AuthEvent } = require("../models");
+
+/**
+ * Record an authentication event. Failures are logged and never thrown so
+ * the audit trail cannot break a login.
+ *
+ * @param {string} TYPE - One of AuthEvent.TYPES
+ * @param {Object} [options]
+ * @param {Request} [options.req] - Used for the IP and user agent
+ * @param {Document|Object} [options.user] - Account concerned (ID_UTILISATEUR, EMAIL)
+ * @param {string} [options.email] - Email as typed, when there is no user
+ * @param {string} [options.actor] - ID_UTILISATEUR of the user acting on another account
+ * @param {Object} [options.details]
+ * @returns {Promise<Document|null>}
+ */
+async function recordAuthEvent(TYPE, options = {}) {
+  const { req = null, user = null, email = null, actor = null, details = null } = options;
+  try {
+    return await AuthEvent.create({
+      TYPE,
+      EMAIL: (user && user.EMAIL) || (email ? String(email).toLowerCase() : null),
+      ID_UTILISATEUR: user ? user.ID_UTILISATEUR : null,
+      ACTEUR: actor,
+      IP: (req && req.ip) || "",
+      USER_AGENT: (req && req.headers["user-agent"]) || "",
+      DETAILS: details,
+    });
+  } catch (error) {
+    console.error(`❌ Error recording auth event ${TYPE}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  recordAuthEvent,
+};
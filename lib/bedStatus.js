@@ -0,0 +1,242 @@
+const {
+  Lit,
+  Chambre,
+  HistoriqueStatut,
+  Statut,
+  Task,
+  Service,
+  StatutTransition,
+} = require("../models");
+const { publish } = require("./events");
+const { assertSlotAvailable } = require("./schedule");
+const { HttpError } = require("./httpError");
+
+// Author written to history for changes made by background jobs
+const SYSTEM_AUTHOR = "system";
+
+// Bed status change rejected (transition, bed state, not found...)
+class BedStatusError extends HttpError {}
+
+// Build the 409 payload returned when a status transition is rejected
+async function buildTransitionConflict(fromStatut, toStatut, allowedStatuts) {
+  const statuts = await Statut.find({
+    ID_STATUT: { $in: [fromStatut, toStatut, ...allowedStatuts] },
+  });
+  const describe = (id) => {
+    const statut = statuts.find((s) => s.ID_STATUT === id);
+    return { ID_STATUT: id, LIB_STATUT: statut ? statut.LIB_STATUT : null };
+  };
+  const from = describe(fromStatut);
+  const to = describe(Number(toStatut));
+
+  return {
+    error: `Transition from "${from.LIB_STATUT}" to "${to.LIB_STATUT}" is not allowed`,
+    from,
+    to,
+    allowedTransitions: allowedStatuts.map(describe),
+  };
+}
+
+// Throw a 409 BedStatusError if the role may not move the bed between these statuses
+async function assertTransition(fromStatut, toStatut, role) {
+  const { allowed, allowedStatuts } = await StatutTransition.checkTransition(
+    fromStatut,
+    toStatut,
+    role
+  );
+  if (!allowed) {
+    throw new BedStatusError(
+      409,
+      await buildTransitionConflict(fromStatut, toStatut, allowedStatuts)
+    );
+  }
+}
+
+// Load a bed (optionally inside a transaction) or throw a 404
+async function loadBed(bedId, session = null) {
+  const lit = await Lit.findOne({ ID_LIT: bedId }).session(session);
+  if (!lit) {
+    throw new BedStatusError(404, { error: `Bed ${bedId} not found` });
+  }
+  return lit;
+}
+
+/**
+ * Change the status of a bed document.
+ *
+ * Validates the transition for the caller's role, resets the status-specific
+ * dates, saves the bed, writes the history record and creates the cleaning
+ * (3) or maintenance (4) task. When a session is given every write joins it
+ * and errors are propagated so the caller's transaction aborts. Events are
+ * published once the transaction commits (see lib/events).
+ *
+ * @param {Document} lit - Bed document (loaded with the same session)
+ * @param {number} ID_STATUT - New status
+ * @param {Object} options
+ * @param {string} options.author - Name written to AUTEUR
+ * @param {string} options.role - Role used to check the transition
+ * @param {boolean} [options.checkTransition=true] - Set to false for system jobs
+ * @param {boolean} [options.checkSchedule=true] - Check CLEANING_TIME/MAINTENANCE_TIME
+ *   against working hours and free slots
+ * @param {boolean} [options.createTask=true] - Set to false when the task already exists
+ * @param {Object} [options.historyData] - Extra fields for the history record
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{lit: Document, history: Document, task: Document|null}>}
+ */
+async function changeBedStatus(lit, ID_STATUT, options = {}) {
+  const {
+    SUB_ID_STATUT,
+    MAJ_STATUT,
+    CLEANING_TIME,
+    MAINTENANCE_TIME,
+    RESERVED_DATE,
+    author,
+    role,
+    checkTransition = true,
+    checkSchedule = true,
+    createTask = true,
+    historyData = {},
+    session = null,
+  } = options;
+
+  if (!lit.ACTIF) {
+    throw new BedStatusError(400, {
+      error: "Cannot update status of inactive bed",
+    });
+  }
+
+  const previousStatus = lit.ID_STATUT;
+
+  // Enforce the configured status graph for the user's role
+  if (checkTransition) {
+    await assertTransition(previousStatus, ID_STATUT, role);
+  }
+
+  // Scheduled cleaning/maintenance must fit in a free slot
+  if (checkSchedule && ID_STATUT === 3 && CLEANING_TIME) {
+    await assertSlotAvailable("cleaning", CLEANING_TIME, { excludeBedId: lit.ID_LIT, session });
+  }
+  if (checkSchedule && ID_STATUT === 4 && MAINTENANCE_TIME) {
+    await assertSlotAvailable("maintenance", MAINTENANCE_TIME, {
+      excludeBedId: lit.ID_LIT,
+      session,
+    });
+  }
+
+  // Check if changing FROM Reserved status with emergency flag
+  if (previousStatus === 6 && lit.isEmergency === true && ID_STATUT !== 6) {
+    // When changing from Reserved status with emergency flag, clear emergency
+    lit.isEmergency = false;
+    console.log(`🔄 Emergency cleared for bed ${lit.ID_LIT} - Status changing from Reserved to ${ID_STATUT}`);
+  }
+
+  lit.ID_STATUT = ID_STATUT;
+  lit.MAJ_STATUT = MAJ_STATUT || new Date();
+  if (ID_STATUT === 3) {
+    lit.SUB_ID_STATUT = SUB_ID_STATUT;
+    lit.CLEANING_DATE = CLEANING_TIME;
+  } else {
+    lit.SUB_ID_STATUT = null;
+    lit.CLEANING_DATE = null;
+  }
+
+  if (ID_STATUT === 4) {
+    lit.MAINTENANCE_DATE = MAINTENANCE_TIME;
+  } else {
+    lit.MAINTENANCE_DATE = null;
+  }
+
+  if (ID_STATUT === 6) {
+    lit.RESERVED_DATE = RESERVED_DATE;
+  } else {
+    lit.RESERVED_DATE = null;
+  }
+  await lit.save({ session });
+
+  const history = await HistoriqueStatut.createHistory(
+    {
+      ID_LIT: lit.ID_LIT,
+      ID_SERVICE: lit.ID_SERVICE,
+      ID_STATUT: ID_STATUT,
+      SUB_ID_STATUT: SUB_ID_STATUT,
+      AUTEUR: author,
+      STATUT_PRECEDENT: previousStatus,
+      ...historyData,
+    },
+    session
+  );
+
+  publish(
+    "bed.status_changed",
+    {
+      ID_LIT: lit.ID_LIT,
+      ID_SERVICE: lit.ID_SERVICE,
+      ID_STATUT,
+      STATUT_PRECEDENT: previousStatus,
+      SUB_ID_STATUT: lit.SUB_ID_STATUT,
+      AUTEUR: author,
+      MAJ_STATUT: lit.MAJ_STATUT,
+      isEmergency: lit.isEmergency,
+    },
+    session
+  );
+
+  // Create task for cleaning (status 3) or maintenance (status 4)
+  let task = null;
+  if (createTask && (ID_STATUT === 3 || ID_STATUT === 4)) {
+    try {
+      // Get service information for task
+      const service = await Service.findOne({ ID_SERVICE: lit.ID_SERVICE }).session(session);
+      const serviceName = service ? service.LIB_SERVICE : lit.ID_SERVICE;
+
+      const taskData = {
+        bedId: lit.ID_LIT,
+        serviceName: serviceName,
+        ID_SERVICE: lit.ID_SERVICE,
+        taskType: ID_STATUT,
+        creationDate: new Date(),
+        gender: lit.GENDER || "",
+        isUrgent: false,
+        isDone: false,
+      };
+
+      if (ID_STATUT === 3) {
+        // Cleaning task
+        taskData.taskCategory = SUB_ID_STATUT || null;
+        taskData.taskCompletionDateTime = CLEANING_TIME;
+      }
+
+      if (ID_STATUT === 4) {
+        // Maintenance task
+        taskData.taskCompletionDateTime = MAINTENANCE_TIME;
+      }
+
+      [task] = await Task.create([taskData], { session });
+      publish("task.created", { task, ID_SERVICE: lit.ID_SERVICE }, session);
+      console.log(`✅ Task created for bed ${lit.ID_LIT} with status ${ID_STATUT}`);
+    } catch (taskError) {
+      console.error("❌ Error creating task:", taskError);
+      // Inside a transaction the failure must abort the whole operation
+      if (session) {
+        throw taskError;
+      }
+      // Otherwise don't fail the main operation if task creation fails
+    }
+  }
+
+  // The room's gender constraint ends with its last occupant
+  if (previousStatus === 2 && ID_STATUT !== 2 && lit.ID_CHAMBRE) {
+    await Chambre.releaseGenderIfEmpty(lit.ID_CHAMBRE, session);
+  }
+
+  return { lit, history, task };
+}
+
+module.exports = {
+  SYSTEM_AUTHOR,
+  BedStatusError,
+  buildTransitionConflict,
+  assertTransition,
+  loadBed,
+  changeBedStatus,
+};
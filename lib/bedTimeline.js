@@ -0,0 +1,215 @@
+const { HistoriqueStatut } = require("../models");
+
+/**
+ * Last history record of each bed at or before `at`.
+ *
+ * @param {Array<string>} bedIds
+ * @param {Date} at
+ * @returns {Promise<Map<string, Object>>} ID_LIT -> record
+ */
+async function lastRecordsBefore(bedIds, at) {
+  const records = await HistoriqueStatut.aggregate([
+    { $match: { ID_LIT: { $in: bedIds }, DATE_HEURE: { $lte: at } } },
+    { $sort: { DATE_HEURE: -1, ID_HIST: -1 } },
+    {
+      $group: {
+        _id: "$ID_LIT",
+        ID_STATUT: { $first: "$ID_STATUT" },
+        SUB_ID_STATUT: { $first: "$SUB_ID_STATUT" },
+        ID_SERVICE: { $first: "$ID_SERVICE" },
+        DATE_HEURE: { $first: "$DATE_HEURE" },
+      },
+    },
+  ]);
+  return new Map(records.map((record) => [record._id, record]));
+}
+
+/**
+ * First history record of each bed after `at`.
+ *
+ * @param {Array<string>} bedIds
+ * @param {Date} at
+ * @returns {Promise<Map<string, Object>>} ID_LIT -> record
+ */
+async function firstRecordsAfter(bedIds, at) {
+  const records = await HistoriqueStatut.aggregate([
+    { $match: { ID_LIT: { $in: bedIds }, DATE_HEURE: { $gt: at } } },
+    { $sort: { DATE_HEURE: 1, ID_HIST: 1 } },
+    {
+      $group: {
+        _id: "$ID_LIT",
+        ID_STATUT: { $first: "$ID_STATUT" },
+        ID_SERVICE: { $first: "$ID_SERVICE" },
+        STATUT_PRECEDENT: { $first: "$STATUT_PRECEDENT" },
+        DATE_HEURE: { $first: "$DATE_HEURE" },
+      },
+    },
+  ]);
+  return new Map(records.map((record) => [record._id, record]));
+}
+
+/**
+ * Status of beds at one instant, with the same rules as buildTimelines:
+ * the last record before `at`, else the STATUT_PRECEDENT of the first
+ * record after it, else the current status. Beds created after `at` are
+ * left out. `gap` is true when the next record does not start from the
+ * rebuilt status: a change happened at an unknown time around `at`.
+ *
+ * @param {Array<Object>} beds - Lit documents (ID_LIT, ID_SERVICE, ID_STATUT, createdAt)
+ * @param {Date} at
+ * @returns {Promise<Array<{lit: Object, ID_STATUT: number, SUB_ID_STATUT: number|null,
+ *   ID_SERVICE: string, since: Date|null, gap: boolean}>>}
+ *   `since` is the date of the record that set the status, null when unknown
+ */
+async function statusAt(beds, at) {
+  const existing = beds.filter((lit) => !lit.createdAt || new Date(lit.createdAt) <= at);
+  const bedIds = existing.map((lit) => lit.ID_LIT);
+  const [previous, next] = await Promise.all([
+    lastRecordsBefore(bedIds, at),
+    firstRecordsAfter(bedIds, at),
+  ]);
+
+  return existing.map((lit) => {
+    const prior = previous.get(lit.ID_LIT);
+    const following = next.get(lit.ID_LIT);
+    if (prior) {
+      return {
+        lit,
+        ID_STATUT: prior.ID_STATUT,
+        SUB_ID_STATUT: prior.SUB_ID_STATUT ?? null,
+        ID_SERVICE: prior.ID_SERVICE,
+        since: prior.DATE_HEURE,
+        gap: Boolean(following) && following.STATUT_PRECEDENT !== prior.ID_STATUT,
+      };
+    }
+    if (following) {
+      return {
+        lit,
+        ID_STATUT: following.STATUT_PRECEDENT,
+        SUB_ID_STATUT: null,
+        ID_SERVICE: following.ID_SERVICE,
+        since: null,
+        gap: false,
+      };
+    }
+    return {
+      lit,
+      ID_STATUT: lit.ID_STATUT,
+      SUB_ID_STATUT: lit.SUB_ID_STATUT ?? null,
+      ID_SERVICE: lit.ID_SERVICE,
+      since: null,
+      gap: false,
+    };
+  });
+}
+
+/**
+ * Rebuild the status timeline of beds over [from, to] from HistoriqueStatut.
+ *
+ * The status at the start is the one set by the last record before it, or
+ * the STATUT_PRECEDENT of the first record after it; beds without history
+ * keep their current status. Beds created after `from` start at their
+ * creation and beds created after `to` are left out. A record whose
+ * STATUT_PRECEDENT differs from the status rebuilt so far reveals a change
+ * that was not recorded: the previous status is kept until that record,
+ * its segment is marked openEnd, and the bed's `gaps` counts it.
+ *
+ * @param {Array<Object>} beds - Lit documents (ID_LIT, ID_SERVICE, ID_STATUT, createdAt)
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array<{lit: Object, segments: Array, transitions: Array, gaps: number}>>}
+ *   Segments are { ID_STATUT, ID_SERVICE, start, end, openStart, openEnd }, where
+ *   openStart / openEnd mark bounds cut by the window (or a gap) rather than a transition
+ */
+async function buildTimelines(beds, from, to) {
+  const bedIds = beds.map((lit) => lit.ID_LIT);
+  const [previous, records] = await Promise.all([
+    lastRecordsBefore(bedIds, from),
+    HistoriqueStatut.find({
+      ID_LIT: { $in: bedIds },
+      DATE_HEURE: { $gt: from, $lte: to },
+    })
+      .sort({ DATE_HEURE: 1, ID_HIST: 1 })
+      .lean(),
+  ]);
+
+  const recordsByBed = new Map();
+  for (const record of records) {
+    if (!recordsByBed.has(record.ID_LIT)) {
+      recordsByBed.set(record.ID_LIT, []);
+    }
+    recordsByBed.get(record.ID_LIT).push(record);
+  }
+
+  const timelines = [];
+  for (const lit of beds) {
+    const createdAt = lit.createdAt ? new Date(lit.createdAt) : null;
+    if (createdAt && createdAt > to) {
+      continue;
+    }
+    const start = createdAt && createdAt > from ? createdAt : from;
+    const transitions = (recordsByBed.get(lit.ID_LIT) || []).filter(
+      (record) => record.DATE_HEURE >= start
+    );
+    const prior = previous.get(lit.ID_LIT);
+
+    let status;
+    let service;
+    if (prior) {
+      status = prior.ID_STATUT;
+      service = prior.ID_SERVICE;
+    } else if (transitions.length > 0) {
+      status = transitions[0].STATUT_PRECEDENT;
+      service = transitions[0].ID_SERVICE;
+    } else {
+      status = lit.ID_STATUT;
+      service = lit.ID_SERVICE;
+    }
+
+    const segments = [];
+    let segmentStart = start;
+    let openStart = true;
+    let gaps = 0;
+    for (const record of transitions) {
+      // The real end of the status before a gap is unknown
+      const gap = record.STATUT_PRECEDENT !== status;
+      if (gap) {
+        gaps += 1;
+      }
+      if (record.DATE_HEURE > segmentStart) {
+        segments.push({
+          ID_STATUT: status,
+          ID_SERVICE: service,
+          start: segmentStart,
+          end: record.DATE_HEURE,
+          openStart,
+          openEnd: gap,
+        });
+      }
+      status = record.ID_STATUT;
+      service = record.ID_SERVICE;
+      segmentStart = record.DATE_HEURE;
+      openStart = false;
+    }
+    if (to > segmentStart) {
+      segments.push({
+        ID_STATUT: status,
+        ID_SERVICE: service,
+        start: segmentStart,
+        end: to,
+        openStart,
+        openEnd: true,
+      });
+    }
+
+    timelines.push({ lit, segments, transitions, gaps });
+  }
+  return timelines;
+}
+
+module.exports = {
+  buildTimelines,
+  firstRecordsAfter,
+  lastRecordsBefore,
+  statusAt,
+};
@@ -0,0 +1,70 @@
+const { Lit, Service, Statut } = require("../models");
+const { statusAt } = require("./bedTimeline");
+const { HttpError } = require("./httpError");
+
+// Invalid census instant or time series parameters
+class CensusError extends HttpError {}
+
+/**
+ * Read the `at` query parameter (ISO date); it cannot be in the future.
+ *
+ * @param {string} value
+ * @param {Date} [now=new Date()]
+ * @returns {Date}
+ */
+function parseInstant(value, now = new Date()) {
+  if (!value) {
+    throw new CensusError(400, { error: "at is required" });
+  }
+  const at = new Date(value);
+  if (isNaN(at.getTime())) {
+    throw new CensusError(400, { error: "at must be a valid date" });
+  }
+  if (at > now) {
+    throw new CensusError(400, { error: "at cannot be in the future" });
+  }
+  return at;
+}
+
+/**
+ * Beds as they were at `at`, in the shape of /lits/all: the bed with the
+ * status and service replayed from HistoriqueStatut, LIB_SERVICE and
+ * LIB_STATUT. MAJ_STATUT is the date of the record that set the status
+ * (null when older than the history) and HISTORY_GAP flags beds whose
+ * history misses a change around `at`.
+ *
+ * @param {Object} options
+ * @param {Date} options.at
+ * @param {Object} [options.serviceFilter={}] - Service filter (sector, scope...)
+ *   applied to the service the bed was in at `at`
+ * @returns {Promise<Array<Object>>}
+ */
+async function censusAt({ at, serviceFilter = {} }) {
+  const [services, statuts, beds] = await Promise.all([
+    Service.find(serviceFilter).lean(),
+    Statut.find().lean(),
+    Lit.find().lean(),
+  ]);
+  const serviceNames = new Map(services.map((s) => [s.ID_SERVICE, s.LIB_SERVICE]));
+  const statutNames = new Map(statuts.map((s) => [s.ID_STATUT, s.LIB_STATUT]));
+
+  const states = await statusAt(beds, at);
+  return states
+    .filter((state) => serviceNames.has(state.ID_SERVICE))
+    .map((state) => ({
+      ...state.lit,
+      ID_SERVICE: state.ID_SERVICE,
+      ID_STATUT: state.ID_STATUT,
+      SUB_ID_STATUT: state.SUB_ID_STATUT,
+      MAJ_STATUT: state.since,
+      LIB_SERVICE: serviceNames.get(state.ID_SERVICE),
+      LIB_STATUT: statutNames.get(state.ID_STATUT) ?? null,
+      HISTORY_GAP: state.gap,
+    }));
+}
+
+module.exports = {
+  CensusError,
+  censusAt,
+  parseInstant,
+};
@@ -0,0 +1,252 @@
+const { CensusSnapshot, Lit, Secteur, Service, Statut } = require("../models");
+const { CensusError } = require("./census");
+const { round } = require("./numbers");
+const { DAY } = require("./time");
+
+// Hourly snapshots kept by MongoDB (daily ones are kept)
+const HOURLY_RETENTION_DAYS = Number(process.env.CENSUS_HOURLY_RETENTION_DAYS) || 90;
+// Longest range read from hourly snapshots in one request
+const MAX_HOURLY_RANGE_DAYS = 92;
+
+const FREE = 1;
+const OCCUPIED = 2;
+const OUT_OF_SERVICE = 5;
+
+// Buckets of the time series, from the finest
+const BUCKETS = ["hour", "day", "week", "month"];
+
+/**
+ * Start of the hour, day, week (Monday) or month containing a date, in
+ * server time.
+ *
+ * @param {Date} date
+ * @param {string} bucket - One of BUCKETS
+ * @returns {Date}
+ */
+function bucketStart(date, bucket) {
+  const start = new Date(date);
+  if (bucket === "hour") {
+    start.setMinutes(0, 0, 0);
+    return start;
+  }
+  start.setHours(0, 0, 0, 0);
+  if (bucket === "week") {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (bucket === "month") {
+    start.setDate(1);
+  }
+  return start;
+}
+
+/**
+ * Store the hourly and daily snapshots of the current hour and day when
+ * they are missing: per service, CAPA_ARCHI, CAPA_REELLE and the active
+ * beds per status. Run often enough (every few minutes) by the scheduler;
+ * each hour and day is recorded once, at the first run inside it.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} Snapshots created
+ */
+async function takeCensusSnapshots(now = new Date()) {
+  const hour = bucketStart(now, "hour");
+  const day = bucketStart(now, "day");
+  const [hourly, daily] = await Promise.all([
+    CensusSnapshot.exists({ GRANULARITY: "hour", DATE: hour }),
+    CensusSnapshot.exists({ GRANULARITY: "day", DATE: day }),
+  ]);
+  const due = [];
+  if (!hourly) {
+    due.push({
+      GRANULARITY: "hour",
+      DATE: hour,
+      EXPIRES_AT: new Date(hour.getTime() + HOURLY_RETENTION_DAYS * DAY),
+    });
+  }
+  if (!daily) {
+    due.push({ GRANULARITY: "day", DATE: day, EXPIRES_AT: null });
+  }
+  if (due.length === 0) {
+    return 0;
+  }
+
+  const [services, counts] = await Promise.all([
+    Service.find().lean(),
+    Lit.aggregate([
+      { $match: { ACTIF: true } },
+      {
+        $group: {
+          _id: { ID_SERVICE: "$ID_SERVICE", ID_STATUT: "$ID_STATUT" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+  const statutsByService = new Map();
+  for (const { _id, count } of counts) {
+    if (!statutsByService.has(_id.ID_SERVICE)) {
+      statutsByService.set(_id.ID_SERVICE, {});
+    }
+    statutsByService.get(_id.ID_SERVICE)[_id.ID_STATUT] = count;
+  }
+
+  const operations = [];
+  for (const snapshot of due) {
+    for (const service of services) {
+      const statuts = statutsByService.get(service.ID_SERVICE) || {};
+      operations.push({
+        updateOne: {
+          filter: {
+            GRANULARITY: snapshot.GRANULARITY,
+            DATE: snapshot.DATE,
+            ID_SERVICE: service.ID_SERVICE,
+          },
+          // Never overwrite a snapshot already taken in this hour or day
+          update: {
+            $setOnInsert: {
+              ...snapshot,
+              TAKEN_AT: now,
+              ID_SECTEUR: service.ID_SECTEUR,
+              CAPA_ARCHI: Object.values(statuts).reduce((sum, count) => sum + count, 0),
+              CAPA_REELLE: statuts[FREE] || 0,
+              STATUTS: statuts,
+            },
+          },
+          upsert: true,
+        },
+      });
+    }
+  }
+  if (operations.length === 0) {
+    return 0;
+  }
+  const result = await CensusSnapshot.bulkWrite(operations, { ordered: false });
+  if (result.upsertedCount > 0) {
+    console.log(`📸 Stored ${result.upsertedCount} census snapshot(s)`);
+  }
+  return result.upsertedCount;
+}
+
+/**
+ * Occupancy curves from the stored snapshots. Snapshots of the chosen
+ * granularity are summed per group at each snapshot time, then averaged
+ * over the snapshots of each bucket.
+ *
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} [options.granularity="hour"] - Snapshots read: "hour" or "day"
+ * @param {string} [options.bucket=granularity] - One of BUCKETS, at least the granularity
+ * @param {string} [options.groupBy="total"] - "total", "service" or "secteur"
+ * @param {Object} [options.filter={}] - Snapshot filter (sector, service, scope...)
+ * @returns {Promise<Object>}
+ */
+async function computeTimeseries(options) {
+  const { from, to, granularity = "hour", groupBy = "total", filter = {} } = options;
+  const bucket = options.bucket || granularity;
+  if (!CensusSnapshot.GRANULARITIES.includes(granularity)) {
+    throw new CensusError(400, {
+      error: `granularity must be one of ${CensusSnapshot.GRANULARITIES.join(", ")}`,
+    });
+  }
+  // A bucket cannot be finer than the snapshots it averages
+  const allowed = BUCKETS.slice(BUCKETS.indexOf(granularity));
+  if (!allowed.includes(bucket)) {
+    throw new CensusError(400, { error: `bucket must be one of ${allowed.join(", ")}` });
+  }
+  if (!["total", "service", "secteur"].includes(groupBy)) {
+    throw new CensusError(400, { error: "groupBy must be total, service or secteur" });
+  }
+  if (granularity === "hour" && to - from > MAX_HOURLY_RANGE_DAYS * DAY) {
+    throw new CensusError(400, {
+      error: `Hourly ranges cannot exceed ${MAX_HOURLY_RANGE_DAYS} days`,
+    });
+  }
+
+  const [statuts, services, secteurs] = await Promise.all([
+    Statut.find().sort({ ID_STATUT: 1 }).lean(),
+    groupBy === "service" ? Service.find().lean() : [],
+    groupBy === "secteur" ? Secteur.find().lean() : [],
+  ]);
+  const keyField = { total: null, service: "ID_SERVICE", secteur: "ID_SECTEUR" }[groupBy];
+
+  // group -> bucket -> { dates, sums }
+  const groups = new Map();
+  const cursor = CensusSnapshot.find({
+    ...filter,
+    GRANULARITY: granularity,
+    DATE: { $gte: from, $lte: to },
+  })
+    .sort({ DATE: 1 })
+    .lean()
+    .cursor();
+  for await (const snapshot of cursor) {
+    const key = keyField ? snapshot[keyField] : null;
+    if (!groups.has(key)) {
+      groups.set(key, new Map());
+    }
+    const buckets = groups.get(key);
+    const start = bucketStart(snapshot.DATE, bucket).getTime();
+    if (!buckets.has(start)) {
+      buckets.set(start, { dates: new Set(), CAPA_ARCHI: 0, CAPA_REELLE: 0, statuts: {} });
+    }
+    const point = buckets.get(start);
+    point.dates.add(snapshot.DATE.getTime());
+    point.CAPA_ARCHI += snapshot.CAPA_ARCHI;
+    point.CAPA_REELLE += snapshot.CAPA_REELLE;
+    for (const [statut, count] of Object.entries(snapshot.STATUTS || {})) {
+      point.statuts[statut] = (point.statuts[statut] || 0) + count;
+    }
+  }
+
+  const serviceNames = new Map(services.map((s) => [s.ID_SERVICE, s.LIB_SERVICE]));
+  const secteurNames = new Map(secteurs.map((s) => [s.ID_SECTEUR, s.LIB_SECTEUR]));
+  const label = (key) => {
+    if (groupBy === "service") {
+      return { ID_SERVICE: key, LIB_SERVICE: serviceNames.get(key) || null };
+    }
+    if (groupBy === "secteur") {
+      return { ID_SECTEUR: key, LIB_SECTEUR: secteurNames.get(key) || null };
+    }
+    return {};
+  };
+
+  const series = [...groups.entries()]
+    .map(([key, buckets]) => ({
+      ...label(key),
+      points: [...buckets.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([start, point]) => {
+          const samples = point.dates.size;
+          const occupied = (point.statuts[OCCUPIED] || 0) / samples;
+          const available = (point.CAPA_ARCHI - (point.statuts[OUT_OF_SERVICE] || 0)) / samples;
+          return {
+            date: new Date(start),
+            samples,
+            CAPA_ARCHI: round(point.CAPA_ARCHI / samples),
+            CAPA_REELLE: round(point.CAPA_REELLE / samples),
+            occupancyRate: available > 0 ? round(occupied / available, 4) : null,
+            statusCounts: statuts.map((statut) => ({
+              ID_STATUT: statut.ID_STATUT,
+              LIB_STATUT: statut.LIB_STATUT,
+              count: round((point.statuts[statut.ID_STATUT] || 0) / samples),
+            })),
+          };
+        }),
+    }))
+    .sort((a, b) =>
+      String(a.ID_SECTEUR ?? a.ID_SERVICE ?? "").localeCompare(
+        String(b.ID_SECTEUR ?? b.ID_SERVICE ?? ""),
+        undefined,
+        { numeric: true }
+      )
+    );
+
+  return { from, to, granularity, bucket, groupBy, series };
+}
+
+module.exports = {
+  BUCKETS,
+  bucketStart,
+  computeTimeseries,
+  takeCensusSnapshots,
+};
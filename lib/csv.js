@@ -0,0 +1,36 @@
+// Spreadsheets run text cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape one CSV cell (dates as ISO strings, objects as JSON). Text that a
+// spreadsheet would read as a formula is prefixed with a quote.
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else if (typeof value === "string" && FORMULA_PREFIX.test(value)) {
+    text = `'${value}`;
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV line, ended by CRLF.
+ *
+ * @param {Array} cells
+ * @returns {string}
+ */
+function csvLine(cells) {
+  return `${cells.map(csvCell).join(",")}\r\n`;
+}
+
+module.exports = {
+  csvCell,
+  csvLine,
+};
@@ -0,0 +1,75 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+
+/**
+ * In-process event bus for bed management notifications.
+ *
+ * Domain code publishes events here; notification channels (logs, the SSE
+ * stream...) subscribe without the publisher knowing about them.
+ *
+ * Events:
+ * - "bed.status_changed" ({ ID_LIT, ID_SERVICE, ID_STATUT, STATUT_PRECEDENT, SUB_ID_STATUT, AUTEUR, MAJ_STATUT, isEmergency })
+ * - "task.created" ({ task, ID_SERVICE })
+ * - "task.assigned" ({ task, ID_SERVICE })
+ * - "task.completed" ({ task, ID_SERVICE })
+ * - "task.escalated" ({ task, ID_SERVICE, escalateTo, overdueMinutes })
+ * - "settings.updated" ({ settings })
+ * - "reservation.expired" ({ ID_LIT, ID_SERVICE, isEmergency, RESERVED_DATE, expiredAt })
+ */
+const events = new EventEmitter();
+
+// Any number of channels may listen to the same event
+events.setMaxListeners(0);
+
+// Events published inside a transaction wait on the session until it commits
+const PENDING_EVENTS = Symbol("pendingEvents");
+
+/**
+ * Publish an event, or queue it until the transaction of `session` commits.
+ *
+ * @param {string} name
+ * @param {Object} payload
+ * @param {ClientSession} [session]
+ */
+function publish(name, payload, session = null) {
+  if (session && session[PENDING_EVENTS]) {
+    session[PENDING_EVENTS].push([name, payload]);
+    return;
+  }
+  events.emit(name, payload);
+}
+
+/**
+ * Run `fn` in a transaction and publish its queued events once committed.
+ * Events queued by an aborted attempt are dropped when the driver retries.
+ *
+ * @param {function(ClientSession): Promise<*>} fn
+ */
+async function runTransaction(fn) {
+  let pending = [];
+  const result = await mongoose.connection.transaction((session) => {
+    pending = [];
+    session[PENDING_EVENTS] = pending;
+    return fn(session);
+  });
+  pending.forEach(([name, payload]) => events.emit(name, payload));
+  return result;
+}
+
+events.on("reservation.expired", (payload) => {
+  console.log(
+    `⏰ Reservation expired on bed ${payload.ID_LIT} (${payload.isEmergency ? "emergency hold" : "reservation"}) - released`
+  );
+});
+
+events.on("task.escalated", (payload) => {
+  console.log(
+    `🚨 Task ${payload.task._id} on bed ${payload.task.bedId} is ${payload.overdueMinutes} min past its SLA - escalated to ${payload.escalateTo.join(", ")}`
+  );
+});
+
+module.exports = {
+  events,
+  publish,
+  runTransaction,
+};
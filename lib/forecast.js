@@ -0,0 +1,410 @@
+const { Admission, Lit, Service, Settings } = require("../models");
+const { buildTimelines } = require("./bedTimeline");
+const { bucketStart } = require("./censusSnapshots");
+const { HttpError } = require("./httpError");
+const { round } = require("./numbers");
+const { DAY, HOUR, MINUTE } = require("./time");
+
+const DEFAULT_HORIZON_HOURS = 24;
+const MAX_HORIZON_HOURS = 72;
+// History the status durations are learnt from
+const LOOKBACK_DAYS = Number(process.env.FORECAST_LOOKBACK_DAYS) || 90;
+// Simulated futures per forecast; the band is their 10th-90th percentile
+const SIMULATIONS = 500;
+// Below this, a service uses the durations observed in every service
+const MIN_SAMPLES = 20;
+// Fixed seed: the same data always gives the same forecast
+const SEED = 20261018;
+// Learnt durations are reused by the forecasts of this period
+const CACHE_MINUTES = Number(process.env.FORECAST_CACHE_MINUTES) || 60;
+// Beds simulated between two yields to the event loop
+const BEDS_PER_BATCH = 10;
+
+const FREE = 1;
+const OCCUPIED = 2;
+const CLEANING = 3;
+const MAINTENANCE = 4;
+const RESERVED = 6;
+
+// Invalid forecast horizon
+class ForecastError extends HttpError {}
+
+/**
+ * Read the horizon parameter: "24h", "2d" or a number of hours.
+ *
+ * @param {string} [value]
+ * @returns {number} Hours
+ */
+function parseHorizon(value) {
+  if (value === undefined || value === "") {
+    return DEFAULT_HORIZON_HOURS;
+  }
+  const match = /^(\d+)\s*([hd]?)$/i.exec(String(value).trim());
+  const hours = match ? Number(match[1]) * (match[2].toLowerCase() === "d" ? 24 : 1) : NaN;
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HORIZON_HOURS) {
+    throw new ForecastError(400, {
+      error: `horizon must be between 1h and ${MAX_HORIZON_HOURS}h (e.g. 24h or 2d)`,
+    });
+  }
+  return hours;
+}
+
+// Mulberry32 pseudo-random generator
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Index of the first sorted value above `min`
+function firstAbove(sorted, min, value = (item) => item) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (value(sorted[middle]) > min) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Stays observed in the history: for each status, how long beds stayed in
+ * it and the status they went to next, overall and per service.
+ *
+ * @param {Date} now
+ * @returns {Promise<{all: Map, byService: Map}>} status -> stays sorted by duration
+ */
+async function learnStays(now) {
+  const beds = await Lit.find({ ACTIF: true }).lean();
+  const from = new Date(now.getTime() - LOOKBACK_DAYS * DAY);
+  const timelines = await buildTimelines(beds, from, now);
+
+  const all = new Map();
+  const byService = new Map();
+  const add = (map, status, stay) => {
+    if (!map.has(status)) {
+      map.set(status, []);
+    }
+    map.get(status).push(stay);
+  };
+  for (const { segments } of timelines) {
+    segments.forEach((segment, index) => {
+      const next = segments[index + 1];
+      // Only stays whose start and end were both recorded
+      if (segment.openStart || segment.openEnd || !next) {
+        return;
+      }
+      const stay = { duration: segment.end - segment.start, next: next.ID_STATUT };
+      add(all, segment.ID_STATUT, stay);
+      if (!byService.has(segment.ID_SERVICE)) {
+        byService.set(segment.ID_SERVICE, new Map());
+      }
+      add(byService.get(segment.ID_SERVICE), segment.ID_STATUT, stay);
+    });
+  }
+  const sort = (map) => map.forEach((stays) => stays.sort((a, b) => a.duration - b.duration));
+  sort(all);
+  byService.forEach(sort);
+  return { all, byService };
+}
+
+// Gap between planned and actual discharge of recent admissions (sorted)
+async function learnDischargeDelays(now) {
+  const admissions = await Admission.find({
+    STATUT: "SORTIE",
+    DATE_SORTIE: { $gte: new Date(now.getTime() - LOOKBACK_DAYS * DAY) },
+    DATE_SORTIE_PREVUE: { $ne: null },
+  })
+    .select("DATE_SORTIE DATE_SORTIE_PREVUE")
+    .lean();
+  return admissions
+    .map((admission) => admission.DATE_SORTIE - admission.DATE_SORTIE_PREVUE)
+    .sort((a, b) => a - b);
+}
+
+// Stays and discharge delays being learnt or learnt at `at`
+let learnt = null;
+
+/**
+ * What the forecast learns from the history (learnStays,
+ * learnDischargeDelays), shared by every forecast for CACHE_MINUTES:
+ * rebuilding the timelines of every bed on each request would be too slow.
+ *
+ * @param {Date} now
+ * @returns {Promise<{stays: Object, dischargeDelays: Array<number>}>}
+ */
+function learnHistory(now) {
+  if (!learnt || Math.abs(now - learnt.at) >= CACHE_MINUTES * MINUTE) {
+    const promise = Promise.all([learnStays(now), learnDischargeDelays(now)]).then(
+      ([stays, dischargeDelays]) => ({ stays, dischargeDelays })
+    );
+    learnt = { at: now.getTime(), promise };
+    // A failure is not cached: the next forecast learns again
+    promise.catch(() => {
+      if (learnt && learnt.promise === promise) {
+        learnt = null;
+      }
+    });
+  }
+  return learnt.promise;
+}
+
+// Let other requests, SSE heartbeats and the scheduler run between batches
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// End of a booked cleaning or maintenance slot (Infinity when none)
+function slotEnd(date, interval) {
+  return date ? new Date(date).getTime() + interval * MINUTE : Infinity;
+}
+
+// When the scheduler releases a reservation (see findExpiredReservations)
+function reservationExpiry(bed, settings) {
+  const gracePeriod = bed.isEmergency
+    ? settings.emergencyGracePeriod
+    : settings.reservationGracePeriod;
+  return new Date(bed.RESERVED_DATE || bed.MAJ_STATUT).getTime() + gracePeriod * MINUTE;
+}
+
+/**
+ * Simulate the statuses of one bed until `end`.
+ *
+ * The first change uses what is known about the bed: the planned discharge
+ * of its admission, the end of its cleaning or maintenance slot, the expiry
+ * of its reservation. Otherwise, and for the following changes, a stay is
+ * drawn among the observed stays of the status that lasted longer than the
+ * time already spent in it. A bed whose status has no such stay keeps it.
+ *
+ * @returns {Array<{at: number, status: number}>} Status changes
+ */
+function simulateBed(bed, context, random) {
+  const { now, end, settings, dischargeDelays } = context;
+  const staysOf = (status) => {
+    const own = context.stays.byService.get(bed.ID_SERVICE);
+    if (own && own.has(status) && own.get(status).length >= MIN_SAMPLES) {
+      return own.get(status);
+    }
+    return context.stays.all.get(status) || [];
+  };
+  const drawStay = (status, age) => {
+    const stays = staysOf(status);
+    const start = firstAbove(stays, age, (stay) => stay.duration);
+    if (start === stays.length) {
+      return null;
+    }
+    const stay = stays[start + Math.floor(random() * (stays.length - start))];
+    return { at: stay.duration - age, next: stay.next };
+  };
+  const drawNext = (status, fallback) => {
+    const stays = staysOf(status);
+    return stays.length ? stays[Math.floor(random() * stays.length)].next : fallback;
+  };
+
+  let status = bed.ID_STATUT;
+  let time = now;
+  let change = null;
+  const age = now - new Date(bed.MAJ_STATUT || now);
+
+  if (status === OCCUPIED && bed.plannedDischarge) {
+    const planned = bed.plannedDischarge.getTime();
+    if (dischargeDelays.length >= MIN_SAMPLES) {
+      const start = firstAbove(dischargeDelays, now - planned);
+      if (start < dischargeDelays.length) {
+        const index = start + Math.floor(random() * (dischargeDelays.length - start));
+        const delay = dischargeDelays[index];
+        change = { at: planned + delay - now, next: drawNext(OCCUPIED, CLEANING) };
+      }
+    } else if (planned > now) {
+      change = { at: planned - now, next: drawNext(OCCUPIED, CLEANING) };
+    }
+  } else if (status === CLEANING && bed.CLEANING_DATE) {
+    const done = slotEnd(bed.CLEANING_DATE, settings.cleaningTimeInterval);
+    if (done > now) {
+      change = { at: done - now, next: drawNext(CLEANING, FREE) };
+    }
+  } else if (status === MAINTENANCE && bed.MAINTENANCE_DATE) {
+    const done = slotEnd(bed.MAINTENANCE_DATE, settings.maintenanceTimeInterval);
+    if (done > now) {
+      change = { at: done - now, next: drawNext(MAINTENANCE, FREE) };
+    }
+  } else if (status === RESERVED) {
+    // Released by the scheduler when the hold runs out
+    const expiry = Math.max(reservationExpiry(bed, settings) - now, 0);
+    change = drawStay(RESERVED, age);
+    if (!change || change.at > expiry) {
+      change = { at: expiry, next: FREE };
+    }
+  }
+  if (!change) {
+    change = drawStay(status, age);
+  }
+
+  const changes = [];
+  while (change && time + change.at < end) {
+    time += change.at;
+    status = change.next;
+    changes.push({ at: time, status });
+    change = drawStay(status, 0);
+  }
+  return changes;
+}
+
+function percentile(sorted, share) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+}
+
+function emptyGroup(pointCount) {
+  return {
+    bedCount: 0,
+    freeNow: 0,
+    drivers: {
+      plannedDischarges: 0,
+      cleaningCompletions: 0,
+      maintenanceCompletions: 0,
+      reservationsExpiring: 0,
+    },
+    // Free beds at each point of each run
+    counts: new Int32Array(SIMULATIONS * pointCount),
+  };
+}
+
+function summarize(group, points) {
+  const runs = new Int32Array(SIMULATIONS);
+  return {
+    bedCount: group.bedCount,
+    freeNow: group.freeNow,
+    drivers: group.drivers,
+    points: points.map((at, index) => {
+      let sum = 0;
+      for (let run = 0; run < SIMULATIONS; run += 1) {
+        runs[run] = group.counts[run * points.length + index];
+        sum += runs[run];
+      }
+      runs.sort();
+      return {
+        at: new Date(at),
+        expectedFree: round(sum / SIMULATIONS, 1),
+        low: percentile(runs, 0.1),
+        median: percentile(runs, 0.5),
+        high: percentile(runs, 0.9),
+      };
+    }),
+  };
+}
+
+/**
+ * Hourly projection of the free beds of the active beds, per service and in
+ * total. Each bed is simulated SIMULATIONS times from its current status
+ * (see simulateBed); a point gives the average number of free beds, the
+ * median and the 80% band (10th to 90th percentile) over the runs. The
+ * simulation yields to the event loop every BEDS_PER_BATCH beds.
+ *
+ * @param {Object} options
+ * @param {number} [options.horizon=24] - Hours
+ * @param {Object} [options.serviceFilter={}] - Service filter (sector, scope...)
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<Object>}
+ */
+async function computeForecast(options) {
+  const { horizon = DEFAULT_HORIZON_HOURS, serviceFilter = {}, now = new Date() } = options;
+  const services = await Service.find(serviceFilter).lean();
+  const [beds, admissions, settings, { stays, dischargeDelays }] = await Promise.all([
+    Lit.find({ ACTIF: true, ID_SERVICE: { $in: services.map((s) => s.ID_SERVICE) } }).lean(),
+    Admission.find({ STATUT: "EN_COURS", DATE_SORTIE_PREVUE: { $ne: null } })
+      .select("ID_LIT DATE_SORTIE_PREVUE")
+      .lean(),
+    Settings.getCurrentSettings(),
+    learnHistory(now),
+  ]);
+
+  const start = now.getTime();
+  const end = start + horizon * HOUR;
+  // Clock hours from the next one to the end of the horizon
+  const firstPoint = bucketStart(now, "hour").getTime() + HOUR;
+  const points = [];
+  for (let at = firstPoint; at <= end; at += HOUR) {
+    points.push(at);
+  }
+
+  const plannedDischarges = new Map(admissions.map((a) => [a.ID_LIT, a.DATE_SORTIE_PREVUE]));
+  const groups = new Map(services.map((s) => [s.ID_SERVICE, emptyGroup(points.length)]));
+  const total = emptyGroup(points.length);
+  const context = { now: start, end, settings, stays, dischargeDelays };
+  const random = seededRandom(SEED);
+
+  for (const [index, lit] of beds.entries()) {
+    if (index > 0 && index % BEDS_PER_BATCH === 0) {
+      await yieldToEventLoop();
+    }
+    const bed = { ...lit, plannedDischarge: plannedDischarges.get(lit.ID_LIT) || null };
+    const targets = [groups.get(bed.ID_SERVICE), total];
+    // Known events expected within the horizon
+    const driver = {
+      plannedDischarges:
+        bed.ID_STATUT === OCCUPIED && bed.plannedDischarge && bed.plannedDischarge <= end,
+      cleaningCompletions:
+        bed.ID_STATUT === CLEANING &&
+        slotEnd(bed.CLEANING_DATE, settings.cleaningTimeInterval) <= end,
+      maintenanceCompletions:
+        bed.ID_STATUT === MAINTENANCE &&
+        slotEnd(bed.MAINTENANCE_DATE, settings.maintenanceTimeInterval) <= end,
+      reservationsExpiring:
+        bed.ID_STATUT === RESERVED && reservationExpiry(bed, settings) <= end,
+    };
+    for (const group of targets) {
+      group.bedCount += 1;
+      group.freeNow += bed.ID_STATUT === FREE ? 1 : 0;
+      for (const [name, expected] of Object.entries(driver)) {
+        group.drivers[name] += expected ? 1 : 0;
+      }
+    }
+
+    for (let run = 0; run < SIMULATIONS; run += 1) {
+      const changes = simulateBed(bed, context, random);
+      let status = bed.ID_STATUT;
+      let next = 0;
+      points.forEach((at, index) => {
+        while (next < changes.length && changes[next].at <= at) {
+          status = changes[next].status;
+          next += 1;
+        }
+        if (status === FREE) {
+          for (const group of targets) {
+            group.counts[run * points.length + index] += 1;
+          }
+        }
+      });
+    }
+  }
+
+  return {
+    generatedAt: now,
+    horizonHours: horizon,
+    simulations: SIMULATIONS,
+    lookbackDays: LOOKBACK_DAYS,
+    total: summarize(total, points),
+    services: services
+      .map((service) => ({
+        ID_SERVICE: service.ID_SERVICE,
+        LIB_SERVICE: service.LIB_SERVICE,
+        ...summarize(groups.get(service.ID_SERVICE), points),
+      }))
+      .sort((a, b) => a.ID_SERVICE.localeCompare(b.ID_SERVICE, undefined, { numeric: true })),
+  };
+}
+
+module.exports = {
+  ForecastError,
+  computeForecast,
+  parseHorizon,
+};
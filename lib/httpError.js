@@ -0,0 +1,24 @@
+/**
+ * Error carrying the HTTP status and JSON body to send back to the client.
+ *
+ * Domain modules throw a subclass named after their domain (BedStatusError,
+ * ScheduleError...); routes answer every one of them the same way:
+ *
+ *   if (error instanceof HttpError) {
+ *     return res.status(error.status).json(error.body);
+ *   }
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body, with at least an `error` message
+   */
+  constructor(status, body) {
+    super(body.error);
+    this.name = new.target.name;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+module.exports = { HttpError };
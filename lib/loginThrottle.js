@@ -0,0 +1,297 @@
+const { LoginAttempt, Settings } = require("../models");
+const { recordAuthEvent } = require("./authAudit");
+const { MINUTE, SECOND } = require("./time");
+
+// Upper bound of the progressive delay, in seconds
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Brute-force protection for POST /utilisateurs/login.
+ *
+ * Failed attempts are counted per account (email, known or not, so lockouts
+ * do not reveal which accounts exist) and per client IP. After each failure
+ * the next attempt must wait loginDelaySeconds, doubled every time; once
+ * loginMaxAttempts (account) or loginIpMaxAttempts (IP) is reached the key
+ * is locked for loginLockoutMinutes. Counters are forgotten after
+ * loginFailureWindow minutes without failure.
+ *
+ * Every attempt is reserved (PENDING) before the credentials are checked,
+ * so parallel requests cannot all pass the gate before a failure is counted.
+ * The route then ends the reservation with recordLoginFailure,
+ * recordLoginSuccess or releaseLoginAttempt. Routes checking a password or a
+ * second factor use the request helpers at the end of this file.
+ */
+
+function keysFor(email, ip) {
+  const keys = [{ KEY_TYPE: "account", KEY: String(email).toLowerCase() }];
+  if (ip) {
+    keys.push({ KEY_TYPE: "ip", KEY: ip });
+  }
+  return keys;
+}
+
+function limitsOf(settings) {
+  return { account: settings.loginMaxAttempts, ip: settings.loginIpMaxAttempts };
+}
+
+// Seconds to wait after `failures` consecutive failures
+function progressiveDelay(settings, failures) {
+  if (failures <= 0 || settings.loginDelaySeconds <= 0) {
+    return 0;
+  }
+  return Math.min(settings.loginDelaySeconds * 2 ** (failures - 1), MAX_DELAY_SECONDS);
+}
+
+// A counter whose last failure is outside the window (and not locked) no longer counts
+function staleFilter(settings, now) {
+  const windowStart = new Date(now.getTime() - settings.loginFailureWindow * MINUTE);
+  return {
+    $and: [
+      { $or: [{ LOCKED_UNTIL: null }, { LOCKED_UNTIL: { $lte: now } }] },
+      {
+        $or: [
+          { LAST_FAILURE_AT: null },
+          { LAST_FAILURE_AT: { $lt: windowStart } },
+          { LOCKED_UNTIL: { $lte: now } },
+        ],
+      },
+    ],
+  };
+}
+
+// Why an attempt reserved on this counter must be refused, or null
+function refusal(attempt, limit, settings, now) {
+  if (attempt.isLocked(now)) {
+    return {
+      reason: `${attempt.KEY_TYPE}_locked`,
+      retryAfter: Math.ceil((attempt.LOCKED_UNTIL - now) / SECOND),
+    };
+  }
+  // The attempts still being checked may reach the limit and lock the key
+  if (attempt.FAILURES + attempt.PENDING > limit) {
+    return {
+      reason: `${attempt.KEY_TYPE}_locked`,
+      retryAfter: settings.loginLockoutMinutes * MINUTE / SECOND,
+    };
+  }
+  if (attempt.FAILURES === 0) {
+    return null;
+  }
+  // After a failure, one attempt at a time once the delay has passed
+  const waitUntil = attempt.LAST_FAILURE_AT.getTime()
+    + progressiveDelay(settings, attempt.FAILURES) * SECOND;
+  if (attempt.PENDING > 1 || waitUntil > now.getTime()) {
+    return {
+      reason: "throttled",
+      retryAfter: Math.max(Math.ceil((waitUntil - now.getTime()) / SECOND), 1),
+    };
+  }
+  return null;
+}
+
+// End the reservation of one attempt on a counter
+async function release(key) {
+  await LoginAttempt.updateOne({ ...key, PENDING: { $gt: 0 } }, { $inc: { PENDING: -1 } });
+}
+
+/**
+ * Reserve a login attempt before the credentials are checked. Each counter
+ * is incremented with one atomic update and the attempt is allowed or
+ * refused from the counts it returns; a refused attempt is released at
+ * once.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+ *   reason is "account_locked", "ip_locked" or "throttled"; retryAfter in seconds
+ */
+async function reserveLoginAttempt(email, ip, now = new Date()) {
+  const settings = await Settings.getCurrentSettings();
+  const limits = limitsOf(settings);
+  const windowEnd = new Date(now.getTime() + settings.loginFailureWindow * MINUTE);
+
+  let result = { allowed: true };
+  const keys = keysFor(email, ip);
+  for (const key of keys) {
+    await LoginAttempt.updateOne(
+      { ...key, ...staleFilter(settings, now) },
+      { $set: { FAILURES: 0, FIRST_FAILURE_AT: now, LOCKED_UNTIL: null } }
+    );
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      key,
+      {
+        $inc: { PENDING: 1 },
+        $setOnInsert: { FAILURES: 0, FIRST_FAILURE_AT: now },
+        $max: { EXPIRES_AT: windowEnd },
+      },
+      { upsert: true, new: true }
+    );
+    const candidate = refusal(attempt, limits[key.KEY_TYPE], settings, now);
+    if (candidate && (result.allowed || candidate.retryAfter > result.retryAfter)) {
+      result = { allowed: false, ...candidate };
+    }
+  }
+  if (!result.allowed) {
+    await Promise.all(keys.map(release));
+  }
+  return result;
+}
+
+/**
+ * Count a failed login for the account and the IP, ending its reservation.
+ *
+ * @param {string} email
+ * @param {string} ip
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{failures: number, locked: Array<string>, lockedUntil: Date|null}>}
+ *   failures on the account, and the key types that were just locked
+ */
+async function recordLoginFailure(email, ip, now = new Date()) {
+  const settings = await Settings.getCurrentSettings();
+  const limits = limitsOf(settings);
+  const windowEnd = new Date(now.getTime() + settings.loginFailureWindow * MINUTE);
+
+  const result = { failures: 0, locked: [], lockedUntil: null };
+  for (const key of keysFor(email, ip)) {
+    await release(key);
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      key,
+      {
+        $inc: { FAILURES: 1 },
+        $set: { LAST_FAILURE_AT: now },
+        $setOnInsert: { FIRST_FAILURE_AT: now },
+        $max: { EXPIRES_AT: windowEnd },
+      },
+      { upsert: true, new: true }
+    );
+
+    // Only the failure that reaches the limit locks the key
+    if (!attempt.isLocked(now) && attempt.FAILURES >= limits[key.KEY_TYPE]) {
+      const lockedUntil = new Date(now.getTime() + settings.loginLockoutMinutes * MINUTE);
+      const { modifiedCount } = await LoginAttempt.updateOne(
+        { ...key, $or: [{ LOCKED_UNTIL: null }, { LOCKED_UNTIL: { $lte: now } }] },
+        { $set: { LOCKED_UNTIL: lockedUntil }, $max: { EXPIRES_AT: lockedUntil } }
+      );
+      if (modifiedCount > 0) {
+        result.locked.push(key.KEY_TYPE);
+        result.lockedUntil = lockedUntil;
+      }
+    }
+
+    if (key.KEY_TYPE === "account") {
+      result.failures = attempt.FAILURES;
+    }
+  }
+  return result;
+}
+
+// Attempt ended without a verdict (e.g. a second factor is still due): the counters are kept
+async function releaseLoginAttempt(email, ip) {
+  await Promise.all(keysFor(email, ip).map(release));
+}
+
+// Successful login: the account counter starts over (the IP one is kept)
+async function recordLoginSuccess(email, ip) {
+  await LoginAttempt.deleteOne({ KEY_TYPE: "account", KEY: String(email).toLowerCase() });
+  if (ip) {
+    await release({ KEY_TYPE: "ip", KEY: ip });
+  }
+}
+
+/**
+ * Clear the failed attempts and lockout of an account.
+ *
+ * @param {string} email
+ * @returns {Promise<boolean>} Whether the account was locked
+ */
+async function unlockAccount(email, now = new Date()) {
+  const attempt = await LoginAttempt.findOneAndDelete({
+    KEY_TYPE: "account",
+    KEY: String(email).toLowerCase(),
+  });
+  return Boolean(attempt && attempt.isLocked(now));
+}
+
+// Accounts and IPs currently locked
+async function findLockouts(now = new Date()) {
+  return LoginAttempt.find({ LOCKED_UNTIL: { $gt: now } }).sort({ LOCKED_UNTIL: -1 });
+}
+
+/**
+ * Reserve the attempt, or answer 429 when the account or IP is locked or
+ * must still wait after a failed attempt. Returns true when the response was
+ * sent. A reserved attempt ends with registerFailure, registerSuccess or
+ * releaseAttempt.
+ *
+ * @param {Request} req
+ * @param {Response} res
+ * @param {string} email - Account the password or code belongs to
+ * @returns {Promise<boolean>}
+ */
+async function rejectThrottled(req, res, email) {
+  const throttle = await reserveLoginAttempt(email, req.ip);
+  if (throttle.allowed) {
+    req.loginAttempt = email;
+    return false;
+  }
+  await recordAuthEvent("login_throttled", { req, email, details: throttle });
+  res.setHeader("Retry-After", String(throttle.retryAfter));
+  res.status(429).json({
+    error:
+      throttle.reason === "throttled"
+        ? "Too many failed attempts, please wait before retrying"
+        : "Too many failed attempts, login temporarily locked",
+    retryAfter: throttle.retryAfter,
+  });
+  return true;
+}
+
+// Count a failed password or code check and audit it, with the lockouts it triggers
+async function registerFailure(req, email, user, reason) {
+  req.loginAttempt = null;
+  const failure = await recordLoginFailure(email, req.ip);
+  await recordAuthEvent("login_failure", {
+    req,
+    user,
+    email,
+    details: { reason, failures: failure.failures },
+  });
+  for (const keyType of failure.locked) {
+    await recordAuthEvent(`${keyType}_locked`, {
+      req,
+      user,
+      email,
+      details: { lockedUntil: failure.lockedUntil },
+    });
+  }
+}
+
+// Password or code accepted: the account counter starts over
+async function registerSuccess(req, email) {
+  req.loginAttempt = null;
+  await recordLoginSuccess(email, req.ip);
+}
+
+// End a reserved attempt without counting it (second factor still due, error)
+async function releaseAttempt(req) {
+  if (!req.loginAttempt) {
+    return;
+  }
+  const email = req.loginAttempt;
+  req.loginAttempt = null;
+  try {
+    await releaseLoginAttempt(email, req.ip);
+  } catch (error) {
+    console.error("❌ Error releasing a login attempt:", error);
+  }
+}
+
+module.exports = {
+  findLockouts,
+  registerFailure,
+  registerSuccess,
+  rejectThrottled,
+  releaseAttempt,
+  unlockAccount,
+};
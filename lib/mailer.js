@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { MAIL_TRANSPORT, MAIL_FROM, MAIL_DIR } = require("../config/mail");
+
+/**
+ * Mail transports by name. A transport is an async function receiving
+ * { from, to, subject, text, date } and resolving with { sent: false } when
+ * it dropped the message; MAIL_TRANSPORT picks the one used.
+ */
+const transports = {
+  // Default: nothing is sent until a transport is configured
+  none: async (message) => {
+    console.warn(`⚠️ Mail to ${message.to} not sent: MAIL_TRANSPORT is not configured`);
+    return { sent: false };
+  },
+  // Development only: print the message in the server log. Elsewhere the
+  // message holds live reset links, so it is dropped like with "none".
+  console: async (message) => {
+    if (process.env.NODE_ENV !== "development") {
+      console.warn(
+        `⚠️ Mail to ${message.to} not sent: the console transport only prints in development`
+      );
+      return { sent: false };
+    }
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  },
+  // Tests and offline environments: one JSON file per message in MAIL_DIR
+  file: async (message) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const name = `${message.date.getTime()}-${crypto.randomBytes(4).toString("hex")}.json`;
+    const file = path.join(MAIL_DIR, name);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    return { file };
+  },
+};
+
+/**
+ * Add or replace a transport, e.g. an SMTP client at startup.
+ *
+ * @param {string} name - Value of MAIL_TRANSPORT selecting it
+ * @param {Function} send - async (message) => info
+ */
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send a plain text email with the configured transport.
+ *
+ * @param {Object} mail
+ * @param {string} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @returns {Promise<Object>} Transport info, { sent: false } when nothing was sent
+ */
+async function sendMail({ to, subject, text }) {
+  const send = transports[MAIL_TRANSPORT];
+  if (!send) {
+    throw new Error(`Unknown mail transport "${MAIL_TRANSPORT}"`);
+  }
+  return send({ from: MAIL_FROM, to, subject, text, date: new Date() });
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+};
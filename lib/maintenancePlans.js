@@ -0,0 +1,278 @@
+const { MaintenancePlan, Task, Lit, Service, Settings } = require("../models");
+const { SYSTEM_AUTHOR, changeBedStatus } = require("./bedStatus");
+const { publish, runTransaction } = require("./events");
+const { ScheduleError, getSlots } = require("./schedule");
+const { DAY } = require("./time");
+
+// Skipped occurrences kept on a plan
+const MAX_SKIPPED_OCCURRENCES = 50;
+
+/**
+ * Book a maintenance slot for every bed of the given occurrences through the
+ * schedule engine, so that planned tasks share the agents' capacity with the
+ * beds and plans already booked. From the slot of the plan's time of day (the
+ * start of maintenance hours if outside them), each bed takes the next slot
+ * with a free agent; in the plan's own slot the bed keeps the plan's time.
+ *
+ * Beds that already have a task of the plan on the day of an occurrence are
+ * skipped, unless `replace` is set: the plan's tasks are then ignored as they
+ * are about to be generated again.
+ *
+ * @param {Document} plan
+ * @param {Array<Document>} beds
+ * @param {Array<Date>} occurrences
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false]
+ * @returns {Promise<Array<{lit: Document, time: Date}>>}
+ * @throws {ScheduleError} 409 when the beds of an occurrence do not fit
+ *   before the end of maintenance hours
+ */
+async function allocatePlanSlots(plan, beds, occurrences, { replace = false } = {}) {
+  const bookings = [];
+  for (const occurrence of occurrences) {
+    const day = new Date(occurrence);
+    day.setHours(0, 0, 0, 0);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    let pending = beds;
+    if (!replace) {
+      const generated = await Task.distinct("bedId", {
+        planId: plan._id,
+        taskCompletionDateTime: { $gte: day, $lt: nextDay },
+      });
+      pending = beds.filter((lit) => !generated.includes(lit.ID_LIT));
+    }
+    if (pending.length === 0) {
+      continue;
+    }
+
+    const { start, end, slots } = await getSlots("maintenance", day, {
+      excludePlanId: replace ? plan._id : null,
+    });
+    let first = new Date(occurrence);
+    first.setHours(plan.startDate.getHours(), plan.startDate.getMinutes(), 0, 0);
+    if (first < start || first >= end) {
+      first = start;
+    }
+
+    let index = slots.findIndex((slot) => slot.end > first);
+    for (const lit of pending) {
+      while (index !== -1 && index < slots.length && slots[index].available === 0) {
+        index += 1;
+      }
+      if (index === -1 || index === slots.length) {
+        throw new ScheduleError(409, {
+          error: `Plan "${plan.name}" does not fit in the maintenance slots of ${start.toISOString()}: no agent left for bed ${lit.ID_LIT}`,
+          ID_LIT: lit.ID_LIT,
+          date: start,
+        });
+      }
+      const slot = slots[index];
+      slot.available -= 1;
+      bookings.push({ lit, time: slot.start <= first ? first : slot.start });
+    }
+  }
+  return bookings;
+}
+
+// Active beds covered by a plan
+async function planBeds(plan) {
+  const filter = plan.bedId
+    ? { ID_LIT: plan.bedId, ACTIF: true }
+    : { ID_SERVICE: plan.serviceId, ACTIF: true };
+  return Lit.find(filter).sort({ ID_LIT: 1 });
+}
+
+// Occurrences of a plan still to generate, up to its horizon
+function pendingOccurrences(plan, lastGeneratedAt, now) {
+  const from = lastGeneratedAt
+    ? new Date(Math.max(lastGeneratedAt.getTime() + 1, now.getTime() - DAY))
+    : new Date(now.getTime() - DAY);
+  const to = new Date(now.getTime() + plan.horizonDays * DAY);
+  return plan.getOccurrences(from, to);
+}
+
+/**
+ * Create the maintenance tasks of a plan's occurrences up to its horizon,
+ * in the slots booked by allocatePlanSlots, one occurrence at a time.
+ * Occurrences already generated are skipped. An occurrence whose beds do not
+ * all fit gets no task and is recorded in skippedOccurrences; the following
+ * ones are still generated.
+ *
+ * @param {Document} plan
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<Document>>} Created tasks
+ */
+async function generatePlanTasks(plan, now = new Date()) {
+  if (!plan.isActive) {
+    return [];
+  }
+  const occurrences = pendingOccurrences(plan, plan.lastGeneratedAt, now);
+  if (occurrences.length === 0) {
+    return [];
+  }
+
+  const beds = await planBeds(plan);
+  const services = await Service.find({
+    ID_SERVICE: { $in: [...new Set(beds.map((b) => b.ID_SERVICE))] },
+  });
+
+  const created = [];
+  const skipped = [];
+  for (const occurrence of occurrences) {
+    let bookings;
+    try {
+      bookings = await allocatePlanSlots(plan, beds, [occurrence]);
+    } catch (error) {
+      if (!(error instanceof ScheduleError)) {
+        throw error;
+      }
+      skipped.push({
+        date: occurrence,
+        ID_LIT: error.body.ID_LIT,
+        reason: error.body.error,
+        skippedAt: now,
+      });
+      continue;
+    }
+    for (const { lit, time } of bookings) {
+      const service = services.find((s) => s.ID_SERVICE === lit.ID_SERVICE);
+      const task = await Task.create({
+        bedId: lit.ID_LIT,
+        serviceName: service ? service.LIB_SERVICE : lit.ID_SERVICE,
+        ID_SERVICE: lit.ID_SERVICE,
+        taskType: 4,
+        creationDate: now,
+        taskCompletionDateTime: time,
+        gender: lit.GENDER || "",
+        planId: plan._id,
+      });
+      publish("task.created", { task, ID_SERVICE: lit.ID_SERVICE });
+      created.push(task);
+    }
+  }
+
+  plan.lastGeneratedAt = occurrences[occurrences.length - 1];
+  if (skipped.length > 0) {
+    plan.skippedOccurrences = [...plan.skippedOccurrences, ...skipped].slice(
+      -MAX_SKIPPED_OCCURRENCES
+    );
+    console.warn(
+      `⚠️  Plan "${plan.name}": ${skipped.length} occurrence(s) skipped, no maintenance slot left`
+    );
+  }
+  await plan.save();
+
+  if (created.length > 0) {
+    console.log(`🛠️  Plan "${plan.name}": ${created.length} preventive maintenance tasks generated`);
+  }
+  return created;
+}
+
+/**
+ * Check, before saving a new or rescheduled plan, that all its occurrences
+ * up to the horizon fit in the maintenance slots, as if its tasks were
+ * generated again from scratch.
+ *
+ * @param {Document} plan
+ * @param {Date} [now=new Date()]
+ * @throws {ScheduleError} 409 when the plan does not fit in the slots
+ */
+async function assertPlanFits(plan, now = new Date()) {
+  if (!plan.isActive) {
+    return;
+  }
+  const occurrences = pendingOccurrences(plan, null, now);
+  if (occurrences.length > 0) {
+    await allocatePlanSlots(plan, await planBeds(plan), occurrences, { replace: true });
+  }
+}
+
+// Scheduler job: generate the tasks of every active plan
+async function generateMaintenanceTasks(now = new Date()) {
+  const plans = await MaintenancePlan.find({ isActive: true });
+  const created = [];
+  for (const plan of plans) {
+    try {
+      created.push(...(await generatePlanTasks(plan, now)));
+    } catch (error) {
+      console.error(`❌ Error generating tasks for maintenance plan ${plan._id}:`, error);
+    }
+  }
+  return created;
+}
+
+/**
+ * Scheduler job: move free beds to "En maintenance" (4) when the slot of a
+ * blocking plan's task starts. Beds that are not free are retried until
+ * the end of that day's maintenance hours. Each bed is blocked in its own
+ * transaction, only if it is still free when read inside it.
+ */
+async function blockPlannedBeds(now = new Date()) {
+  const plans = await MaintenancePlan.find({ isActive: true, blockBed: true });
+  if (plans.length === 0) {
+    return [];
+  }
+
+  const settings = await Settings.getCurrentSettings();
+  const tasks = await Task.find({
+    planId: { $in: plans.map((p) => p._id) },
+    isDone: false,
+    bedBlockedAt: null,
+    taskCompletionDateTime: { $gte: new Date(now.getTime() - DAY), $lte: now },
+  });
+
+  const blocked = [];
+  for (const task of tasks) {
+    const dayEnd = new Date(task.taskCompletionDateTime);
+    dayEnd.setHours(settings.maintenanceEndTime, 0, 0, 0);
+    if (now >= dayEnd) {
+      continue;
+    }
+    try {
+      // The bed and the task are read again in the transaction so a bed
+      // occupied (or a task completed) since the listing is left alone
+      const done = await runTransaction(async (session) => {
+        const lit = await Lit.findOne({
+          ID_LIT: task.bedId,
+          ID_STATUT: 1,
+          ACTIF: true,
+        }).session(session);
+        const current = await Task.findOne({
+          _id: task._id,
+          isDone: false,
+          bedBlockedAt: null,
+        }).session(session);
+        if (!lit || !current) {
+          return null;
+        }
+        // The plan's task already exists, so no new one is created
+        await changeBedStatus(lit, 4, {
+          MAINTENANCE_TIME: current.taskCompletionDateTime,
+          author: SYSTEM_AUTHOR,
+          checkTransition: false,
+          checkSchedule: false,
+          createTask: false,
+          session,
+        });
+        current.bedBlockedAt = now;
+        await current.save({ session });
+        return current;
+      });
+      if (done) {
+        blocked.push(done);
+      }
+    } catch (error) {
+      console.error(`❌ Error blocking bed ${task.bedId} for preventive maintenance:`, error);
+    }
+  }
+  return blocked;
+}
+
+module.exports = {
+  assertPlanFits,
+  blockPlannedBeds,
+  generateMaintenanceTasks,
+  generatePlanTasks,
+};
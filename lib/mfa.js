@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Settings, Utilisateur } = require("../models");
+const { JWT_SECRET, MFA_CHALLENGE_TTL, TOTP_ISSUER } = require("../config/auth");
+const { generateSecret, otpauthUrl, verifyTotp } = require("./totp");
+const { hashToken } = require("./sessions");
+const { HttpError } = require("./httpError");
+
+const RECOVERY_CODE_COUNT = 10;
+// Claim telling challenge tokens apart from access tokens
+const CHALLENGE_PURPOSE = "mfa_challenge";
+
+// TOTP enrolment or verification rejected
+class MfaError extends HttpError {}
+
+// Whether the settings make TOTP mandatory for the user's role
+async function isTotpRequired(user) {
+  const settings = await Settings.getCurrentSettings();
+  return (settings.totpRequiredRoles || []).includes(user.ROLE);
+}
+
+// Whether a login must go through the second step
+async function needsSecondFactor(user) {
+  return user.TOTP_ENABLED || isTotpRequired(user);
+}
+
+/**
+ * Short-lived token proving the password step, exchanged with a TOTP code
+ * at /utilisateurs/login/verify. It has no session so the auth middleware
+ * refuses it as an access token.
+ *
+ * @param {Document} user
+ * @returns {string}
+ */
+function issueChallenge(user) {
+  return jwt.sign(
+    { ID_UTILISATEUR: user.ID_UTILISATEUR, purpose: CHALLENGE_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {string} ID_UTILISATEUR of the challenge
+ */
+function readChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose === CHALLENGE_PURPOSE && decoded.ID_UTILISATEUR) {
+      return decoded.ID_UTILISATEUR;
+    }
+  } catch (error) {
+    // Expired or forged: same answer as a wrong purpose
+  }
+  throw new MfaError(401, { error: "Invalid or expired challenge token" });
+}
+
+/**
+ * Start (or resume) enrolment: keep a pending secret until a first code
+ * confirms it.
+ *
+ * @param {Document} user
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+async function startEnrollment(user) {
+  if (!user.TOTP_PENDING_SECRET) {
+    user.TOTP_PENDING_SECRET = generateSecret();
+    await user.save();
+  }
+  const secret = user.TOTP_PENDING_SECRET;
+  return {
+    secret,
+    otpauthUrl: otpauthUrl(secret, user.EMAIL || user.ID_UTILISATEUR, TOTP_ISSUER),
+  };
+}
+
+// Replace the recovery codes; only their hashes are kept
+function generateRecoveryCodes(user) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const hex = crypto.randomBytes(5).toString("hex");
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  user.RECOVERY_CODES = codes.map(hashToken);
+  return codes;
+}
+
+/**
+ * Enable TOTP once a code from the pending secret is valid.
+ *
+ * @param {Document} user
+ * @param {string} code
+ * @returns {Promise<Array<string>|null>} Recovery codes, null when the code is wrong
+ */
+async function confirmEnrollment(user, code) {
+  if (!user.TOTP_PENDING_SECRET) {
+    throw new MfaError(400, { error: "No TOTP enrolment in progress" });
+  }
+  const counter = verifyTotp(user.TOTP_PENDING_SECRET, code);
+  if (counter === null) {
+    return null;
+  }
+  user.TOTP_SECRET = user.TOTP_PENDING_SECRET;
+  user.TOTP_PENDING_SECRET = null;
+  user.TOTP_ENABLED = true;
+  user.TOTP_LAST_COUNTER = counter;
+  const codes = generateRecoveryCodes(user);
+  await user.save();
+  return codes;
+}
+
+/**
+ * Check a TOTP code or consume a recovery code. Both are checked with an
+ * atomic update so the same code cannot be used twice.
+ *
+ * @param {Document} user - With TOTP enabled
+ * @param {Object} proof
+ * @param {string} [proof.code]
+ * @param {string} [proof.recoveryCode]
+ * @returns {Promise<"totp"|"recovery_code"|null>}
+ */
+async function verifySecondFactor(user, { code = null, recoveryCode = null }) {
+  if (!user.TOTP_ENABLED) {
+    return null;
+  }
+  if (code) {
+    const counter = verifyTotp(user.TOTP_SECRET, code, { lastCounter: user.TOTP_LAST_COUNTER });
+    if (counter !== null) {
+      const result = await Utilisateur.updateOne(
+        {
+          _id: user._id,
+          $or: [{ TOTP_LAST_COUNTER: null }, { TOTP_LAST_COUNTER: { $lt: counter } }],
+        },
+        { TOTP_LAST_COUNTER: counter }
+      );
+      if (result.modifiedCount === 1) {
+        user.TOTP_LAST_COUNTER = counter;
+        return "totp";
+      }
+    }
+  }
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const result = await Utilisateur.updateOne(
+      { _id: user._id, RECOVERY_CODES: hash },
+      { $pull: { RECOVERY_CODES: hash } }
+    );
+    if (result.modifiedCount === 1) {
+      user.RECOVERY_CODES = user.RECOVERY_CODES.filter((h) => h !== hash);
+      return "recovery_code";
+    }
+  }
+  return null;
+}
+
+/**
+ * New set of recovery codes, the previous ones stop working.
+ *
+ * @param {Document} user
+ * @returns {Promise<Array<string>>}
+ */
+async function regenerateRecoveryCodes(user) {
+  const codes = generateRecoveryCodes(user);
+  await user.save();
+  return codes;
+}
+
+// Remove the second factor (the user enrols again if the role requires it)
+async function disableTotp(user) {
+  user.TOTP_ENABLED = false;
+  user.TOTP_SECRET = null;
+  user.TOTP_PENDING_SECRET = null;
+  user.TOTP_LAST_COUNTER = null;
+  user.RECOVERY_CODES = [];
+  return user.save();
+}
+
+module.exports = {
+  MfaError,
+  confirmEnrollment,
+  disableTotp,
+  isTotpRequired,
+  issueChallenge,
+  needsSecondFactor,
+  readChallenge,
+  regenerateRecoveryCodes,
+  startEnrollment,
+  verifySecondFactor,
+};
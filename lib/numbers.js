@@ -0,0 +1,7 @@
+// Round to a number of decimal places
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { round };
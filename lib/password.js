@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: scrypt$<salt hex>$<derived key hex>
+const PREFIX = "scrypt";
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Hash compared against when the account does not exist, so both paths cost the same
+const DUMMY_HASH =
+  "scrypt$00000000000000000000000000000000$" + "0".repeat(KEY_LENGTH * 2);
+
+function isHashed(value) {
+  return typeof value === "string" && value.startsWith(`${PREFIX}$`);
+}
+
+/**
+ * Hash a password with a random salt using scrypt.
+ *
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString("hex");
+  const key = await scrypt(password, salt, KEY_LENGTH);
+  return `${PREFIX}$${salt}$${key.toString("hex")}`;
+}
+
+/**
+ * Compare a password with a stored hash in constant time.
+ *
+ * @param {string} password
+ * @param {string} [stored] - Stored hash (missing for unknown accounts)
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const target = isHashed(stored) ? stored : DUMMY_HASH;
+  const [, salt, keyHex] = target.split("$");
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scrypt(String(password || ""), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected) && target === stored;
+}
+
+/**
+ * Check a new password against the policy from the settings.
+ *
+ * @param {string} password
+ * @param {Object} policy - Settings document (passwordMinLength, passwordRequire*, passwordHistoryCount)
+ * @param {Array<string>} [history] - Previous hashes, most recent last
+ * @returns {Promise<Array<string>>} Policy violations (empty when valid)
+ */
+async function checkPasswordPolicy(password, policy, history = []) {
+  const errors = [];
+  if (typeof password !== "string" || password.length < policy.passwordMinLength) {
+    errors.push(`Password must be at least ${policy.passwordMinLength} characters long`);
+  }
+  const value = typeof password === "string" ? password : "";
+  if (policy.passwordRequireUppercase && !/[A-Z]/.test(value)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (policy.passwordRequireLowercase && !/[a-z]/.test(value)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+  if (policy.passwordRequireDigit && !/\d/.test(value)) {
+    errors.push("Password must contain a digit");
+  }
+  if (policy.passwordRequireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push("Password must contain a symbol");
+  }
+
+  const recent = policy.passwordHistoryCount > 0
+    ? history.slice(-policy.passwordHistoryCount)
+    : [];
+  for (const hash of recent) {
+    if (await verifyPassword(value, hash)) {
+      errors.push(`Password must differ from the last ${policy.passwordHistoryCount} passwords`);
+      break;
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  checkPasswordPolicy,
+  hashPassword,
+  isHashed,
+  verifyPassword,
+};
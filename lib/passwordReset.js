@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const { PasswordResetToken, Utilisateur } = require("../models");
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  INVITE_TTL_HOURS,
+  PASSWORD_RESET_URL,
+} = require("../config/auth");
+const { hashToken, revokeAllSessions } = require("./sessions");
+const { unlockAccount } = require("./loginThrottle");
+const { recordAuthEvent } = require("./authAudit");
+const { sendMail } = require("./mailer");
+const { HttpError } = require("./httpError");
+const { HOUR, MINUTE } = require("./time");
+
+// A new self-service link is not sent more than once per minute
+const REQUEST_INTERVAL = MINUTE;
+
+// Reset link or new password rejected
+class PasswordResetError extends HttpError {}
+
+function resetMessage(user, link, purpose, expiresAt) {
+  if (purpose === "invite") {
+    return {
+      subject: "Your bed management account",
+      text:
+        `Hello ${user.NOM},\n\n` +
+        "An account was created for you. Choose your password here:\n" +
+        `${link}\n\n` +
+        `This link can be used once and expires on ${expiresAt.toISOString()}.\n`,
+    };
+  }
+  return {
+    subject: "Reset your password",
+    text:
+      `Hello ${user.NOM},\n\n` +
+      "A password reset was requested for your account. Choose a new password here:\n" +
+      `${link}\n\n` +
+      `This link can be used once and expires on ${expiresAt.toISOString()}.\n` +
+      "If you did not ask for it, ignore this email: your password is unchanged.\n",
+  };
+}
+
+/**
+ * Create a reset token for a user and email the link. Links sent before
+ * and not used yet stop working. Throws a 503 when the mail transport sent
+ * nothing (see MAIL_TRANSPORT).
+ *
+ * @param {Document} user - Must have an EMAIL
+ * @param {Object} [options]
+ * @param {string} [options.purpose="reset"] - "reset" or "invite"
+ * @param {Request} [options.req]
+ * @param {string} [options.actor] - ID_UTILISATEUR of the Admin sending the link
+ * @returns {Promise<{expiresAt: Date}>}
+ */
+async function sendResetLink(user, options = {}) {
+  const { purpose = "reset", req = null, actor = null } = options;
+  if (!user.EMAIL) {
+    throw new PasswordResetError(400, { error: "The user has no EMAIL to send the link to" });
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const ttl = purpose === "invite" ? INVITE_TTL_HOURS * HOUR : PASSWORD_RESET_TTL_MINUTES * MINUTE;
+  const expiresAt = new Date(Date.now() + ttl);
+
+  await PasswordResetToken.deleteMany({ ID_UTILISATEUR: user.ID_UTILISATEUR, USED_AT: null });
+  const record = await PasswordResetToken.create({
+    ID_UTILISATEUR: user.ID_UTILISATEUR,
+    TOKEN_HASH: hashToken(token),
+    PURPOSE: purpose,
+    CREATED_BY: actor,
+    IP: (req && req.ip) || "",
+    EXPIRES_AT: expiresAt,
+  });
+
+  const link = `${PASSWORD_RESET_URL}?token=${token}`;
+  const info = await sendMail({ to: user.EMAIL, ...resetMessage(user, link, purpose, expiresAt) });
+  if (info && info.sent === false) {
+    // Nobody received the token: drop it and do not report the link as sent
+    await PasswordResetToken.deleteOne({ _id: record._id });
+    throw new PasswordResetError(503, {
+      error: "The link could not be sent: no mail transport is configured",
+    });
+  }
+  await recordAuthEvent("password_reset_link_sent", {
+    req,
+    user,
+    actor,
+    details: { purpose, expiresAt },
+  });
+  return { expiresAt };
+}
+
+/**
+ * Self-service request: email a reset link if the address belongs to an
+ * active account. Resolves the same way whether or not it does, so the
+ * response cannot be used to find accounts.
+ *
+ * @param {string} email
+ * @param {Request} [req]
+ */
+async function requestPasswordReset(email, req = null) {
+  const user = await Utilisateur.findOne({ EMAIL: String(email).toLowerCase(), ACTIF: true });
+  await recordAuthEvent("password_reset_requested", {
+    req,
+    user,
+    email,
+    details: { known: Boolean(user) },
+  });
+  if (!user) {
+    return;
+  }
+
+  const recent = await PasswordResetToken.exists({
+    ID_UTILISATEUR: user.ID_UTILISATEUR,
+    USED_AT: null,
+    createdAt: { $gt: new Date(Date.now() - REQUEST_INTERVAL) },
+  });
+  if (recent) {
+    return;
+  }
+  await sendResetLink(user, { purpose: "reset", req });
+}
+
+/**
+ * Set a new password with a reset token. The token is consumed only once
+ * the password passes the policy; every session of the user is revoked
+ * and the account unlocked.
+ *
+ * @param {string} token
+ * @param {string} newPassword
+ * @param {Request} [req]
+ * @returns {Promise<Document>} Updated user
+ */
+async function resetPassword(token, newPassword, req = null) {
+  const invalid = new PasswordResetError(400, { error: "Invalid or expired reset token" });
+  const record = await PasswordResetToken.findOne({ TOKEN_HASH: hashToken(token) });
+  if (!record || !record.isUsable()) {
+    throw invalid;
+  }
+  const user = await Utilisateur.findOne({ ID_UTILISATEUR: record.ID_UTILISATEUR, ACTIF: true });
+  if (!user) {
+    throw invalid;
+  }
+
+  const policyErrors = await user.checkPasswordPolicy(newPassword);
+  if (policyErrors.length > 0) {
+    throw new PasswordResetError(400, { error: policyErrors[0], details: policyErrors });
+  }
+
+  // Consume the token atomically so concurrent requests cannot both use it
+  const consumed = await PasswordResetToken.findOneAndUpdate(
+    { _id: record._id, USED_AT: null },
+    { USED_AT: new Date() }
+  );
+  if (!consumed) {
+    throw invalid;
+  }
+
+  await user.changePassword(newPassword);
+  await revokeAllSessions(user.ID_UTILISATEUR, "password_reset");
+  await unlockAccount(user.EMAIL);
+  await recordAuthEvent("password_reset", { req, user, details: { purpose: record.PURPOSE } });
+  return user;
+}
+
+module.exports = {
+  PasswordResetError,
+  requestPasswordReset,
+  resetPassword,
+  sendResetLink,
+};
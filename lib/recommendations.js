@@ -0,0 +1,203 @@
+const { Lit, Chambre, Service, Statut } = require("../models");
+const { BedStatusError } = require("./bedStatus");
+
+// A bed being cleaned is offered when its cleaning is due within this window
+const CLEANING_SOON_MINUTES = 60;
+
+// Score contributions, highest score first
+const SCORES = {
+  FREE: 40,
+  CLEANING_SOON: 20,
+  EMERGENCY_BED: 30,
+  HOME_SERVICE: 50,
+  SAME_SECTOR: 20,
+  SAME_GENDER_ROOM: 10,
+  EMPTY_ROOM: 5,
+  ISOLATION_ROOM: 15,
+  WASTED_ISOLATION: -15,
+};
+
+/**
+ * Rank the beds an incoming patient could be placed in.
+ *
+ * Candidates are active beds that are "Libre" (1), "À nettoyer" (3) with a
+ * cleaning due soon, or emergency holds ("Réservé" with isEmergency) for
+ * urgent patients. Beds whose roommates have another gender, or without
+ * isolation when it is required, are excluded.
+ *
+ * @param {Object} criteria
+ * @param {string} [criteria.ID_SERVICE] - Patient's home service
+ * @param {number} [criteria.ID_SECTEUR] - Sector, when no service is required
+ * @param {string} [criteria.GENDER] - Patient gender
+ * @param {boolean} [criteria.ISOLEMENT] - Isolation needed
+ * @param {boolean} [criteria.URGENT] - Urgent admission
+ * @param {number} [criteria.LIMIT=10] - Maximum number of recommendations
+ * @param {Object} [options]
+ * @param {Array<string>|null} [options.serviceIds] - Only beds of these services (null = all)
+ */
+async function recommendBeds(criteria, options = {}) {
+  const { serviceIds = null } = options;
+  const {
+    ID_SERVICE,
+    GENDER = "",
+    ISOLEMENT = false,
+    URGENT = false,
+    LIMIT = 10,
+  } = criteria;
+  const gender = GENDER === "INDIFFERENT" ? "" : GENDER;
+
+  if (!ID_SERVICE && criteria.ID_SECTEUR === undefined) {
+    throw new BedStatusError(400, {
+      error: "ID_SERVICE or ID_SECTEUR is required",
+    });
+  }
+
+  let homeService = null;
+  let ID_SECTEUR = criteria.ID_SECTEUR !== undefined ? Number(criteria.ID_SECTEUR) : null;
+  if (ID_SERVICE) {
+    homeService = await Service.findOne({ ID_SERVICE });
+    if (!homeService) {
+      throw new BedStatusError(404, { error: `Service ${ID_SERVICE} not found` });
+    }
+    ID_SECTEUR = homeService.ID_SECTEUR;
+  }
+
+  const now = new Date();
+  const cleaningDeadline = new Date(
+    now.getTime() + CLEANING_SOON_MINUTES * 60 * 1000
+  );
+  const statusConditions = [
+    { ID_STATUT: 1 },
+    { ID_STATUT: 3, CLEANING_DATE: { $ne: null, $lte: cleaningDeadline } },
+  ];
+  if (URGENT) {
+    statusConditions.push({ ID_STATUT: 6, isEmergency: true });
+  }
+
+  const [beds, services, statuts] = await Promise.all([
+    Lit.find({
+      ACTIF: true,
+      $or: statusConditions,
+      ...(serviceIds ? { ID_SERVICE: { $in: serviceIds } } : {}),
+    }),
+    Service.find({}),
+    Statut.find({}),
+  ]);
+
+  // Roommates decide the gender constraint of a room
+  const roomIds = [...new Set(beds.map((b) => b.ID_CHAMBRE).filter(Boolean))];
+  const [rooms, occupiedBeds] = await Promise.all([
+    Chambre.find({ ID_CHAMBRE: { $in: roomIds } }),
+    Lit.find({ ID_CHAMBRE: { $in: roomIds }, ID_STATUT: 2 }),
+  ]);
+
+  const recommendations = [];
+  beds.forEach((bed) => {
+    const service = services.find((s) => s.ID_SERVICE === bed.ID_SERVICE);
+    const room = rooms.find((r) => r.ID_CHAMBRE === bed.ID_CHAMBRE) || null;
+    const roommates = occupiedBeds.filter(
+      (b) => b.ID_CHAMBRE === bed.ID_CHAMBRE && b.ID_LIT !== bed.ID_LIT
+    );
+    const reasons = [];
+    let score = 0;
+
+    // Isolation
+    if (ISOLEMENT && !(room && room.ISOLEMENT)) {
+      return;
+    }
+    if (ISOLEMENT) {
+      score += SCORES.ISOLATION_ROOM;
+      reasons.push("Isolation room");
+    } else if (room && room.ISOLEMENT) {
+      score += SCORES.WASTED_ISOLATION;
+      reasons.push("Isolation room kept for patients who need it");
+    }
+
+    // Gender of roommates
+    const roomGender =
+      (roommates.find((b) => b.GENDER) || {}).GENDER ||
+      (room && room.GENDER) ||
+      (!room && bed.GENDER) ||
+      "";
+    if (gender && roomGender && roomGender !== gender) {
+      return;
+    }
+    if (room && roommates.length === 0) {
+      score += SCORES.EMPTY_ROOM;
+      reasons.push("No roommate");
+    } else if (gender && roomGender === gender) {
+      score += SCORES.SAME_GENDER_ROOM;
+      reasons.push(`Roommates are ${gender}`);
+    }
+
+    // Availability
+    if (bed.ID_STATUT === 1) {
+      score += SCORES.FREE;
+      reasons.push("Bed is free");
+    } else if (bed.ID_STATUT === 3) {
+      const minutes = Math.max(
+        0,
+        Math.round((bed.CLEANING_DATE.getTime() - now.getTime()) / 60000)
+      );
+      score += SCORES.CLEANING_SOON;
+      reasons.push(`Cleaning due in ${minutes} min`);
+    } else {
+      score += SCORES.EMERGENCY_BED;
+      reasons.push("Emergency hold for urgent admissions");
+    }
+
+    // Home service or overflow ("hébergement") placement
+    let placement;
+    if (homeService ? bed.ID_SERVICE === homeService.ID_SERVICE : service && service.ID_SECTEUR === ID_SECTEUR) {
+      placement = "HOME";
+      score += SCORES.HOME_SERVICE;
+      reasons.push(homeService ? "In the patient's service" : "In the requested sector");
+    } else if (service && service.ID_SECTEUR === ID_SECTEUR) {
+      placement = "HEBERGEMENT";
+      score += SCORES.SAME_SECTOR;
+      reasons.push("Overflow placement in the same sector");
+    } else {
+      placement = "HEBERGEMENT";
+      reasons.push("Overflow placement in another sector");
+    }
+
+    const statut = statuts.find((s) => s.ID_STATUT === bed.ID_STATUT);
+    recommendations.push({
+      score,
+      placement,
+      ID_LIT: bed.ID_LIT,
+      ID_SERVICE: bed.ID_SERVICE,
+      LIB_SERVICE: service ? service.LIB_SERVICE : null,
+      ID_SECTEUR: service ? service.ID_SECTEUR : null,
+      ID_CHAMBRE: bed.ID_CHAMBRE,
+      ID_STATUT: bed.ID_STATUT,
+      LIB_STATUT: statut ? statut.LIB_STATUT : null,
+      GENDER: roomGender,
+      isEmergency: bed.isEmergency,
+      CLEANING_DATE: bed.CLEANING_DATE,
+      reasons,
+    });
+  });
+
+  recommendations.sort(
+    (a, b) => b.score - a.score || a.ID_LIT.localeCompare(b.ID_LIT)
+  );
+
+  return {
+    criteria: {
+      ID_SERVICE: ID_SERVICE || null,
+      ID_SECTEUR,
+      GENDER: gender,
+      ISOLEMENT: Boolean(ISOLEMENT),
+      URGENT: Boolean(URGENT),
+    },
+    total: recommendations.length,
+    recommendations: recommendations
+      .slice(0, Number(LIMIT))
+      .map((r, index) => ({ rank: index + 1, ...r })),
+  };
+}
+
+module.exports = {
+  recommendBeds,
+};
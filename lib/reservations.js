@@ -0,0 +1,105 @@
+const { Lit, Settings } = require("../models");
+const { SYSTEM_AUTHOR, changeBedStatus } = require("./bedStatus");
+const { publish, runTransaction } = require("./events");
+
+// End of the hold of a "Réservé" bed and the grace period it was given
+function expiryOf(lit, settings) {
+  const gracePeriod = lit.isEmergency
+    ? settings.emergencyGracePeriod
+    : settings.reservationGracePeriod;
+  const reference = lit.RESERVED_DATE || lit.MAJ_STATUT;
+  const expiresAt = new Date(reference.getTime() + gracePeriod * 60 * 1000);
+  return { lit, expiresAt, gracePeriod };
+}
+
+/**
+ * List the "Réservé" (6) beds whose hold has run out.
+ *
+ * A hold expires at RESERVED_DATE plus the grace period from Settings
+ * (emergencyGracePeriod for emergency holds, reservationGracePeriod
+ * otherwise). Holds without a RESERVED_DATE count from MAJ_STATUT.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<{lit: Document, expiresAt: Date, gracePeriod: number}>>}
+ */
+async function findExpiredReservations(now = new Date()) {
+  const settings = await Settings.getCurrentSettings();
+  const beds = await Lit.find({ ID_STATUT: 6, ACTIF: true });
+
+  return beds
+    .map((lit) => expiryOf(lit, settings))
+    .filter(({ expiresAt }) => expiresAt <= now)
+    .sort((a, b) => a.expiresAt - b.expiresAt);
+}
+
+// Shape returned by the dry-run endpoint and the scheduler
+function describeExpiry({ lit, expiresAt, gracePeriod }) {
+  return {
+    ID_LIT: lit.ID_LIT,
+    ID_SERVICE: lit.ID_SERVICE,
+    isEmergency: lit.isEmergency,
+    RESERVED_DATE: lit.RESERVED_DATE,
+    MAJ_STATUT: lit.MAJ_STATUT,
+    gracePeriod,
+    expiresAt,
+  };
+}
+
+/**
+ * Release every expired reservation back to "Libre" (1).
+ *
+ * Each bed is released in its own transaction so one failure does not block
+ * the others. The bed is read again inside the transaction and skipped when
+ * it is no longer "Réservé" or its hold was renewed since the listing (e.g.
+ * admitted in the meantime), so the 6 → 1 change only applies to a bed that
+ * is still an expired reservation. A "reservation.expired" event is emitted per
+ * released bed.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<Object>>} Released beds
+ */
+async function releaseExpiredReservations(now = new Date()) {
+  const settings = await Settings.getCurrentSettings();
+  const expired = await findExpiredReservations(now);
+  const released = [];
+
+  for (const expiry of expired) {
+    const { ID_LIT } = expiry.lit;
+    try {
+      const payload = await runTransaction(async (session) => {
+        const lit = await Lit.findOne({ ID_LIT, ID_STATUT: 6, ACTIF: true }).session(session);
+        if (!lit) {
+          return null;
+        }
+        const current = expiryOf(lit, settings);
+        if (current.expiresAt > now) {
+          return null;
+        }
+        const details = describeExpiry(current);
+        await changeBedStatus(lit, 1, {
+          author: SYSTEM_AUTHOR,
+          checkTransition: false,
+          session,
+        });
+        const event = { ...details, expiredAt: now };
+        publish("reservation.expired", event, session);
+        return event;
+      });
+      if (payload) {
+        released.push(payload);
+      } else {
+        console.log(`⏭️  Bed ${ID_LIT} is no longer an expired reservation, skipped`);
+      }
+    } catch (error) {
+      console.error(`❌ Error releasing reservation on bed ${ID_LIT}:`, error);
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  describeExpiry,
+  findExpiredReservations,
+  releaseExpiredReservations,
+};
@@ -0,0 +1,188 @@
+const { Lit, Settings, Task, Utilisateur } = require("../models");
+const { ROLES } = require("../config/roles");
+const { HttpError } = require("./httpError");
+
+/**
+ * Bookable work schedules built from the Settings working hours.
+ * Each slot can take as many beds as there are active agents; beds booked
+ * through their date field and the tasks of maintenance plans both count.
+ */
+const SCHEDULES = {
+  cleaning: {
+    ID_STATUT: 3,
+    startField: "cleaningStartTime",
+    endField: "cleaningEndTime",
+    intervalField: "cleaningTimeInterval",
+    dateField: "CLEANING_DATE",
+    agentRoles: [ROLES.AGENT_ENTRETIEN],
+  },
+  maintenance: {
+    ID_STATUT: 4,
+    startField: "maintenanceStartTime",
+    endField: "maintenanceEndTime",
+    intervalField: "maintenanceTimeInterval",
+    dateField: "MAINTENANCE_DATE",
+    agentRoles: [ROLES.AGENT_TECHNIQUE],
+  },
+};
+
+// Time outside working hours or slot fully booked
+class ScheduleError extends HttpError {}
+
+// Parse a YYYY-MM-DD day as local midnight
+function parseDay(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+    return null;
+  }
+  const day = new Date(`${date}T00:00:00`);
+  return isNaN(day.getTime()) ? null : day;
+}
+
+// Working hours and slot length of a schedule on the given day
+function workingHours(settings, schedule, day) {
+  const start = new Date(day);
+  start.setHours(settings[schedule.startField], 0, 0, 0);
+  const end = new Date(day);
+  end.setHours(settings[schedule.endField], 0, 0, 0);
+  return { start, end, interval: settings[schedule.intervalField] };
+}
+
+async function countAgents(schedule) {
+  return Utilisateur.countDocuments({
+    ROLE: { $in: schedule.agentRoles },
+    ACTIF: true,
+  });
+}
+
+/**
+ * Bookings between start and end: beds in the schedule's status with their
+ * date in the range, and tasks of maintenance plans planned in the range
+ * whose bed is not blocked yet.
+ *
+ * @returns {Promise<Array<{ID_LIT: string, time: Date}>>}
+ */
+async function findBookings(schedule, start, end, options = {}) {
+  const { excludeBedId = null, excludePlanId = null, session = null } = options;
+  const range = { $gte: start, $lt: end };
+  const bedFilter = { ID_STATUT: schedule.ID_STATUT, [schedule.dateField]: range };
+  const taskFilter = {
+    taskType: schedule.ID_STATUT,
+    planId: excludePlanId ? { $nin: [null, excludePlanId] } : { $ne: null },
+    isDone: false,
+    bedBlockedAt: null,
+    taskCompletionDateTime: range,
+  };
+  if (excludeBedId) {
+    bedFilter.ID_LIT = { $ne: excludeBedId };
+    taskFilter.bedId = { $ne: excludeBedId };
+  }
+  const [beds, tasks] = await Promise.all([
+    Lit.find(bedFilter, { ID_LIT: 1, [schedule.dateField]: 1 }).session(session),
+    Task.find(taskFilter, { bedId: 1, taskCompletionDateTime: 1 }).session(session),
+  ]);
+  return [
+    ...beds.map((bed) => ({ ID_LIT: bed.ID_LIT, time: bed[schedule.dateField] })),
+    ...tasks.map((task) => ({ ID_LIT: task.bedId, time: task.taskCompletionDateTime })),
+  ];
+}
+
+// Beds booked in [start, end), each counted once
+function bookedBeds(bookings, start, end) {
+  return [
+    ...new Set(
+      bookings.filter((b) => b.time >= start && b.time < end).map((b) => b.ID_LIT)
+    ),
+  ];
+}
+
+/**
+ * Compute the slots of a schedule for one day.
+ *
+ * @param {string} kind - "cleaning" or "maintenance"
+ * @param {Date} day - Local midnight of the day
+ * @param {Object} [options]
+ * @param {ObjectId} [options.excludePlanId] - Ignore the tasks of this maintenance plan
+ * @returns {Promise<{start: Date, end: Date, interval: number, capacity: number, slots: Array}>}
+ */
+async function getSlots(kind, day, options = {}) {
+  const schedule = SCHEDULES[kind];
+  const settings = await Settings.getCurrentSettings();
+  const hours = workingHours(settings, schedule, day);
+  const capacity = await countAgents(schedule);
+
+  const bookings = await findBookings(schedule, hours.start, hours.end, options);
+
+  const slots = [];
+  const step = hours.interval * 60 * 1000;
+  for (let time = hours.start.getTime(); time < hours.end.getTime(); time += step) {
+    const start = new Date(time);
+    const end = new Date(Math.min(time + step, hours.end.getTime()));
+    const beds = bookedBeds(bookings, start, end);
+    slots.push({
+      start,
+      end,
+      capacity,
+      booked: beds.length,
+      available: Math.max(capacity - beds.length, 0),
+      beds,
+    });
+  }
+
+  return { ...hours, capacity, slots };
+}
+
+/**
+ * Throw a ScheduleError if `time` is outside working hours (400) or its
+ * slot is fully booked (409), counting booked beds and planned maintenance
+ * tasks. The bed being rescheduled is not counted.
+ *
+ * @param {string} kind - "cleaning" or "maintenance"
+ * @param {Date|string} time
+ * @param {Object} [options]
+ * @param {string} [options.excludeBedId]
+ * @param {ClientSession} [options.session]
+ */
+async function assertSlotAvailable(kind, time, options = {}) {
+  const { excludeBedId = null, session = null } = options;
+  const schedule = SCHEDULES[kind];
+  const when = new Date(time);
+  if (isNaN(when.getTime())) {
+    throw new ScheduleError(400, { error: `Invalid ${schedule.dateField}` });
+  }
+
+  const settings = await Settings.getCurrentSettings();
+  const day = new Date(when);
+  day.setHours(0, 0, 0, 0);
+  const hours = workingHours(settings, schedule, day);
+  if (when < hours.start || when >= hours.end) {
+    throw new ScheduleError(400, {
+      error: `${when.toISOString()} is outside ${kind} hours (${settings[schedule.startField]}h-${settings[schedule.endField]}h)`,
+    });
+  }
+
+  // Slot containing the requested time
+  const step = hours.interval * 60 * 1000;
+  const index = Math.floor((when - hours.start) / step);
+  const start = new Date(hours.start.getTime() + index * step);
+  const end = new Date(Math.min(start.getTime() + step, hours.end.getTime()));
+
+  const [bookings, capacity] = await Promise.all([
+    findBookings(schedule, start, end, { excludeBedId, session }),
+    countAgents(schedule),
+  ]);
+  const booked = bookedBeds(bookings, start, end).length;
+  if (booked >= capacity) {
+    throw new ScheduleError(409, {
+      error: `The ${kind} slot starting at ${start.toISOString()} is fully booked`,
+      slot: { start, end, capacity, booked },
+    });
+  }
+}
+
+module.exports = {
+  SCHEDULES,
+  ScheduleError,
+  assertSlotAvailable,
+  getSlots,
+  parseDay,
+};
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { releaseExpiredReservations } = require("./reservations");
+const { escalateOverdueTasks } = require("./tasks");
+const {
+  blockPlannedBeds,
+  generateMaintenanceTasks,
+} = require("./maintenancePlans");
+const { takeCensusSnapshots } = require("./censusSnapshots");
+
+/**
+ * Background jobs run inside the API process.
+ *
+ * Each job runs on its own interval, is skipped while the database is not
+ * connected and never overlaps with its previous run.
+ */
+const jobs = [
+  {
+    name: "reservation-expiry",
+    interval: Number(process.env.RESERVATION_EXPIRY_INTERVAL) || 60 * 1000,
+    run: releaseExpiredReservations,
+  },
+  {
+    name: "task-sla",
+    interval: Number(process.env.TASK_SLA_INTERVAL) || 60 * 1000,
+    run: escalateOverdueTasks,
+  },
+  {
+    name: "maintenance-plans",
+    interval: Number(process.env.MAINTENANCE_PLAN_INTERVAL) || 60 * 60 * 1000,
+    run: generateMaintenanceTasks,
+  },
+  {
+    name: "maintenance-blocking",
+    interval: Number(process.env.MAINTENANCE_BLOCKING_INTERVAL) || 60 * 1000,
+    run: blockPlannedBeds,
+  },
+  {
+    name: "census-snapshots",
+    interval: Number(process.env.CENSUS_SNAPSHOT_INTERVAL) || 5 * 60 * 1000,
+    run: takeCensusSnapshots,
+  },
+];
+
+const timers = [];
+
+function schedule(job) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) {
+      return;
+    }
+    running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`❌ Scheduled job ${job.name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, job.interval);
+  // Do not keep the process alive for background jobs only
+  timer.unref();
+  timers.push(timer);
+}
+
+function startScheduler() {
+  if (process.env.DISABLE_SCHEDULER === "true") {
+    console.log("⏸️  Background scheduler disabled");
+    return;
+  }
+  jobs.forEach(schedule);
+  console.log(`⏱️  Background scheduler started (${jobs.map((j) => j.name).join(", ")})`);
+}
+
+function stopScheduler() {
+  timers.splice(0).forEach(clearInterval);
+}
+
+module.exports = {
+  jobs,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,48 @@
+/**
+ * Service scoping: restricts what a caller reads and writes to the services
+ * in their SERVICES_AUTORISES. Admin and Manager (SCOPE_BYPASS_ROLES) see
+ * every service. Mount `scopeToServices` after the auth middleware.
+ */
+
+// Middleware: resolve req.serviceScope (null = every service)
+function scopeToServices(req, res, next) {
+  req.serviceScope = req.utilisateur.getServiceScope();
+  next();
+}
+
+// Whether the caller may act on a service
+function canAccessService(req, serviceId) {
+  return req.utilisateur.hasAccessToService(serviceId);
+}
+
+/**
+ * Restrict a MongoDB filter to the caller's services. An existing condition
+ * on the same field is kept and combined with the scope.
+ *
+ * @param {Request} req
+ * @param {Object} [filter={}]
+ * @param {string} [field="ID_SERVICE"]
+ * @returns {Object}
+ */
+function scopeFilter(req, filter = {}, field = "ID_SERVICE") {
+  if (req.serviceScope === null) {
+    return filter;
+  }
+  const condition = { [field]: { $in: req.serviceScope } };
+  if (filter[field] === undefined) {
+    return { ...filter, ...condition };
+  }
+  return { ...filter, $and: [...(filter.$and || []), condition] };
+}
+
+// 403 body for an out-of-scope service
+function serviceAccessDenied(serviceId) {
+  return { error: `Access denied to service ${serviceId}`, ID_SERVICE: serviceId };
+}
+
+module.exports = {
+  canAccessService,
+  scopeFilter,
+  scopeToServices,
+  serviceAccessDenied,
+};
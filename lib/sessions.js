@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Session, Utilisateur } = require("../models");
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+} = require("../config/auth");
+const { recordAuthEvent } = require("./authAudit");
+const { HttpError } = require("./httpError");
+const { DAY } = require("./time");
+
+// Rotated hashes kept per session to detect the reuse of a stolen token
+const MAX_PREVIOUS_TOKENS = 20;
+
+// Refresh token or session rejected
+class SessionError extends HttpError {}
+
+// Refresh tokens are stored as SHA-256 hashes only
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function clientInfo(req) {
+  return {
+    USER_AGENT: (req && req.headers["user-agent"]) || "",
+    IP: (req && req.ip) || "",
+  };
+}
+
+/**
+ * Sign an access token for a user, bound to a session by its `sid` claim.
+ *
+ * @param {Document} user
+ * @param {Document} session
+ * @returns {string}
+ */
+function issueAccessToken(user, session) {
+  return jwt.sign(
+    {
+      id: user._id,
+      ID_UTILISATEUR: user.ID_UTILISATEUR,
+      email: user.EMAIL,
+      ROLE: user.ROLE,  // Use uppercase to match route expectations
+      role: user.ROLE,  // Keep lowercase for backward compatibility
+      SERVICES_AUTORISES: user.SERVICES_AUTORISES || [],
+      NOM: user.NOM,
+      sid: session._id.toString(),
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Open a session for a user who just logged in.
+ *
+ * @param {Document} user
+ * @param {Request} [req] - Used to record the user agent and IP
+ * @returns {Promise<{session: Document, token: string, refreshToken: string}>}
+ */
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    ID_UTILISATEUR: user.ID_UTILISATEUR,
+    TOKEN_HASH: hashToken(refreshToken),
+    EXPIRES_AT: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY),
+    ...clientInfo(req),
+  });
+  return { session, token: issueAccessToken(user, session), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting an already rotated token revokes the whole session, since
+ * either the client or an attacker holds a copy of it.
+ *
+ * @param {string} refreshToken
+ * @param {Request} [req]
+ * @returns {Promise<{session: Document, user: Document, token: string, refreshToken: string}>}
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  // Atomic swap so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { TOKEN_HASH: tokenHash, REVOKED_AT: null, EXPIRES_AT: { $gt: new Date() } },
+    {
+      $set: { TOKEN_HASH: hashToken(nextToken), LAST_USED_AT: new Date(), ...clientInfo(req) },
+      $push: { PREVIOUS_TOKEN_HASHES: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ PREVIOUS_TOKEN_HASHES: tokenHash, REVOKED_AT: null });
+    if (reused) {
+      await reused.revoke("refresh_token_reuse");
+      console.warn(`⚠️  Refresh token reuse detected, session ${reused._id} of ${reused.ID_UTILISATEUR} revoked`);
+      await recordAuthEvent("refresh_token_reused", {
+        req,
+        user: { ID_UTILISATEUR: reused.ID_UTILISATEUR },
+        details: { sessionId: reused._id },
+      });
+    }
+    throw new SessionError(401, { error: "Invalid or expired refresh token" });
+  }
+
+  const user = await Utilisateur.findOne({ ID_UTILISATEUR: session.ID_UTILISATEUR, ACTIF: true });
+  if (!user) {
+    await session.revoke("user_inactive");
+    throw new SessionError(401, { error: "User account is inactive" });
+  }
+
+  return { session, user, token: issueAccessToken(user, session), refreshToken: nextToken };
+}
+
+/**
+ * Revoke every active session of a user (password change, deactivation...).
+ *
+ * @param {string} userId - ID_UTILISATEUR
+ * @param {string} reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason) {
+  const result = await Session.revokeAllForUser(userId, reason);
+  return result.modifiedCount;
+}
+
+module.exports = {
+  SessionError,
+  createSession,
+  hashToken,
+  issueAccessToken,
+  revokeAllSessions,
+  rotateRefreshToken,
+};
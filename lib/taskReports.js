@@ -0,0 +1,256 @@
+const XLSX = require("xlsx");
+const { Settings, Statut, Task, Utilisateur } = require("../models");
+const { SCHEDULES } = require("./schedule");
+const { bucketStart } = require("./censusSnapshots");
+const { csvLine } = require("./csv");
+const { HttpError } = require("./httpError");
+const { round } = require("./numbers");
+const { MINUTE } = require("./time");
+
+const GROUP_BY = ["agent", "taskType", "taskCategory"];
+
+// Invalid task report parameters
+class TaskReportError extends HttpError {}
+
+// Linear interpolation between the closest ranks of sorted values
+function quantile(sorted, share) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const position = (sorted.length - 1) * share;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  return round(value / MINUTE, 1);
+}
+
+// Agent of a task: who completed it, else who it is assigned to
+function agentOf(task) {
+  return task.completedBy || task.assignedTo || null;
+}
+
+function emptyGroup() {
+  return {
+    created: 0,
+    completed: 0,
+    completionTimes: [],
+    workTimes: [],
+    slaTracked: 0,
+    slaBreaches: 0,
+  };
+}
+
+function summarize(group) {
+  const completion = group.completionTimes.sort((a, b) => a - b);
+  const work = group.workTimes.sort((a, b) => a - b);
+  return {
+    created: group.created,
+    completed: group.completed,
+    completionMedianMinutes: quantile(completion, 0.5),
+    completionP90Minutes: quantile(completion, 0.9),
+    workMedianMinutes: quantile(work, 0.5),
+    workP90Minutes: quantile(work, 0.9),
+    slaTracked: group.slaTracked,
+    slaBreaches: group.slaBreaches,
+    slaBreachRate:
+      group.slaTracked > 0 ? round(group.slaBreaches / group.slaTracked, 4) : null,
+  };
+}
+
+/**
+ * Open tasks at the end of every shift of the range: for each day and each
+ * team (cleaning, maintenance), the tasks created before the end of its
+ * working hours (Settings) and not completed by then.
+ */
+function shiftBacklogs(tasks, settings, from, to) {
+  const shifts = [];
+  const last = Math.min(to.getTime(), Date.now());
+  for (let day = bucketStart(from, "day"); day <= to; day.setDate(day.getDate() + 1)) {
+    for (const schedule of Object.values(SCHEDULES)) {
+      const shiftEnd = new Date(day);
+      shiftEnd.setHours(settings[schedule.endField], 0, 0, 0);
+      if (shiftEnd < from || shiftEnd > last) {
+        continue;
+      }
+      let backlog = 0;
+      let overdue = 0;
+      let urgent = 0;
+      for (const task of tasks) {
+        const open =
+          task.taskType === schedule.ID_STATUT &&
+          task.creationDate <= shiftEnd &&
+          (task.completedAt ? task.completedAt > shiftEnd : !task.isDone);
+        if (open) {
+          backlog += 1;
+          overdue += task.slaDueAt && task.slaDueAt <= shiftEnd ? 1 : 0;
+          urgent += task.isUrgent ? 1 : 0;
+        }
+      }
+      shifts.push({ shiftEnd, taskType: schedule.ID_STATUT, backlog, overdue, urgent });
+    }
+  }
+  return shifts.sort((a, b) => a.shiftEnd - b.shiftEnd || a.taskType - b.taskType);
+}
+
+/**
+ * Throughput of the cleaning and maintenance teams over [from, to].
+ *
+ * Per group (agent, task type or cleaning category):
+ * - created / completed: tasks created, and completed, in the range
+ * - completion times (median, p90) of the tasks completed in the range,
+ *   from the time the SLA runs from (scheduled time, else creation) to
+ *   completion; work times from the claim (startedAt) to completion
+ * - slaBreaches: tasks completed in the range after their slaDueAt
+ *
+ * `shifts` gives the backlog at the end of each shift (see shiftBacklogs).
+ *
+ * @param {Object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {string} [options.groupBy="agent"] - One of GROUP_BY
+ * @param {Object} [options.filter={}] - Task filter (type, service, scope...)
+ * @returns {Promise<Object>}
+ */
+async function computeTaskReport({ from, to, groupBy = "agent", filter = {} }) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new TaskReportError(400, { error: `groupBy must be one of ${GROUP_BY.join(", ")}` });
+  }
+  const [tasks, settings, statuts] = await Promise.all([
+    // Everything created before the end of the range and still open or
+    // completed inside it
+    Task.find({
+      ...filter,
+      creationDate: { $lte: to },
+      $or: [{ completedAt: { $gte: from } }, { completedAt: null, isDone: false }],
+    }).lean(),
+    Settings.getCurrentSettings(),
+    Statut.find().lean(),
+  ]);
+
+  const keyOf = {
+    agent: agentOf,
+    taskType: (task) => task.taskType,
+    // Cleaning tasks only: standard (7) or deep (8)
+    taskCategory: (task) => task.taskCategory ?? null,
+  }[groupBy];
+
+  const groups = new Map();
+  const total = emptyGroup();
+  const accumulators = (task) => {
+    const key = keyOf(task);
+    if (!groups.has(key)) {
+      groups.set(key, emptyGroup());
+    }
+    return [groups.get(key), total];
+  };
+
+  for (const task of tasks) {
+    if (task.creationDate >= from) {
+      accumulators(task).forEach((group) => {
+        group.created += 1;
+      });
+    }
+    if (!task.completedAt || task.completedAt < from || task.completedAt > to) {
+      continue;
+    }
+    const slaStart = task.taskCompletionDateTime || task.creationDate;
+    for (const group of accumulators(task)) {
+      group.completed += 1;
+      group.completionTimes.push(Math.max(task.completedAt - slaStart, 0));
+      if (task.startedAt) {
+        group.workTimes.push(Math.max(task.completedAt - task.startedAt, 0));
+      }
+      if (task.slaDueAt) {
+        group.slaTracked += 1;
+        group.slaBreaches += task.completedAt > task.slaDueAt ? 1 : 0;
+      }
+    }
+  }
+
+  const statutNames = new Map(statuts.map((s) => [s.ID_STATUT, s.LIB_STATUT]));
+  let agentNames = new Map();
+  if (groupBy === "agent") {
+    const agents = await Utilisateur.find({
+      ID_UTILISATEUR: { $in: [...groups.keys()].filter(Boolean) },
+    })
+      .select("ID_UTILISATEUR NOM ROLE")
+      .lean();
+    agentNames = new Map(agents.map((a) => [a.ID_UTILISATEUR, a]));
+  }
+  const label = (key) => {
+    if (groupBy === "agent") {
+      const agent = agentNames.get(key);
+      return {
+        ID_UTILISATEUR: key,
+        NOM: agent ? agent.NOM : null,
+        ROLE: agent ? agent.ROLE : null,
+      };
+    }
+    return { [groupBy]: key, LIB_STATUT: key === null ? null : statutNames.get(key) || null };
+  };
+
+  const rows = [...groups.entries()]
+    .map(([key, group]) => ({ ...label(key), ...summarize(group) }))
+    .sort((a, b) => b.completed - a.completed || b.created - a.created);
+
+  return {
+    from,
+    to,
+    groupBy,
+    groups: rows,
+    total: summarize(total),
+    shifts: shiftBacklogs(tasks, settings, from, to).map(({ shiftEnd, taskType, ...counts }) => ({
+      shiftEnd,
+      taskType,
+      LIB_STATUT: statutNames.get(taskType) || null,
+      ...counts,
+    })),
+  };
+}
+
+// Columns of a table of rows (the keys of the first row)
+function columnsOf(rows) {
+  return rows.length ? Object.keys(rows[0]) : [];
+}
+
+/**
+ * CSV export of one table of the report.
+ *
+ * @param {Object} report - computeTaskReport result
+ * @param {string} [table="groups"] - "groups" or "shifts"
+ * @returns {string}
+ */
+function taskReportCsv(report, table = "groups") {
+  const rows = report[table];
+  const columns = columnsOf(rows);
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map(csvLine)
+    .join("");
+}
+
+/**
+ * XLSX workbook of the report: the groups with a Total row, and the
+ * backlog at the end of each shift.
+ *
+ * @param {Object} report - computeTaskReport result
+ * @returns {Buffer}
+ */
+function taskReportXlsx(report) {
+  const workbook = XLSX.utils.book_new();
+  const [keyColumn = report.groupBy] = columnsOf(report.groups);
+  const groups = XLSX.utils.json_to_sheet([
+    ...report.groups,
+    { [keyColumn]: "Total", ...report.total },
+  ]);
+  XLSX.utils.book_append_sheet(workbook, groups, `By ${report.groupBy}`);
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(report.shifts), "Shift backlog");
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+module.exports = {
+  GROUP_BY,
+  TaskReportError,
+  computeTaskReport,
+  taskReportCsv,
+  taskReportXlsx,
+};
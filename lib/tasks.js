@@ -0,0 +1,134 @@
+const { Task, Lit, Settings } = require("../models");
+const { BedStatusError, changeBedStatus } = require("./bedStatus");
+const { publish, runTransaction } = require("./events");
+
+// Status the bed moves to once its task is done
+async function nextBedStatus(task) {
+  if (task.taskType === 3) {
+    // A bed cleaned for a named patient stays held for them
+    return task.bedFor ? 6 : 1;
+  }
+  const settings = await Settings.getCurrentSettings();
+  return settings.maintenanceCompletionStatus;
+}
+
+/**
+ * Complete a cleaning (3) or maintenance (4) task and release its bed.
+ *
+ * In one transaction the task is marked done (with any other field from
+ * `updateData`) and, if the bed is still in the task's status, the bed
+ * moves on: cleaning → "Libre" (1), or "Réservé" (6) when `bedFor` is set;
+ * maintenance → "À nettoyer" (3) or "Libre" (1) per the
+ * maintenanceCompletionStatus setting. The history is attributed to the
+ * completing user. The transition graph is not checked for their role: the
+ * task route already authorized them (tasks:update), and the graph's 3 → 1
+ * and 4 → 1 edges are meant for the task's agents, not e.g. a Manager.
+ *
+ * @param {string} taskId
+ * @param {Object} updateData - Other task fields to set
+ * @param {Object} user - Authenticated user (ID_UTILISATEUR, NOM, ROLE)
+ * @returns {Promise<{task: Document, lit: Document|null}>}
+ */
+async function completeTask(taskId, updateData, user) {
+  return runTransaction(async (session) => {
+    const task = await Task.findById(taskId).session(session);
+    if (!task) {
+      throw new BedStatusError(404, { error: "Task not found" });
+    }
+    if (task.isDone) {
+      throw new BedStatusError(409, { error: "Task is already done" });
+    }
+
+    Object.assign(task, updateData);
+    task.isDone = true;
+    task.completedBy = user.ID_UTILISATEUR;
+    task.completedAt = new Date();
+    await task.save({ session });
+
+    let lit = await Lit.findOne({ ID_LIT: task.bedId }).session(session);
+    if (lit && lit.ID_STATUT === task.taskType) {
+      const ID_STATUT = await nextBedStatus(task);
+      ({ lit } = await changeBedStatus(lit, ID_STATUT, {
+        RESERVED_DATE: ID_STATUT === 6 ? new Date() : undefined,
+        author: user.NOM,
+        role: user.ROLE,
+        checkTransition: false,
+        session,
+      }));
+    } else if (lit) {
+      console.log(`⚠️  Bed ${lit.ID_LIT} is no longer in status ${task.taskType}, status left unchanged`);
+    }
+
+    publish(
+      "task.completed",
+      { task, ID_SERVICE: lit ? lit.ID_SERVICE : null },
+      session
+    );
+
+    return { task, lit };
+  });
+}
+
+/**
+ * List open tasks past their SLA deadline, most overdue first.
+ *
+ * @param {Object} [filters]
+ * @param {number} [filters.taskType]
+ * @param {Array<string>} [filters.serviceIds] - Only tasks of these services
+ * @param {Date} [now=new Date()]
+ */
+async function findOverdueTasks(filters = {}, now = new Date()) {
+  const query = { isDone: false, slaDueAt: { $ne: null, $lte: now } };
+  if (filters.taskType !== undefined) {
+    query.taskType = Number(filters.taskType);
+  }
+  if (filters.serviceIds) {
+    query.ID_SERVICE = { $in: filters.serviceIds };
+  }
+  const tasks = await Task.find(query).sort({ slaDueAt: 1 });
+  return tasks.map((task) => ({
+    ...task.toObject(),
+    overdueMinutes: Math.floor((now - task.slaDueAt) / 60000),
+  }));
+}
+
+/**
+ * Flag newly overdue tasks as urgent and escalate them once.
+ *
+ * Emits a "task.escalated" event per task, addressed to the team lead
+ * roles of the task type.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<Document>>} Escalated tasks
+ */
+async function escalateOverdueTasks(now = new Date()) {
+  const tasks = await Task.find({
+    isDone: false,
+    escalatedAt: null,
+    slaDueAt: { $ne: null, $lte: now },
+  });
+
+  const escalated = [];
+  for (const task of tasks) {
+    task.isUrgent = true;
+    task.escalatedAt = now;
+    await task.save();
+
+    const lit = await Lit.findOne({ ID_LIT: task.bedId });
+    publish("task.escalated", {
+      task,
+      ID_SERVICE: lit ? lit.ID_SERVICE : null,
+      escalateTo: Task.getEscalationRolesForTaskType(task.taskType),
+      overdueMinutes: Math.floor((now - task.slaDueAt) / 60000),
+    });
+    escalated.push(task);
+  }
+
+  return escalated;
+}
+
+module.exports = {
+  completeTask,
+  escalateOverdueTasks,
+  findOverdueTasks,
+};
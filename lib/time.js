@@ -0,0 +1,7 @@
+// Durations in milliseconds
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+module.exports = { SECOND, MINUTE, HOUR, DAY };
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Random shared secret, base32 encoded as authenticator apps expect.
+ *
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+// RFC 4226 HOTP value of a counter
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+// Time step containing a date
+function timeCounter(now = new Date()) {
+  return Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code of a secret at a given time.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+function generateTotp(secret, now = new Date()) {
+  return hotp(secret, timeCounter(now));
+}
+
+/**
+ * Check a code, accepting `window` steps of clock drift either way.
+ * Codes of a step at or before `lastCounter` are refused so a code
+ * cannot be replayed.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.window=1]
+ * @param {number} [options.lastCounter] - Step of the last accepted code
+ * @param {Date} [options.now=new Date()]
+ * @returns {number|null} Step of the matching code, null when invalid
+ */
+function verifyTotp(secret, code, options = {}) {
+  const { window = 1, lastCounter = null, now = new Date() } = options;
+  const value = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(value)) {
+    return null;
+  }
+  const current = timeCounter(now);
+  for (let counter = current - window; counter <= current + window; counter += 1) {
+    if (lastCounter !== null && counter <= lastCounter) {
+      continue;
+    }
+    const expected = hotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(value))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI to show as a QR code in the enrolment screen.
+ *
+ * @param {string} secret
+ * @param {string} account - Usually the email
+ * @param {string} issuer
+ * @returns {string}
+ */
+function otpauthUrl(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  otpauthUrl,
+  verifyTotp,
+};
@@ -0,0 +1,118 @@
+const crypto = require("crypto");
+const { Admission, Chambre } = require("../models");
+const { BedStatusError, loadBed, changeBedStatus } = require("./bedStatus");
+const { runTransaction } = require("./events");
+
+/**
+ * Move the occupant of one bed to another inside an existing session.
+ *
+ * The target must be "Libre" (1) and compatible with the patient's gender.
+ * The target becomes "Occupé" (2), the source goes to "À nettoyer" (3) with
+ * a cleaning task, both history records share an ID_TRANSFERT and the
+ * ongoing admission (if any) follows the patient.
+ *
+ * @param {Object} data
+ * @param {string} data.SOURCE_ID_LIT - Bed the patient leaves
+ * @param {string} data.TARGET_ID_LIT - Bed the patient moves to
+ * @param {string} [data.GENDER] - Patient gender when no admission records it
+ * @param {number} [data.SUB_ID_STATUT] - Cleaning category for the source bed
+ * @param {Date} [data.CLEANING_TIME] - Scheduled cleaning of the source bed
+ * @param {Object} user - Authenticated user (NOM, ROLE)
+ * @param {ClientSession} session
+ */
+async function performTransfer(data, user, session) {
+  const { SOURCE_ID_LIT, TARGET_ID_LIT } = data;
+  if (SOURCE_ID_LIT === TARGET_ID_LIT) {
+    throw new BedStatusError(400, {
+      error: "Source and target beds must be different",
+    });
+  }
+
+  const source = await loadBed(SOURCE_ID_LIT, session);
+  const target = await loadBed(TARGET_ID_LIT, session);
+
+  if (source.ID_STATUT !== 2) {
+    throw new BedStatusError(409, {
+      error: `Source bed ${source.ID_LIT} is not occupied`,
+      ID_LIT: source.ID_LIT,
+      ID_STATUT: source.ID_STATUT,
+    });
+  }
+  if (target.ID_STATUT !== 1) {
+    throw new BedStatusError(409, {
+      error: `Target bed ${target.ID_LIT} is not free`,
+      ID_LIT: target.ID_LIT,
+      ID_STATUT: target.ID_STATUT,
+    });
+  }
+
+  const admission = await Admission.findActiveForBed(source.ID_LIT, session);
+  const patientGender =
+    (admission && admission.GENDER) || data.GENDER || source.GENDER || "";
+  if (target.GENDER && patientGender && target.GENDER !== patientGender) {
+    throw new BedStatusError(409, {
+      error: `Target bed ${target.ID_LIT} is reserved for gender ${target.GENDER}`,
+      ID_LIT: target.ID_LIT,
+      GENDER: target.GENDER,
+    });
+  }
+
+  const ID_TRANSFERT = crypto.randomUUID();
+
+  const occupied = await changeBedStatus(target, 2, {
+    author: user.NOM,
+    role: user.ROLE,
+    historyData: { ID_TRANSFERT, ID_LIT_LIE: source.ID_LIT },
+    session,
+  });
+  const freed = await changeBedStatus(source, 3, {
+    SUB_ID_STATUT: data.SUB_ID_STATUT,
+    CLEANING_TIME: data.CLEANING_TIME,
+    author: user.NOM,
+    role: user.ROLE,
+    historyData: { ID_TRANSFERT, ID_LIT_LIE: target.ID_LIT },
+    session,
+  });
+
+  // The patient's gender follows them to the target bed and its roommates
+  if (patientGender && !target.GENDER) {
+    target.GENDER = patientGender;
+    await target.save({ session });
+  }
+  if (patientGender && target.ID_CHAMBRE) {
+    await Chambre.propagateGender(target.ID_CHAMBRE, patientGender, target.ID_LIT, session);
+  }
+
+  if (admission) {
+    admission.TRANSFERTS.push({
+      ID_TRANSFERT,
+      ID_LIT_ORIGINE: source.ID_LIT,
+      ID_LIT_DESTINATION: target.ID_LIT,
+      DATE_HEURE: new Date(),
+      AUTEUR: user.NOM,
+    });
+    admission.ID_LIT = target.ID_LIT;
+    await admission.save({ session });
+  }
+
+  return {
+    ID_TRANSFERT,
+    source: freed.lit,
+    target: occupied.lit,
+    history: [freed.history, occupied.history],
+    task: freed.task,
+    admission,
+  };
+}
+
+// Run a bed-to-bed transfer in its own transaction
+async function transferBed(data, user) {
+  return runTransaction((session) =>
+    performTransfer(data, user, session)
+  );
+}
+
+module.exports = {
+  performTransfer,
+  transferBed,
+};
@@ -0,0 +1,89 @@
+const { recordAudit } = require("../lib/audit");
+
+const METHOD_ACTIONS = {
+  POST: "create",
+  PUT: "update",
+  PATCH: "update",
+  DELETE: "delete",
+};
+
+/**
+ * Record the write operation of a route in the audit trail once it has
+ * succeeded (status < 400). Put it after `authorize`, before the handler.
+ *
+ * The entity is loaded before the handler runs and again after the
+ * response for the diff; without a loader (creations) the response body
+ * is used as the new version.
+ *
+ * @param {string} entity - Resource name (lits, services...)
+ * @param {Object} [options]
+ * @param {Model} [options.model] - Model loaded by `key` = req.params[param]
+ * @param {string} [options.key="_id"]
+ * @param {string} [options.param="id"]
+ * @param {string} [options.idField] - Field recorded as ID_ENTITE, defaults to `key`
+ * @param {Function} [options.load] - (req) => entity, instead of model/key
+ * @param {string} [options.action] - Defaults from the HTTP method
+ * @param {Function} [options.entityId] - (req, body) => ID, when not in the URL
+ * @returns {Function} Express middleware
+ */
+function audit(entity, options = {}) {
+  const { model = null, key = "_id", param = "id", action = null, entityId = null } = options;
+  const idField = options.idField || key;
+  const load =
+    options.load ||
+    (model
+      ? (req) =>
+          req.params[param] === undefined
+            ? null
+            : model.findOne({ [key]: req.params[param] }).lean()
+      : null);
+
+  return async function (req, res, next) {
+    let before = null;
+    if (load) {
+      try {
+        before = await load(req);
+      } catch (error) {
+        // Invalid ID: the handler answers the error
+        before = null;
+      }
+    }
+
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (data) => {
+      body = data;
+      return json(data);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+      let after = null;
+      if (req.method !== "DELETE") {
+        try {
+          after = load && before ? await load(req) : body;
+        } catch (error) {
+          after = body;
+        }
+      }
+      const current = after || before || {};
+      const id = entityId
+        ? entityId(req, body)
+        : current[idField] || req.params[param] || null;
+      await recordAudit({
+        req,
+        action: action || METHOD_ACTIONS[req.method],
+        entity,
+        entityId: id,
+        before,
+        after,
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = audit;
@@ -1,8 +1,9 @@
 const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key';
+const { Session, Utilisateur } = require('../models');
+const { JWT_SECRET } = require('../config/auth');
 
 
-module.exports = function (req, res, next) {
+module.exports = async function (req, res, next) {
   const authHeader = req.headers['authorization'];
 
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -10,12 +11,37 @@ module.exports = function (req, res, next) {
   }
   const token = authHeader.split(' ')[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     console.log(err)
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
-}; 
\ No newline at end of file
+
+  try {
+    // Tokens are bound to a server-side session that can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.ID_UTILISATEUR !== decoded.ID_UTILISATEUR) {
+      return res.status(401).json({ error: 'Session revoked or expired' });
+    }
+    const user = await Utilisateur.findOne({ ID_UTILISATEUR: decoded.ID_UTILISATEUR, ACTIF: true });
+    if (!user) {
+      return res.status(401).json({ error: 'User account is inactive' });
+    }
+
+    // Role and services come from the database, not from the token claims
+    req.user = {
+      ...decoded,
+      ROLE: user.ROLE,
+      role: user.ROLE,
+      SERVICES_AUTORISES: user.SERVICES_AUTORISES || [],
+      NOM: user.NOM,
+    };
+    req.utilisateur = user;
+    req.authSession = session;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
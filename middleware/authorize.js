@@ -0,0 +1,25 @@
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Require a permission from config/permissions.js, e.g.
+ * `router.patch('/bed/:bedId/status', authorize('lits:update-status'), ...)`.
+ * Must run after the auth middleware.
+ *
+ * @param {string} permission - "resource:action"
+ */
+module.exports = function authorize(permission) {
+  // Typos fail at startup rather than denying every request
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return function (req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(req.user.ROLE, permission)) {
+      return res.status(403).json({ error: `Permission ${permission} required`, permission });
+    }
+    next();
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Migration: create_statut_transitions
+ * Created: 2026-10-18T09:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+const CARE_ROLES = ['Admin', 'Manager', 'User', 'Medecin'];
+const CLEANING_ROLES = ["Agent d'entretien", "Responsabled'entretien"];
+const TECHNICAL_ROLES = ['Agent technique', 'Responsable technique'];
+const SUPERVISOR_ROLES = ['Admin', 'Manager', ...TECHNICAL_ROLES];
+
+/**
+ * Default bed status graph
+ * 1 Libre, 2 Occupé, 3 À nettoyer, 4 En maintenance, 5 Hors service, 6 Réservé
+ */
+const defaultTransitions = [
+  { FROM_STATUT: 1, TO_STATUT: 2, ROLES: CARE_ROLES },
+  { FROM_STATUT: 1, TO_STATUT: 3, ROLES: CARE_ROLES },
+  { FROM_STATUT: 1, TO_STATUT: 4, ROLES: [...CARE_ROLES, ...TECHNICAL_ROLES] },
+  { FROM_STATUT: 1, TO_STATUT: 5, ROLES: SUPERVISOR_ROLES },
+  { FROM_STATUT: 1, TO_STATUT: 6, ROLES: CARE_ROLES },
+  { FROM_STATUT: 2, TO_STATUT: 3, ROLES: CARE_ROLES },
+  { FROM_STATUT: 3, TO_STATUT: 1, ROLES: ['Admin', ...CLEANING_ROLES] },
+  { FROM_STATUT: 3, TO_STATUT: 4, ROLES: [...CARE_ROLES, ...CLEANING_ROLES, ...TECHNICAL_ROLES] },
+  { FROM_STATUT: 3, TO_STATUT: 5, ROLES: SUPERVISOR_ROLES },
+  { FROM_STATUT: 4, TO_STATUT: 1, ROLES: ['Admin', ...TECHNICAL_ROLES] },
+  { FROM_STATUT: 4, TO_STATUT: 3, ROLES: ['Admin', ...TECHNICAL_ROLES] },
+  { FROM_STATUT: 4, TO_STATUT: 5, ROLES: SUPERVISOR_ROLES },
+  { FROM_STATUT: 5, TO_STATUT: 3, ROLES: SUPERVISOR_ROLES },
+  { FROM_STATUT: 5, TO_STATUT: 4, ROLES: SUPERVISOR_ROLES },
+  { FROM_STATUT: 6, TO_STATUT: 1, ROLES: CARE_ROLES },
+  { FROM_STATUT: 6, TO_STATUT: 2, ROLES: CARE_ROLES }
+];
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_statut_transitions');
+
+  const transitions = mongoose.connection.db.collection('statut_transitions');
+
+  // Create indexes
+  await transitions.createIndex({ FROM_STATUT: 1, TO_STATUT: 1 }, { unique: true });
+  await transitions.createIndex({ FROM_STATUT: 1, ACTIF: 1 });
+
+  const now = new Date();
+  await transitions.insertMany(
+    defaultTransitions.map(transition => ({
+      ...transition,
+      ACTIF: true,
+      createdAt: now,
+      updatedAt: now
+    }))
+  );
+
+  console.log(`✅ Created statut_transitions collection with ${defaultTransitions.length} records`);
+  console.log('Migration create_statut_transitions completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_statut_transitions');
+
+  // Drop the collection
+  await mongoose.connection.db.dropCollection('statut_transitions');
+
+  console.log('🗑️  Dropped statut_transitions collection');
+  console.log('Rollback create_statut_transitions completed');
+}
+
+module.exports = { up, down };
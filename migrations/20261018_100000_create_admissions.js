@@ -0,0 +1,53 @@
+/**
+ * Migration: create_admissions
+ * Created: 2026-10-18T10:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_admissions');
+
+  const admissions = mongoose.connection.db.collection('admissions');
+
+  // Create indexes
+  await admissions.createIndex({ ID_SERVICE: 1 });
+  await admissions.createIndex({ STATUT: 1 });
+  await admissions.createIndex({ DATE_ADMISSION: -1 });
+  await admissions.createIndex({ DATE_SORTIE_PREVUE: 1 });
+
+  // Only one ongoing admission per bed and per patient
+  await admissions.createIndex(
+    { ID_LIT: 1 },
+    { unique: true, partialFilterExpression: { STATUT: 'EN_COURS' } }
+  );
+  await admissions.createIndex(
+    { PATIENT_REF: 1 },
+    { unique: true, partialFilterExpression: { STATUT: 'EN_COURS' } }
+  );
+
+  // Compound indexes for common queries
+  await admissions.createIndex({ ID_LIT: 1, DATE_ADMISSION: -1 });
+  await admissions.createIndex({ ID_SERVICE: 1, STATUT: 1 });
+
+  console.log('✅ Created admissions collection with indexes');
+  console.log('Migration create_admissions completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_admissions');
+
+  // Drop the collection
+  await mongoose.connection.db.dropCollection('admissions');
+
+  console.log('🗑️  Dropped admissions collection');
+  console.log('Rollback create_admissions completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+/**
+ * Migration: add-transfer-links-to-historique
+ * Created: 2026-10-18T11:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-transfer-links-to-historique');
+
+  const historiqueStatuts = mongoose.connection.db.collection('historique_statuts');
+
+  // Existing records were not written by a transfer
+  await historiqueStatuts.updateMany(
+    { ID_TRANSFERT: { $exists: false } },
+    { $set: { ID_TRANSFERT: null, ID_LIT_LIE: null } }
+  );
+  await historiqueStatuts.createIndex({ ID_TRANSFERT: 1 }, { sparse: true });
+
+  console.log('✅ Added ID_TRANSFERT and ID_LIT_LIE to historique_statuts');
+  console.log('Migration add-transfer-links-to-historique completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-transfer-links-to-historique');
+
+  const historiqueStatuts = mongoose.connection.db.collection('historique_statuts');
+
+  await historiqueStatuts.dropIndex('ID_TRANSFERT_1');
+  await historiqueStatuts.updateMany({}, { $unset: { ID_TRANSFERT: '', ID_LIT_LIE: '' } });
+
+  console.log('🗑️  Removed ID_TRANSFERT and ID_LIT_LIE from historique_statuts');
+  console.log('Rollback add-transfer-links-to-historique completed');
+}
+
+module.exports = { up, down };
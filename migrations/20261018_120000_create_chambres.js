@@ -0,0 +1,83 @@
+/**
+ * Migration: create_chambres
+ * Created: 2026-10-18T12:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_chambres');
+
+  const chambres = mongoose.connection.db.collection('chambres');
+  const lits = mongoose.connection.db.collection('lits');
+
+  // Create indexes
+  await chambres.createIndex({ ID_CHAMBRE: 1 }, { unique: true });
+  await chambres.createIndex({ ID_SERVICE: 1 });
+  await chambres.createIndex({ ISOLEMENT: 1 });
+  await chambres.createIndex({ ID_SERVICE: 1, NUMERO: 1 }, { unique: true });
+  await lits.createIndex({ ID_CHAMBRE: 1 });
+
+  await lits.updateMany(
+    { ID_CHAMBRE: { $exists: false } },
+    { $set: { ID_CHAMBRE: null } }
+  );
+
+  // Imported bed IDs encode the room number ("427-01", "427-02").
+  // Beds created through the API use the service prefix and get no room.
+  const beds = await lits.find({}).toArray();
+  const rooms = {};
+  beds.forEach(bed => {
+    const match = /^(\d+)-\d{2}$/.exec(bed.ID_LIT);
+    if (!match || match[1] === bed.ID_SERVICE) {
+      return;
+    }
+    const ID_CHAMBRE = `${bed.ID_SERVICE}-${match[1]}`;
+    if (!rooms[ID_CHAMBRE]) {
+      rooms[ID_CHAMBRE] = { NUMERO: match[1], ID_SERVICE: bed.ID_SERVICE, bedIds: [] };
+    }
+    rooms[ID_CHAMBRE].bedIds.push(bed.ID_LIT);
+  });
+
+  const now = new Date();
+  for (const [ID_CHAMBRE, room] of Object.entries(rooms)) {
+    await chambres.insertOne({
+      ID_CHAMBRE,
+      NUMERO: room.NUMERO,
+      ETAGE: null,
+      ID_SERVICE: room.ID_SERVICE,
+      CAPACITE: room.bedIds.length,
+      ISOLEMENT: false,
+      GENDER: '',
+      ACTIF: true,
+      createdAt: now,
+      updatedAt: now
+    });
+    await lits.updateMany({ ID_LIT: { $in: room.bedIds } }, { $set: { ID_CHAMBRE } });
+  }
+
+  console.log(`✅ Created chambres collection with ${Object.keys(rooms).length} rooms from existing bed IDs`);
+  console.log('Migration create_chambres completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_chambres');
+
+  const lits = mongoose.connection.db.collection('lits');
+  await lits.dropIndex('ID_CHAMBRE_1');
+  await lits.updateMany({}, { $unset: { ID_CHAMBRE: '' } });
+
+  // Drop the collection
+  await mongoose.connection.db.dropCollection('chambres');
+
+  console.log('🗑️  Dropped chambres collection');
+  console.log('Rollback create_chambres completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+/**
+ * Migration: add-reservation-grace-periods
+ * Created: 2026-10-18T13:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-reservation-grace-periods');
+
+  const settings = mongoose.connection.db.collection('settings');
+
+  await settings.updateMany(
+    { reservationGracePeriod: { $exists: false } },
+    { $set: { reservationGracePeriod: 60 } } // 1 hour
+  );
+  await settings.updateMany(
+    { emergencyGracePeriod: { $exists: false } },
+    { $set: { emergencyGracePeriod: 30 } } // 30 minutes
+  );
+
+  console.log('✅ Added reservation grace periods to settings');
+  console.log('Migration add-reservation-grace-periods completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-reservation-grace-periods');
+
+  const settings = mongoose.connection.db.collection('settings');
+  await settings.updateMany(
+    {},
+    { $unset: { reservationGracePeriod: '', emergencyGracePeriod: '' } }
+  );
+
+  console.log('Rollback add-reservation-grace-periods completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,49 @@
+/**
+ * Migration: add-assignment-to-tasks
+ * Created: 2026-10-18T14:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-assignment-to-tasks');
+
+  const tasks = mongoose.connection.db.collection('tasks');
+
+  await tasks.updateMany(
+    { assignedTo: { $exists: false } },
+    {
+      $set: {
+        assignedTo: null,
+        assignedBy: null,
+        startedAt: null,
+        completedBy: null
+      }
+    }
+  );
+  await tasks.createIndex({ assignedTo: 1, isDone: 1 });
+
+  console.log('✅ Added assignment fields to tasks');
+  console.log('Migration add-assignment-to-tasks completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-assignment-to-tasks');
+
+  const tasks = mongoose.connection.db.collection('tasks');
+  await tasks.dropIndex('assignedTo_1_isDone_1');
+  await tasks.updateMany(
+    {},
+    { $unset: { assignedTo: '', assignedBy: '', startedAt: '', completedBy: '' } }
+  );
+
+  console.log('Rollback add-assignment-to-tasks completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+/**
+ * Migration: add-task-completion-settings
+ * Created: 2026-10-18T15:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+const CLEANING_ROLES = ["Agent d'entretien", "Responsabled'entretien"];
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-task-completion-settings');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const transitions = mongoose.connection.db.collection('statut_transitions');
+
+  await settings.updateMany(
+    { maintenanceCompletionStatus: { $exists: false } },
+    { $set: { maintenanceCompletionStatus: 3 } } // À nettoyer
+  );
+
+  // Completing a cleaning task with a bedFor holds the bed for that patient
+  const now = new Date();
+  await transitions.updateOne(
+    { FROM_STATUT: 3, TO_STATUT: 6 },
+    {
+      $setOnInsert: {
+        ROLES: ['Admin', ...CLEANING_ROLES],
+        ACTIF: true,
+        createdAt: now,
+        updatedAt: now
+      }
+    },
+    { upsert: true }
+  );
+
+  console.log('✅ Added maintenanceCompletionStatus setting and 3 → 6 transition');
+  console.log('Migration add-task-completion-settings completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-task-completion-settings');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const transitions = mongoose.connection.db.collection('statut_transitions');
+
+  await settings.updateMany({}, { $unset: { maintenanceCompletionStatus: '' } });
+  await transitions.deleteOne({ FROM_STATUT: 3, TO_STATUT: 6 });
+
+  console.log('Rollback add-task-completion-settings completed');
+}
+
+module.exports = { up, down };
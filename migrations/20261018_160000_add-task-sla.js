@@ -0,0 +1,77 @@
+/**
+ * Migration: add-task-sla
+ * Created: 2026-10-18T16:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_SLAS = {
+  slaCleaningStandard: 45,
+  slaCleaningDeep: 90,
+  slaMaintenance: 240
+};
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-task-sla');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const tasks = mongoose.connection.db.collection('tasks');
+
+  for (const [field, value] of Object.entries(DEFAULT_SLAS)) {
+    await settings.updateMany({ [field]: { $exists: false } }, { $set: { [field]: value } });
+  }
+  const current = { ...DEFAULT_SLAS, ...(await settings.findOne({ type: 'app_settings' })) };
+
+  await tasks.updateMany(
+    { completedAt: { $exists: false } },
+    { $set: { completedAt: null, slaDueAt: null, escalatedAt: null } }
+  );
+
+  // Compute the deadline of open tasks with the current SLAs
+  const openTasks = await tasks.find({ isDone: false }).toArray();
+  for (const task of openTasks) {
+    let minutes = null;
+    if (task.taskType === 4) {
+      minutes = current.slaMaintenance;
+    } else if (task.taskType === 3) {
+      minutes = task.taskCategory === 8 ? current.slaCleaningDeep : current.slaCleaningStandard;
+    }
+    if (minutes === null) {
+      continue;
+    }
+    const start = task.taskCompletionDateTime || task.creationDate;
+    await tasks.updateOne(
+      { _id: task._id },
+      { $set: { slaDueAt: new Date(start.getTime() + minutes * 60 * 1000) } }
+    );
+  }
+
+  await tasks.createIndex({ isDone: 1, slaDueAt: 1 });
+
+  console.log(`✅ Added task SLA settings and deadlines for ${openTasks.length} open tasks`);
+  console.log('Migration add-task-sla completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-task-sla');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const tasks = mongoose.connection.db.collection('tasks');
+
+  await tasks.dropIndex('isDone_1_slaDueAt_1');
+  await tasks.updateMany({}, { $unset: { completedAt: '', slaDueAt: '', escalatedAt: '' } });
+  await settings.updateMany(
+    {},
+    { $unset: { slaCleaningStandard: '', slaCleaningDeep: '', slaMaintenance: '' } }
+  );
+
+  console.log('Rollback add-task-sla completed');
+}
+
+module.exports = { up, down };
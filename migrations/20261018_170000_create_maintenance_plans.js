@@ -0,0 +1,49 @@
+/**
+ * Migration: create_maintenance_plans
+ * Created: 2026-10-18T17:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_maintenance_plans');
+
+  const plans = mongoose.connection.db.collection('maintenance_plans');
+  const tasks = mongoose.connection.db.collection('tasks');
+
+  // Create indexes
+  await plans.createIndex({ isActive: 1 });
+  await plans.createIndex({ serviceId: 1 });
+  await plans.createIndex({ bedId: 1 });
+
+  await tasks.updateMany(
+    { planId: { $exists: false } },
+    { $set: { planId: null, bedBlockedAt: null } }
+  );
+  await tasks.createIndex({ planId: 1, bedId: 1, taskCompletionDateTime: 1 });
+
+  console.log('✅ Created maintenance_plans collection');
+  console.log('Migration create_maintenance_plans completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_maintenance_plans');
+
+  const tasks = mongoose.connection.db.collection('tasks');
+  await tasks.dropIndex('planId_1_bedId_1_taskCompletionDateTime_1');
+  await tasks.updateMany({}, { $unset: { planId: '', bedBlockedAt: '' } });
+
+  // Drop the collection
+  await mongoose.connection.db.dropCollection('maintenance_plans');
+
+  console.log('🗑️  Dropped maintenance_plans collection');
+  console.log('Rollback create_maintenance_plans completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,70 @@
+/**
+ * Migration: hash-passwords
+ * Created: 2026-10-18T18:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+const { hashPassword, isHashed } = require('../lib/password');
+
+const DEFAULT_POLICY = {
+  passwordMinLength: 12,
+  passwordRequireUppercase: true,
+  passwordRequireLowercase: true,
+  passwordRequireDigit: true,
+  passwordRequireSymbol: false,
+  passwordHistoryCount: 5
+};
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: hash-passwords');
+
+  const utilisateurs = mongoose.connection.db.collection('utilisateurs');
+  const settings = mongoose.connection.db.collection('settings');
+
+  // Replace every clear-text password by its scrypt hash and force a change,
+  // since the old values may have been seen in clear
+  const users = await utilisateurs.find({}).toArray();
+  let hashed = 0;
+  for (const user of users) {
+    const update = { FORCE_PASSWORD_CHANGE: true };
+    if (user.password && !isHashed(user.password)) {
+      const hash = await hashPassword(user.password);
+      update.password = hash;
+      update.PASSWORD_HISTORY = [hash];
+      update.PASSWORD_CHANGED_AT = new Date();
+      hashed += 1;
+    }
+    await utilisateurs.updateOne({ _id: user._id }, { $set: update });
+  }
+
+  for (const [field, value] of Object.entries(DEFAULT_POLICY)) {
+    await settings.updateMany({ [field]: { $exists: false } }, { $set: { [field]: value } });
+  }
+
+  console.log(`✅ Hashed ${hashed} passwords and forced a password change for ${users.length} users`);
+  console.log('Migration hash-passwords completed');
+}
+
+/**
+ * Rollback the migration
+ *
+ * Hashes cannot be reversed: users keep their hashed password.
+ */
+async function down() {
+  console.log('Rolling back migration: hash-passwords');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const unset = {};
+  Object.keys(DEFAULT_POLICY).forEach(field => {
+    unset[field] = '';
+  });
+  await settings.updateMany({}, { $unset: unset });
+
+  console.log('⚠️  Passwords stay hashed, the password policy settings were removed');
+  console.log('Rollback hash-passwords completed');
+}
+
+module.exports = { up, down };
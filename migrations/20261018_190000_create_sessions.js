@@ -0,0 +1,40 @@
+/**
+ * Migration: create_sessions
+ * Created: 2026-10-18T19:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_sessions');
+
+  const sessions = mongoose.connection.db.collection('sessions');
+
+  // Create indexes
+  await sessions.createIndex({ TOKEN_HASH: 1 }, { unique: true });
+  await sessions.createIndex({ PREVIOUS_TOKEN_HASHES: 1 });
+  await sessions.createIndex({ ID_UTILISATEUR: 1, REVOKED_AT: 1 });
+  // Expired sessions are removed by MongoDB
+  await sessions.createIndex({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+  console.log('✅ Created sessions collection');
+  console.log('Migration create_sessions completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_sessions');
+
+  // Drop the collection
+  await mongoose.connection.db.dropCollection('sessions');
+
+  console.log('🗑️  Dropped sessions collection');
+  console.log('Rollback create_sessions completed');
+}
+
+module.exports = { up, down };
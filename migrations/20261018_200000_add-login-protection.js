@@ -0,0 +1,63 @@
+/**
+ * Migration: add-login-protection
+ * Created: 2026-10-18T20:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_SETTINGS = {
+  loginMaxAttempts: 5,
+  loginIpMaxAttempts: 20,
+  loginLockoutMinutes: 15,
+  loginFailureWindow: 15,
+  loginDelaySeconds: 1
+};
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-login-protection');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const attempts = mongoose.connection.db.collection('login_attempts');
+  const events = mongoose.connection.db.collection('auth_events');
+
+  for (const [field, value] of Object.entries(DEFAULT_SETTINGS)) {
+    await settings.updateMany({ [field]: { $exists: false } }, { $set: { [field]: value } });
+  }
+
+  // Create indexes
+  await attempts.createIndex({ KEY_TYPE: 1, KEY: 1 }, { unique: true });
+  await attempts.createIndex({ LOCKED_UNTIL: 1 });
+  await attempts.createIndex({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+  await events.createIndex({ DATE: -1 });
+  await events.createIndex({ EMAIL: 1, DATE: -1 });
+  await events.createIndex({ ID_UTILISATEUR: 1, DATE: -1 });
+  await events.createIndex({ IP: 1, DATE: -1 });
+  await events.createIndex({ TYPE: 1, DATE: -1 });
+
+  console.log('✅ Added login protection settings, login_attempts and auth_events collections');
+  console.log('Migration add-login-protection completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-login-protection');
+
+  const settings = mongoose.connection.db.collection('settings');
+  const unset = Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map((field) => [field, '']));
+  await settings.updateMany({}, { $unset: unset });
+
+  // Drop the collections
+  await mongoose.connection.db.dropCollection('login_attempts');
+  await mongoose.connection.db.dropCollection('auth_events');
+
+  console.log('🗑️  Dropped login_attempts and auth_events collections');
+  console.log('Rollback add-login-protection completed');
+}
+
+module.exports = { up, down };
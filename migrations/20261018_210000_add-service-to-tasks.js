@@ -0,0 +1,49 @@
+/**
+ * Migration: add-service-to-tasks
+ * Created: 2026-10-18T21:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-service-to-tasks');
+
+  const tasks = mongoose.connection.db.collection('tasks');
+  const lits = mongoose.connection.db.collection('lits');
+
+  // Copy the service of each task's bed
+  const beds = await lits.find({}, { projection: { ID_LIT: 1, ID_SERVICE: 1 } }).toArray();
+  let updated = 0;
+  for (const bed of beds) {
+    const result = await tasks.updateMany(
+      { bedId: bed.ID_LIT, ID_SERVICE: { $exists: false } },
+      { $set: { ID_SERVICE: bed.ID_SERVICE } }
+    );
+    updated += result.modifiedCount;
+  }
+  // Tasks of deleted beds stay visible to Admin and Manager only
+  await tasks.updateMany({ ID_SERVICE: { $exists: false } }, { $set: { ID_SERVICE: null } });
+
+  await tasks.createIndex({ ID_SERVICE: 1, isDone: 1 });
+
+  console.log(`✅ Added ID_SERVICE to ${updated} tasks`);
+  console.log('Migration add-service-to-tasks completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-service-to-tasks');
+
+  const tasks = mongoose.connection.db.collection('tasks');
+  await tasks.dropIndex('ID_SERVICE_1_isDone_1');
+  await tasks.updateMany({}, { $unset: { ID_SERVICE: '' } });
+
+  console.log('Rollback add-service-to-tasks completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+/**
+ * Migration: create_audit_logs
+ * Created: 2026-10-18T22:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_audit_logs');
+
+  const logs = mongoose.connection.db.collection('audit_logs');
+
+  // Create indexes
+  await logs.createIndex({ DATE: -1 });
+  await logs.createIndex({ ACTEUR: 1, DATE: -1 });
+  await logs.createIndex({ ENTITE: 1, ID_ENTITE: 1, DATE: -1 });
+  await logs.createIndex({ ACTION: 1, DATE: -1 });
+
+  console.log('✅ Created audit_logs collection');
+  console.log('Migration create_audit_logs completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_audit_logs');
+
+  await mongoose.connection.db.dropCollection('audit_logs');
+
+  console.log('🗑️  Dropped audit_logs collection');
+  console.log('Rollback create_audit_logs completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+/**
+ * Migration: create_password_reset_tokens
+ * Created: 2026-10-18T23:00:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_password_reset_tokens');
+
+  const tokens = mongoose.connection.db.collection('password_reset_tokens');
+
+  // Create indexes
+  await tokens.createIndex({ TOKEN_HASH: 1 }, { unique: true });
+  await tokens.createIndex({ ID_UTILISATEUR: 1, USED_AT: 1 });
+  await tokens.createIndex({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+  console.log('✅ Created password_reset_tokens collection');
+  console.log('Migration create_password_reset_tokens completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_password_reset_tokens');
+
+  await mongoose.connection.db.dropCollection('password_reset_tokens');
+
+  console.log('🗑️  Dropped password_reset_tokens collection');
+  console.log('Rollback create_password_reset_tokens completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,65 @@
+/**
+ * Migration: add-totp
+ * Created: 2026-10-18T23:30:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+// Roles that must use a second factor by default
+const DEFAULT_TOTP_REQUIRED_ROLES = ['Admin', 'Manager'];
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: add-totp');
+
+  const utilisateurs = mongoose.connection.db.collection('utilisateurs');
+  const settings = mongoose.connection.db.collection('settings');
+
+  const result = await utilisateurs.updateMany(
+    { TOTP_ENABLED: { $exists: false } },
+    {
+      $set: {
+        TOTP_ENABLED: false,
+        TOTP_SECRET: null,
+        TOTP_PENDING_SECRET: null,
+        TOTP_LAST_COUNTER: null,
+        RECOVERY_CODES: []
+      }
+    }
+  );
+  await settings.updateMany(
+    { totpRequiredRoles: { $exists: false } },
+    { $set: { totpRequiredRoles: DEFAULT_TOTP_REQUIRED_ROLES } }
+  );
+
+  console.log(`✅ Added TOTP fields to ${result.modifiedCount} users`);
+  console.log('Migration add-totp completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: add-totp');
+
+  const utilisateurs = mongoose.connection.db.collection('utilisateurs');
+  const settings = mongoose.connection.db.collection('settings');
+
+  await utilisateurs.updateMany({}, {
+    $unset: {
+      TOTP_ENABLED: '',
+      TOTP_SECRET: '',
+      TOTP_PENDING_SECRET: '',
+      TOTP_LAST_COUNTER: '',
+      RECOVERY_CODES: ''
+    }
+  });
+  await settings.updateMany({}, { $unset: { totpRequiredRoles: '' } });
+
+  console.log('🗑️  Removed TOTP fields');
+  console.log('Rollback add-totp completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+/**
+ * Migration: create_census_snapshots
+ * Created: 2026-10-18T23:40:00.000Z
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Run the migration
+ */
+async function up() {
+  console.log('Running migration: create_census_snapshots');
+
+  const snapshots = mongoose.connection.db.collection('census_snapshots');
+
+  // Create indexes
+  await snapshots.createIndex({ GRANULARITY: 1, DATE: 1, ID_SERVICE: 1 }, { unique: true });
+  await snapshots.createIndex({ GRANULARITY: 1, ID_SERVICE: 1, DATE: 1 });
+  await snapshots.createIndex({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+  console.log('✅ Created census_snapshots collection');
+  console.log('Migration create_census_snapshots completed');
+}
+
+/**
+ * Rollback the migration
+ */
+async function down() {
+  console.log('Rolling back migration: create_census_snapshots');
+
+  await mongoose.connection.db.dropCollection('census_snapshots');
+
+  console.log('🗑️  Dropped census_snapshots collection');
+  console.log('Rollback create_census_snapshots completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const transfertSchema = new mongoose.Schema(
+  {
+    // Links to the two HistoriqueStatut records of the move
+    ID_TRANSFERT: {
+      type: String,
+    },
+    ID_LIT_ORIGINE: {
+      type: String,
+      required: true,
+    },
+    ID_LIT_DESTINATION: {
+      type: String,
+      required: true,
+    },
+    DATE_HEURE: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    AUTEUR: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const admissionSchema = new mongoose.Schema(
+  {
+    // Pseudonymous patient reference, never a name or a national identifier
+    PATIENT_REF: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    ID_LIT: {
+      type: String,
+      required: true,
+      ref: "Lit",
+    },
+    // Admitting service (may differ from the bed's service for overflow placements)
+    ID_SERVICE: {
+      type: String,
+      required: true,
+      ref: "Service",
+    },
+    GENDER: {
+      type: String,
+      default: "",
+    },
+    DATE_ADMISSION: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    DATE_SORTIE_PREVUE: {
+      type: Date,
+      default: null,
+    },
+    DATE_SORTIE: {
+      type: Date,
+      default: null,
+    },
+    STATUT: {
+      type: String,
+      required: true,
+      enum: ["EN_COURS", "SORTIE"],
+      default: "EN_COURS",
+    },
+    AUTEUR_ADMISSION: {
+      type: String,
+    },
+    AUTEUR_SORTIE: {
+      type: String,
+    },
+    TRANSFERTS: {
+      type: [transfertSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    collection: "admissions",
+  }
+);
+
+// Indexes for better performance
+admissionSchema.index({ ID_SERVICE: 1 });
+admissionSchema.index({ STATUT: 1 });
+admissionSchema.index({ DATE_ADMISSION: -1 });
+admissionSchema.index({ DATE_SORTIE_PREVUE: 1 });
+
+// Only one ongoing admission per bed and per patient
+admissionSchema.index(
+  { ID_LIT: 1 },
+  { unique: true, partialFilterExpression: { STATUT: "EN_COURS" } }
+);
+admissionSchema.index(
+  { PATIENT_REF: 1 },
+  { unique: true, partialFilterExpression: { STATUT: "EN_COURS" } }
+);
+
+// Compound indexes for common queries
+admissionSchema.index({ ID_LIT: 1, DATE_ADMISSION: -1 });
+admissionSchema.index({ ID_SERVICE: 1, STATUT: 1 });
+
+// Virtual for length of stay in minutes (up to now for ongoing admissions)
+admissionSchema.virtual("DUREE_SEJOUR").get(function () {
+  const end = this.DATE_SORTIE || new Date();
+  return Math.round((end - this.DATE_ADMISSION) / 60000);
+});
+
+admissionSchema.set("toJSON", { virtuals: true });
+
+// Static method to get the ongoing admission of a bed
+admissionSchema.statics.findActiveForBed = function (bedId, session = null) {
+  return this.findOne({ ID_LIT: bedId, STATUT: "EN_COURS" }).session(session);
+};
+
+module.exports = mongoose.model("Admission", admissionSchema);
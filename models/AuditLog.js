@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "update-status",
+  "transfer",
+  "discharge",
+  "claim",
+  "assign",
+  "unlock",
+  "revoke-sessions",
+  "send-reset-link",
+  "reset-mfa",
+];
+
+// Audit trail of the write operations made through the API
+const auditLogSchema = new mongoose.Schema(
+  {
+    // ID_UTILISATEUR of the authenticated user
+    ACTEUR: {
+      type: String,
+      ref: "Utilisateur",
+      default: null,
+    },
+    ACTEUR_NOM: {
+      type: String,
+      default: "",
+    },
+    ROLE: {
+      type: String,
+      default: "",
+    },
+    ACTION: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+    // Resource name as in the URL (lits, services, settings...)
+    ENTITE: {
+      type: String,
+      required: true,
+    },
+    ID_ENTITE: {
+      type: String,
+      default: null,
+    },
+    // Changed fields: { FIELD: { before, after } }, secrets redacted
+    CHANGES: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    METHOD: {
+      type: String,
+      required: true,
+    },
+    PATH: {
+      type: String,
+      required: true,
+    },
+    IP: {
+      type: String,
+      default: "",
+    },
+    USER_AGENT: {
+      type: String,
+      default: "",
+    },
+    DATE: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: "audit_logs",
+    minimize: false,
+  }
+);
+
+// Indexes for better performance
+auditLogSchema.index({ DATE: -1 });
+auditLogSchema.index({ ACTEUR: 1, DATE: -1 });
+auditLogSchema.index({ ENTITE: 1, ID_ENTITE: 1, DATE: -1 });
+auditLogSchema.index({ ACTION: 1, DATE: -1 });
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const AUTH_EVENT_TYPES = [
+  "login_success",
+  "login_failure",
+  "login_throttled",
+  "account_locked",
+  "ip_locked",
+  "account_unlocked",
+  "token_refreshed",
+  "refresh_token_reused",
+  "logout",
+  "password_changed",
+  "sessions_revoked",
+  "password_reset_requested",
+  "password_reset_link_sent",
+  "password_reset",
+  "mfa_challenge_issued",
+  "mfa_enabled",
+  "mfa_disabled",
+  "mfa_recovery_code_used",
+  "recovery_codes_regenerated",
+  "mfa_reset",
+];
+
+// Authentication audit trail
+const authEventSchema = new mongoose.Schema(
+  {
+    TYPE: {
+      type: String,
+      required: true,
+      enum: AUTH_EVENT_TYPES,
+    },
+    // Email as typed at login (lowercased), when known
+    EMAIL: {
+      type: String,
+      default: null,
+    },
+    ID_UTILISATEUR: {
+      type: String,
+      ref: "Utilisateur",
+      default: null,
+    },
+    // User who performed the action when it is not the account owner (unlock...)
+    ACTEUR: {
+      type: String,
+      default: null,
+    },
+    IP: {
+      type: String,
+      default: "",
+    },
+    USER_AGENT: {
+      type: String,
+      default: "",
+    },
+    DETAILS: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    DATE: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    collection: "auth_events",
+  }
+);
+
+// Indexes for better performance
+authEventSchema.index({ DATE: -1 });
+authEventSchema.index({ EMAIL: 1, DATE: -1 });
+authEventSchema.index({ ID_UTILISATEUR: 1, DATE: -1 });
+authEventSchema.index({ IP: 1, DATE: -1 });
+authEventSchema.index({ TYPE: 1, DATE: -1 });
+
+authEventSchema.statics.TYPES = AUTH_EVENT_TYPES;
+
+module.exports = mongoose.model("AuthEvent", authEventSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const SNAPSHOT_GRANULARITIES = ["hour", "day"];
+
+// Capacity and beds per status of a service, stored by the scheduler
+const censusSnapshotSchema = new mongoose.Schema(
+  {
+    // "hour" or "day" snapshot
+    GRANULARITY: {
+      type: String,
+      required: true,
+      enum: SNAPSHOT_GRANULARITIES,
+    },
+    // Start of the hour or day the snapshot stands for (server time)
+    DATE: {
+      type: Date,
+      required: true,
+    },
+    // When the beds were counted
+    TAKEN_AT: {
+      type: Date,
+      default: Date.now,
+    },
+    ID_SERVICE: {
+      type: String,
+      required: true,
+      ref: "Service",
+    },
+    // Sector of the service when the snapshot was taken
+    ID_SECTEUR: {
+      type: Number,
+      ref: "Secteur",
+      default: null,
+    },
+    // Active beds, as Service.getCapacityForServices
+    CAPA_ARCHI: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Active free beds
+    CAPA_REELLE: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Active beds per status: { "<ID_STATUT>": count }
+    STATUTS: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Hourly snapshots are removed after the retention period
+    EXPIRES_AT: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    collection: "census_snapshots",
+    minimize: false,
+  }
+);
+
+// Indexes for better performance
+censusSnapshotSchema.index({ GRANULARITY: 1, DATE: 1, ID_SERVICE: 1 }, { unique: true });
+censusSnapshotSchema.index({ GRANULARITY: 1, ID_SERVICE: 1, DATE: 1 });
+// MongoDB removes expired hourly snapshots (daily ones have no EXPIRES_AT)
+censusSnapshotSchema.index({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+censusSnapshotSchema.statics.GRANULARITIES = SNAPSHOT_GRANULARITIES;
+
+module.exports = mongoose.model("CensusSnapshot", censusSnapshotSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+const chambreSchema = new mongoose.Schema(
+  {
+    ID_CHAMBRE: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Room number as displayed on the door (e.g. "427")
+    NUMERO: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    ETAGE: {
+      type: Number,
+      default: null,
+    },
+    ID_SERVICE: {
+      type: String,
+      required: true,
+      ref: "Service",
+    },
+    CAPACITE: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 1,
+    },
+    ISOLEMENT: {
+      type: Boolean,
+      default: false,
+      required: true,
+    },
+    // Gender constraint set by the current occupants ("" = none)
+    GENDER: {
+      type: String,
+      default: "",
+    },
+    ACTIF: {
+      type: Boolean,
+      default: true,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "chambres",
+  }
+);
+
+// Indexes for better performance
+chambreSchema.index({ ID_SERVICE: 1 });
+chambreSchema.index({ ISOLEMENT: 1 });
+chambreSchema.index({ ID_SERVICE: 1, NUMERO: 1 }, { unique: true });
+
+// Static method to build the room identifier
+chambreSchema.statics.buildId = function (serviceId, numero) {
+  return `${serviceId}-${numero}`;
+};
+
+// Static method to set the gender constraint of a room and its other beds
+chambreSchema.statics.propagateGender = async function (
+  chambreId,
+  gender,
+  excludeBedId = null,
+  session = null
+) {
+  const Lit = mongoose.model("Lit");
+  await this.updateOne(
+    { ID_CHAMBRE: chambreId },
+    { GENDER: gender || "" },
+    { session }
+  );
+  const bedFilter = { ID_CHAMBRE: chambreId };
+  // Never overwrite the gender of a roommate still holding a patient
+  if (gender) {
+    bedFilter.$or = [{ ID_STATUT: 1 }, { GENDER: { $in: ["", null] } }];
+  }
+  if (excludeBedId) {
+    bedFilter.ID_LIT = { $ne: excludeBedId };
+  }
+  await Lit.updateMany(bedFilter, { GENDER: gender || "" }, { session });
+};
+
+// Static method to lift the gender constraint once no bed of the room is occupied
+chambreSchema.statics.releaseGenderIfEmpty = async function (
+  chambreId,
+  session = null
+) {
+  const Lit = mongoose.model("Lit");
+  const occupied = await Lit.countDocuments({
+    ID_CHAMBRE: chambreId,
+    ID_STATUT: 2,
+  }).session(session);
+  if (occupied === 0) {
+    await this.propagateGender(chambreId, "", null, session);
+  }
+  return occupied === 0;
+};
+
+module.exports = mongoose.model("Chambre", chambreSchema);
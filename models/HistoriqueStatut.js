@@ -33,6 +33,16 @@ const historiqueStatutSchema = new mongoose.Schema({
   STATUT_PRECEDENT: {
     type: Number,
     required: true
+  },
+  // Shared by the two records written for a bed-to-bed transfer
+  ID_TRANSFERT: {
+    type: String,
+    default: null
+  },
+  // Bed on the other side of the transfer
+  ID_LIT_LIE: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true,
@@ -45,6 +55,7 @@ historiqueStatutSchema.index({ ID_SERVICE: 1 });
 historiqueStatutSchema.index({ DATE_HEURE: -1 });
 historiqueStatutSchema.index({ AUTEUR: 1 });
 historiqueStatutSchema.index({ ID_STATUT: 1 });
+historiqueStatutSchema.index({ ID_TRANSFERT: 1 }, { sparse: true });
 
 // Compound indexes for common queries
 historiqueStatutSchema.index({ ID_LIT: 1, DATE_HEURE: -1 });
@@ -53,7 +64,8 @@ historiqueStatutSchema.index({ ID_SERVICE: 1, DATE_HEURE: -1 });
 historiqueStatutSchema.index({ AUTEUR: 1, DATE_HEURE: -1 });
 
 // Static method to create a new history record
-historiqueStatutSchema.statics.createHistory = async function(data) {
+// Pass a session to write the record inside the caller's transaction
+historiqueStatutSchema.statics.createHistory = async function(data, session = null) {
   try {
     // Get the next ID_HIST
     const counter = await mongoose.connection.db.collection('counters').findOneAndUpdate(
@@ -62,7 +74,8 @@ historiqueStatutSchema.statics.createHistory = async function(data) {
       { 
         upsert: true,
         returnDocument: 'after',
-        new: true
+        new: true,
+        session
       }
     );
 
@@ -78,7 +91,7 @@ historiqueStatutSchema.statics.createHistory = async function(data) {
       STATUT_PRECEDENT: Number(data.STATUT_PRECEDENT)
     });
 
-    return await historyRecord.save();
+    return await historyRecord.save({ session });
   } catch (error) {
     console.error('Error creating history record:', error);
     throw error;
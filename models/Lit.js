@@ -13,6 +13,11 @@ const litSchema = new mongoose.Schema(
       required: true,
       ref: "Service",
     },
+    ID_CHAMBRE: {
+      type: String,
+      ref: "Chambre",
+      default: null,
+    },
     ID_STATUT: {
       type: Number,
       required: true,
@@ -63,6 +68,7 @@ const litSchema = new mongoose.Schema(
 // Indexes for better performance
 litSchema.index({ ID_SERVICE: 1 });
 litSchema.index({ ID_STATUT: 1 });
+litSchema.index({ ID_CHAMBRE: 1 });
 litSchema.index({ ACTIF: 1 });
 litSchema.index({ isEmergency: 1 });
 litSchema.index({ MAJ_STATUT: -1 }); // Most recent first
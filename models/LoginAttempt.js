@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Failed login counter for one account (email) or one client IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    KEY_TYPE: {
+      type: String,
+      required: true,
+      enum: ["account", "ip"],
+    },
+    // Lowercased email or IP address
+    KEY: {
+      type: String,
+      required: true,
+    },
+    FAILURES: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Attempts whose credentials are being checked (see lib/loginThrottle.js)
+    PENDING: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    FIRST_FAILURE_AT: {
+      type: Date,
+      default: null,
+    },
+    LAST_FAILURE_AT: {
+      type: Date,
+      default: null,
+    },
+    LOCKED_UNTIL: {
+      type: Date,
+      default: null,
+    },
+    // MongoDB removes the counter once it is no longer relevant
+    EXPIRES_AT: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "login_attempts",
+  }
+);
+
+// Indexes for better performance
+loginAttemptSchema.index({ KEY_TYPE: 1, KEY: 1 }, { unique: true });
+loginAttemptSchema.index({ LOCKED_UNTIL: 1 });
+loginAttemptSchema.index({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the key is locked at a given time
+loginAttemptSchema.methods.isLocked = function (now = new Date()) {
+  return Boolean(this.LOCKED_UNTIL && this.LOCKED_UNTIL > now);
+};
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const { DAY } = require("../lib/time");
+
+const maintenancePlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Scope: every active bed of a service, or a single bed
+    serviceId: {
+      type: String,
+      ref: "Service",
+      default: null,
+    },
+    bedId: {
+      type: String,
+      ref: "Lit",
+      default: null,
+    },
+    // "once" runs on startDate only, "weekly" every intervalWeeks weeks
+    frequency: {
+      type: String,
+      required: true,
+      enum: ["once", "weekly"],
+      default: "weekly",
+    },
+    intervalWeeks: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // First occurrence; its time of day is kept within maintenance hours
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+    },
+    // How far ahead tasks are generated
+    horizonDays: {
+      type: Number,
+      min: 1,
+      max: 90,
+      default: 14,
+    },
+    // Move the bed to "En maintenance" (4) when its slot starts
+    blockBed: {
+      type: Boolean,
+      default: false,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      required: true,
+    },
+    // Last occurrence tasks were generated for
+    lastGeneratedAt: {
+      type: Date,
+      default: null,
+    },
+    // Latest occurrences left without tasks because their beds did not fit
+    // in the maintenance slots
+    skippedOccurrences: [
+      {
+        _id: false,
+        date: Date,
+        ID_LIT: String,
+        reason: String,
+        skippedAt: Date,
+      },
+    ],
+    createdBy: {
+      type: String,
+      ref: "Utilisateur",
+    },
+  },
+  {
+    timestamps: true,
+    collection: "maintenance_plans",
+  }
+);
+
+// Indexes for better performance
+maintenancePlanSchema.index({ isActive: 1 });
+maintenancePlanSchema.index({ serviceId: 1 });
+maintenancePlanSchema.index({ bedId: 1 });
+
+// A plan targets exactly one of a service or a bed
+maintenancePlanSchema.pre("validate", function (next) {
+  if (!this.serviceId === !this.bedId) {
+    return next(new Error("Exactly one of serviceId or bedId is required"));
+  }
+  if (this.endDate && this.endDate < this.startDate) {
+    return next(new Error("endDate must be after startDate"));
+  }
+  next();
+});
+
+// Method to list the occurrence dates falling in [from, to]
+maintenancePlanSchema.methods.getOccurrences = function (from, to) {
+  const start = this.startDate.getTime();
+  const last = Math.min(to.getTime(), this.endDate ? this.endDate.getTime() : Infinity);
+
+  if (this.frequency === "once") {
+    return start >= from.getTime() && start <= last ? [new Date(start)] : [];
+  }
+
+  const step = this.intervalWeeks * 7 * DAY;
+  const occurrences = [];
+  // Skip whole periods before the window
+  let time = start + Math.max(0, Math.ceil((from.getTime() - start) / step)) * step;
+  for (; time <= last; time += step) {
+    occurrences.push(new Date(time));
+  }
+  return occurrences;
+};
+
+module.exports = mongoose.model("MaintenancePlan", maintenancePlanSchema);
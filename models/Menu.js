@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLE_NAMES } = require("../config/roles");
 
 const menuSchema = new mongoose.Schema(
   {
@@ -21,14 +22,7 @@ const menuSchema = new mongoose.Schema(
     permission: {
       type: [String], // Array of roles allowed to access this menu
       required: true,
-      enum: [
-        "Admin",
-        "User",
-        "Viewer",
-        "Manager",
-        "Agent d'entretien",
-        "Responsabled'entretien",
-      ],
+      enum: ROLE_NAMES,
     },
     sortOrder: {
       type: Number,
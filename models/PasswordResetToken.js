@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens sent by email to set a new password
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    ID_UTILISATEUR: {
+      type: String,
+      required: true,
+      ref: "Utilisateur",
+    },
+    // SHA-256 of the token (the token itself is only in the email)
+    TOKEN_HASH: {
+      type: String,
+      required: true,
+    },
+    // "reset" when requested by the user, "invite" for a new account
+    PURPOSE: {
+      type: String,
+      required: true,
+      enum: ["reset", "invite"],
+      default: "reset",
+    },
+    // ID_UTILISATEUR of the Admin who sent the link, null for self-service
+    CREATED_BY: {
+      type: String,
+      default: null,
+    },
+    IP: {
+      type: String,
+      default: "",
+    },
+    EXPIRES_AT: {
+      type: Date,
+      required: true,
+    },
+    USED_AT: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "password_reset_tokens",
+  }
+);
+
+// Indexes for better performance
+passwordResetTokenSchema.index({ TOKEN_HASH: 1 }, { unique: true });
+passwordResetTokenSchema.index({ ID_UTILISATEUR: 1, USED_AT: 1 });
+// MongoDB removes tokens once expired
+passwordResetTokenSchema.index({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the token can still be used
+passwordResetTokenSchema.methods.isUsable = function (now = new Date()) {
+  return !this.USED_AT && this.EXPIRES_AT > now;
+};
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    ID_UTILISATEUR: {
+      type: String,
+      required: true,
+      ref: "Utilisateur",
+    },
+    // SHA-256 of the current refresh token (the token itself is never stored)
+    TOKEN_HASH: {
+      type: String,
+      required: true,
+    },
+    // Hashes of rotated refresh tokens, to detect their reuse
+    PREVIOUS_TOKEN_HASHES: {
+      type: [String],
+      default: [],
+    },
+    USER_AGENT: {
+      type: String,
+      default: "",
+    },
+    IP: {
+      type: String,
+      default: "",
+    },
+    LAST_USED_AT: {
+      type: Date,
+      default: Date.now,
+    },
+    EXPIRES_AT: {
+      type: Date,
+      required: true,
+    },
+    REVOKED_AT: {
+      type: Date,
+      default: null,
+    },
+    REVOKED_REASON: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "sessions",
+  }
+);
+
+// Indexes for better performance
+sessionSchema.index({ TOKEN_HASH: 1 }, { unique: true });
+sessionSchema.index({ PREVIOUS_TOKEN_HASHES: 1 });
+sessionSchema.index({ ID_UTILISATEUR: 1, REVOKED_AT: 1 });
+// MongoDB removes sessions once expired
+sessionSchema.index({ EXPIRES_AT: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.REVOKED_AT && this.EXPIRES_AT > new Date();
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function (reason) {
+  this.REVOKED_AT = new Date();
+  this.REVOKED_REASON = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function (userId, reason) {
+  return this.updateMany(
+    { ID_UTILISATEUR: userId, REVOKED_AT: null },
+    { REVOKED_AT: new Date(), REVOKED_REASON: reason }
+  );
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
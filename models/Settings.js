@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES, ROLE_NAMES } = require('../config/roles');
 
 const settingsSchema = new mongoose.Schema({
   // Type field for singleton pattern
@@ -50,6 +51,127 @@ const settingsSchema = new mongoose.Schema({
     required: true,
     enum: [15, 30, 45, 60],
     default: 30 // 30 minutes
+  },
+
+  // Reservation expiry settings (minutes after RESERVED_DATE)
+  reservationGracePeriod: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 60 // 1 hour
+  },
+  emergencyGracePeriod: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 30 // 30 minutes
+  },
+
+  // Bed status once a maintenance task is done: 3 (À nettoyer) or 1 (Libre)
+  maintenanceCompletionStatus: {
+    type: Number,
+    required: true,
+    enum: [1, 3],
+    default: 3
+  },
+
+  // Task SLAs (minutes from the scheduled time, or creation)
+  slaCleaningStandard: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 45 // Nettoyage(standard) (7)
+  },
+  slaCleaningDeep: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 90 // Nettoyage(approfondi) (8)
+  },
+  slaMaintenance: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 240 // 4 hours
+  },
+
+  // Password policy
+  passwordMinLength: {
+    type: Number,
+    required: true,
+    min: 6,
+    max: 128,
+    default: 12
+  },
+  passwordRequireUppercase: {
+    type: Boolean,
+    required: true,
+    default: true
+  },
+  passwordRequireLowercase: {
+    type: Boolean,
+    required: true,
+    default: true
+  },
+  passwordRequireDigit: {
+    type: Boolean,
+    required: true,
+    default: true
+  },
+  passwordRequireSymbol: {
+    type: Boolean,
+    required: true,
+    default: false
+  },
+  // Number of previous passwords that cannot be reused (0 = no check)
+  passwordHistoryCount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 24,
+    default: 5
+  },
+
+  // Login brute-force protection
+  // Failed attempts on one account before it is locked
+  loginMaxAttempts: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 5
+  },
+  // Failed attempts from one IP before it is locked
+  loginIpMaxAttempts: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 20
+  },
+  // Lockout duration in minutes
+  loginLockoutMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 15
+  },
+  // Minutes after which failed attempts are forgotten
+  loginFailureWindow: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 15
+  },
+  // Delay in seconds after the first failure, doubled after each one (0 = no delay)
+  loginDelaySeconds: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 1
+  },
+  // Roles that must log in with a TOTP code (enrolled at their next login)
+  totpRequiredRoles: {
+    type: [{ type: String, enum: ROLE_NAMES }],
+    default: [ROLES.ADMIN, ROLES.MANAGER]
   }
 }, {
   timestamps: true,
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const statutTransitionSchema = new mongoose.Schema(
+  {
+    FROM_STATUT: {
+      type: Number,
+      required: true,
+      ref: "Statut",
+    },
+    TO_STATUT: {
+      type: Number,
+      required: true,
+      ref: "Statut",
+    },
+    // Roles allowed to perform this transition (empty = every role)
+    ROLES: {
+      type: [String],
+      default: [],
+    },
+    ACTIF: {
+      type: Boolean,
+      default: true,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    collection: "statut_transitions",
+  }
+);
+
+// One edge per (from, to) pair
+statutTransitionSchema.index({ FROM_STATUT: 1, TO_STATUT: 1 }, { unique: true });
+statutTransitionSchema.index({ FROM_STATUT: 1, ACTIF: 1 });
+
+// Method to check if a role may use this edge
+statutTransitionSchema.methods.isAllowedForRole = function (role) {
+  return this.ROLES.length === 0 || this.ROLES.includes(role);
+};
+
+// Static method to get the active edges leaving a status
+statutTransitionSchema.statics.getTransitionsFrom = function (fromStatut) {
+  return this.find({ FROM_STATUT: Number(fromStatut), ACTIF: true }).sort({
+    TO_STATUT: 1,
+  });
+};
+
+// Static method to validate a status change for a given role.
+// Keeping the same status is always allowed (e.g. rescheduling a cleaning).
+statutTransitionSchema.statics.checkTransition = async function (
+  fromStatut,
+  toStatut,
+  role
+) {
+  const from = Number(fromStatut);
+  const to = Number(toStatut);
+  const edges = await this.getTransitionsFrom(from);
+  const allowedStatuts = edges
+    .filter((edge) => edge.isAllowedForRole(role))
+    .map((edge) => edge.TO_STATUT);
+
+  return {
+    allowed: from === to || allowedStatuts.includes(to),
+    allowedStatuts,
+  };
+};
+
+module.exports = mongoose.model("StatutTransition", statutTransitionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLES, CLEANING_ROLES, TECHNICAL_ROLES } = require("../config/roles");
 
 const taskSchema = new mongoose.Schema(
   {
@@ -12,6 +13,12 @@ const taskSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Service of the bed, used to scope tasks to the user's services
+    ID_SERVICE: {
+      type: String,
+      ref: "Service",
+      default: null,
+    },
     taskType: {
       type: Number,
       required: true,
@@ -51,6 +58,49 @@ const taskSchema = new mongoose.Schema(
       default: false,
       required: true,
     },
+    // Assignment (ID_UTILISATEUR of the agent and of the assigning manager)
+    assignedTo: {
+      type: String,
+      ref: "Utilisateur",
+      default: null,
+    },
+    assignedBy: {
+      type: String,
+      ref: "Utilisateur",
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedBy: {
+      type: String,
+      ref: "Utilisateur",
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // SLA deadline computed from the settings, and when it was escalated
+    slaDueAt: {
+      type: Date,
+      default: null,
+    },
+    escalatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Preventive maintenance plan that generated the task
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MaintenancePlan",
+      default: null,
+    },
+    bedBlockedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -72,5 +122,85 @@ taskSchema.index({ bedId: 1, isDone: 1 });
 taskSchema.index({ taskType: 1, isDone: 1 });
 taskSchema.index({ isUrgent: 1, isDone: 1 });
 taskSchema.index({ serviceName: 1, isDone: 1 });
+taskSchema.index({ assignedTo: 1, isDone: 1 });
+taskSchema.index({ ID_SERVICE: 1, isDone: 1 });
+taskSchema.index({ isDone: 1, slaDueAt: 1 });
+taskSchema.index({ planId: 1, bedId: 1, taskCompletionDateTime: 1 });
+
+// Roles allowed to work on each task type
+const ROLES_BY_TASK_TYPE = {
+  3: CLEANING_ROLES,
+  4: TECHNICAL_ROLES,
+};
+
+// Roles allowed to assign tasks of each type to agents
+const ASSIGNER_ROLES_BY_TASK_TYPE = {
+  3: [ROLES.ADMIN, ROLES.MANAGER, ROLES.RESPONSABLE_ENTRETIEN],
+  4: [ROLES.ADMIN, ROLES.MANAGER, ROLES.RESPONSABLE_TECHNIQUE],
+};
+
+// Roles notified when a task of each type misses its SLA
+const ESCALATION_ROLES_BY_TASK_TYPE = {
+  3: [ROLES.RESPONSABLE_ENTRETIEN],
+  4: [ROLES.RESPONSABLE_TECHNIQUE],
+};
+
+// Static method to list the roles that can work on a task type
+taskSchema.statics.getRolesForTaskType = function (taskType) {
+  return ROLES_BY_TASK_TYPE[taskType] || [];
+};
+
+// Static method to list the roles that can assign a task type
+taskSchema.statics.getAssignerRolesForTaskType = function (taskType) {
+  return ASSIGNER_ROLES_BY_TASK_TYPE[taskType] || [ROLES.ADMIN, ROLES.MANAGER];
+};
+
+// Static method to list the roles a missed SLA is escalated to
+taskSchema.statics.getEscalationRolesForTaskType = function (taskType) {
+  return ESCALATION_ROLES_BY_TASK_TYPE[taskType] || [];
+};
+
+// Static method to get the SLA (minutes) of a task type and category
+taskSchema.statics.getSlaMinutes = function (settings, taskType, taskCategory) {
+  if (taskType === 4) {
+    return settings.slaMaintenance;
+  }
+  if (taskType === 3) {
+    return taskCategory === 8
+      ? settings.slaCleaningDeep
+      : settings.slaCleaningStandard;
+  }
+  return null;
+};
+
+// SLA runs from the scheduled time when there is one, else from creation
+taskSchema.pre("save", function (next) {
+  if (
+    !this.isNew &&
+    !this.isModified("taskCategory") &&
+    !this.isModified("taskCompletionDateTime")
+  ) {
+    return next();
+  }
+  const Settings = mongoose.model("Settings");
+  Settings.getCurrentSettings()
+    .then((settings) => {
+      const minutes = this.constructor.getSlaMinutes(
+        settings,
+        this.taskType,
+        this.taskCategory
+      );
+      const start = this.taskCompletionDateTime || this.creationDate;
+      this.slaDueAt =
+        minutes === null ? null : new Date(start.getTime() + minutes * 60 * 1000);
+      next();
+    })
+    .catch(next);
+});
+
+// Method to check if a role can work on this task
+taskSchema.methods.canBeHandledBy = function (role) {
+  return this.constructor.getRolesForTaskType(this.taskType).includes(role);
+};
 
 module.exports = mongoose.model("Task", taskSchema);
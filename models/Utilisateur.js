@@ -1,4 +1,14 @@
 const mongoose = require("mongoose");
+const { ROLE_NAMES, SCOPE_BYPASS_ROLES } = require("../config/roles");
+const {
+  checkPasswordPolicy,
+  hashPassword,
+  isHashed,
+  verifyPassword,
+} = require("../lib/password");
+
+// Hashes kept for the password reuse check
+const MAX_PASSWORD_HISTORY = 24;
 
 const utilisateurSchema = new mongoose.Schema(
   {
@@ -16,17 +26,7 @@ const utilisateurSchema = new mongoose.Schema(
     ROLE: {
       type: String,
       required: true,
-      enum: [
-        "Admin",
-        "User",
-        "Viewer",
-        "Manager",
-        "Medecin",
-        "Agent d'entretien",
-        "Responsabled'entretien",
-        "Agent technique",
-        "Responsable technique",
-      ],
+      enum: ROLE_NAMES,
       default: "User",
     },
     SERVICES_AUTORISES: [
@@ -47,20 +47,52 @@ const utilisateurSchema = new mongoose.Schema(
       unique: true,
       sparse: true, // Allow multiple null values
     },
+    // Unset until the user follows the link sent at account creation
     password: {
       type: String,
-      required: true,
-      default: "password123",
-      minlength: 6,
+      default: null,
     },
     FORCE_PASSWORD_CHANGE: {
       type: Boolean,
       default: true,
       required: true,
     },
+    // scrypt hashes of the current and previous passwords, most recent last
+    PASSWORD_HISTORY: {
+      type: [String],
+      default: [],
+    },
+    PASSWORD_CHANGED_AT: {
+      type: Date,
+    },
     DERNIERE_CONNEXION: {
       type: Date,
     },
+    // TOTP second factor (base32 secret shared with the authenticator app)
+    TOTP_ENABLED: {
+      type: Boolean,
+      default: false,
+      required: true,
+    },
+    TOTP_SECRET: {
+      type: String,
+      default: null,
+    },
+    // Secret being enrolled, until a first code confirms it
+    TOTP_PENDING_SECRET: {
+      type: String,
+      default: null,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    TOTP_LAST_COUNTER: {
+      type: Number,
+      default: null,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    RECOVERY_CODES: {
+      type: [String],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -68,10 +100,15 @@ const utilisateurSchema = new mongoose.Schema(
   }
 );
 
-// Transform function to exclude password when converting to JSON
+// Transform function to exclude password and TOTP secrets when converting to JSON
 utilisateurSchema.set("toJSON", {
   transform: function (doc, ret) {
     delete ret.password;
+    delete ret.PASSWORD_HISTORY;
+    delete ret.TOTP_SECRET;
+    delete ret.TOTP_PENDING_SECRET;
+    delete ret.TOTP_LAST_COUNTER;
+    delete ret.RECOVERY_CODES;
     return ret;
   },
 });
@@ -87,10 +124,45 @@ utilisateurSchema.virtual("isAdmin").get(function () {
   return this.ROLE === "Admin";
 });
 
+// Method to list the services the user is restricted to (null = every service)
+utilisateurSchema.methods.getServiceScope = function () {
+  if (SCOPE_BYPASS_ROLES.includes(this.ROLE)) return null;
+  return this.SERVICES_AUTORISES || [];
+};
+
 // Method to check if user has access to a specific service
 utilisateurSchema.methods.hasAccessToService = function (serviceId) {
-  if (this.ROLE === "Admin") return true;
-  return this.SERVICES_AUTORISES.includes(serviceId);
+  const scope = this.getServiceScope();
+  return scope === null || scope.includes(serviceId);
+};
+
+// Hash the password whenever it is set in clear
+utilisateurSchema.pre("save", function (next) {
+  if (!this.isModified("password") || isHashed(this.password)) {
+    return next();
+  }
+  hashPassword(this.password)
+    .then((hash) => {
+      this.password = hash;
+      this.PASSWORD_HISTORY = [...this.PASSWORD_HISTORY, hash].slice(
+        -MAX_PASSWORD_HISTORY
+      );
+      this.PASSWORD_CHANGED_AT = new Date();
+      next();
+    })
+    .catch(next);
+});
+
+// Method to compare a password with the stored hash in constant time
+utilisateurSchema.methods.comparePassword = function (password) {
+  return verifyPassword(password, this.password);
+};
+
+// Method to list the password policy violations of a new password
+utilisateurSchema.methods.checkPasswordPolicy = async function (password) {
+  const Settings = mongoose.model("Settings");
+  const settings = await Settings.getCurrentSettings();
+  return checkPasswordPolicy(password, settings, this.PASSWORD_HISTORY);
 };
 
 // Method to update last login
@@ -8,6 +8,16 @@ const HistoriqueStatut = require('./HistoriqueStatut');
 const Migration = require('./Migration');
 const Task = require('./Task');
 const Settings = require('./Settings');
+const StatutTransition = require('./StatutTransition');
+const Admission = require('./Admission');
+const Chambre = require('./Chambre');
+const MaintenancePlan = require('./MaintenancePlan');
+const Session = require('./Session');
+const LoginAttempt = require('./LoginAttempt');
+const AuthEvent = require('./AuthEvent');
+const AuditLog = require('./AuditLog');
+const PasswordResetToken = require('./PasswordResetToken');
+const CensusSnapshot = require('./CensusSnapshot');
 
 module.exports = {
   Secteur,
@@ -18,5 +28,15 @@ module.exports = {
   HistoriqueStatut,
   Migration,
   Task,
-  Settings
+  Settings,
+  StatutTransition,
+  Admission,
+  Chambre,
+  MaintenancePlan,
+  Session,
+  LoginAttempt,
+  AuthEvent,
+  AuditLog,
+  PasswordResetToken,
+  CensusSnapshot
 }; 
\ No newline at end of file
@@ -0,0 +1,627 @@
+const express = require("express");
+const router = express.Router();
+const { Admission, Lit } = require("../models");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+const { HttpError } = require("../lib/httpError");
+const {
+  canAccessService,
+  scopeFilter,
+  scopeToServices,
+  serviceAccessDenied,
+} = require("../lib/serviceScope");
+const {
+  admitPatient,
+  dischargePatient,
+  transferPatient,
+} = require("../lib/admissions");
+
+// Apply auth middleware to all routes
+router.use(auth);
+// Restrict admissions to the user's services (Admin and Manager see all)
+router.use(scopeToServices);
+
+// First of the beds outside the user's services, if any
+async function bedOutOfScope(req, bedIds) {
+  const beds = await Lit.find({ ID_LIT: { $in: bedIds } }).select("ID_LIT ID_SERVICE").lean();
+  return beds.find((bed) => !canAccessService(req, bed.ID_SERVICE));
+}
+
+// Audit trail of the write routes
+const auditAdmission = audit("admissions", { model: Admission });
+
+/**
+ * @swagger
+ * /admissions:
+ *   get:
+ *     summary: Get admissions with optional filters and pagination
+ *     tags: [Admissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [EN_COURS, SORTIE]
+ *         description: Filter by admission status
+ *       - in: query
+ *         name: serviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by admitting service
+ *       - in: query
+ *         name: bedId
+ *         schema:
+ *           type: string
+ *         description: Filter by current bed
+ *       - in: query
+ *         name: patientRef
+ *         schema:
+ *           type: string
+ *         description: Filter by pseudonymous patient reference
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of admissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 admissions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Admission'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", authorize("admissions:read"), async (req, res) => {
+  try {
+    const { status, serviceId, bedId, patientRef, page = 1, limit = 10 } =
+      req.query;
+
+    // Validate pagination parameters
+    const pageNum = Number(page);
+    const limitNum = Number(limit);
+
+    if (pageNum < 1) {
+      return res.status(400).json({ error: "Page must be greater than 0" });
+    }
+    if (limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({ error: "Limit must be between 1 and 100" });
+    }
+
+    // Build query
+    const query = {};
+    if (status) {
+      query.STATUT = status;
+    }
+    if (serviceId) {
+      query.ID_SERVICE = serviceId;
+    }
+    if (bedId) {
+      query.ID_LIT = bedId;
+    }
+    if (patientRef) {
+      query.PATIENT_REF = patientRef;
+    }
+
+    const [admissions, total] = await Promise.all([
+      Admission.find(scopeFilter(req, query))
+        .sort({ DATE_ADMISSION: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Admission.countDocuments(scopeFilter(req, query)),
+    ]);
+
+    res.json({
+      total,
+      admissions,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /admissions/{id}:
+ *   get:
+ *     summary: Get an admission by ID
+ *     tags: [Admissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     responses:
+ *       200:
+ *         description: Admission record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: Invalid admission ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admission outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Admission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", authorize("admissions:read"), async (req, res) => {
+  try {
+    const admission = await Admission.findById(req.params.id);
+    if (!admission) {
+      return res.status(404).json({ error: "Admission not found" });
+    }
+    if (!canAccessService(req, admission.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(admission.ID_SERVICE));
+    }
+    res.json(admission);
+  } catch (error) {
+    // Handle invalid ObjectId
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid admission ID format" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /admissions:
+ *   post:
+ *     summary: Admit a patient into a bed
+ *     description: Creates the admission and moves the bed to "Occupé" (2) in one transaction, writing the status history
+ *     tags: [Admissions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - PATIENT_REF
+ *               - ID_LIT
+ *             properties:
+ *               PATIENT_REF:
+ *                 type: string
+ *                 description: Pseudonymous patient reference
+ *               ID_LIT:
+ *                 type: string
+ *                 description: Bed to occupy
+ *               ID_SERVICE:
+ *                 type: string
+ *                 description: Admitting service (defaults to the bed's service)
+ *               GENDER:
+ *                 type: string
+ *                 description: Patient gender
+ *               DATE_ADMISSION:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Admission time (defaults to now)
+ *               DATE_SORTIE_PREVUE:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expected discharge time
+ *     responses:
+ *       201:
+ *         description: Patient admitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Bed outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Bed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Bed cannot be occupied, patient/bed already has an ongoing admission, or patient gender differs from the bed or an occupied roommate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionError'
+ */
+router.post("/", authorize("admissions:write"), auditAdmission, async (req, res) => {
+  try {
+    const { PATIENT_REF, ID_LIT } = req.body;
+    if (!PATIENT_REF || !ID_LIT) {
+      return res
+        .status(400)
+        .json({ error: "PATIENT_REF and ID_LIT are required" });
+    }
+
+    // The bed and the admitting service must be in the user's services
+    const outOfScope = await bedOutOfScope(req, [ID_LIT]);
+    if (outOfScope) {
+      return res.status(403).json(serviceAccessDenied(outOfScope.ID_SERVICE));
+    }
+    if (req.body.ID_SERVICE && !canAccessService(req, req.body.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(req.body.ID_SERVICE));
+    }
+
+    const admission = await admitPatient(req.body, req.user);
+    res.status(201).json(admission);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    console.error("❌ Error admitting patient:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /admissions/{id}:
+ *   patch:
+ *     summary: Update the expected discharge of an admission
+ *     tags: [Admissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               DATE_SORTIE_PREVUE:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expected discharge time
+ *     responses:
+ *       200:
+ *         description: Admission updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Admission outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Admission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch("/:id", authorize("admissions:write"), auditAdmission, async (req, res) => {
+  try {
+    const { DATE_SORTIE_PREVUE } = req.body;
+    if (DATE_SORTIE_PREVUE === undefined) {
+      return res
+        .status(400)
+        .json({ error: "No valid fields provided for update" });
+    }
+
+    const current = await Admission.findById(req.params.id).select("ID_SERVICE").lean();
+    if (current && !canAccessService(req, current.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(current.ID_SERVICE));
+    }
+
+    const admission = await Admission.findOneAndUpdate(
+      { _id: req.params.id, STATUT: "EN_COURS" },
+      { DATE_SORTIE_PREVUE },
+      { new: true, runValidators: true }
+    );
+    if (!admission) {
+      return res.status(404).json({ error: "Ongoing admission not found" });
+    }
+    res.json(admission);
+  } catch (error) {
+    // Handle invalid ObjectId
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid admission ID format" });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /admissions/{id}/discharge:
+ *   post:
+ *     summary: Discharge a patient
+ *     description: Closes the admission and sends the bed to "À nettoyer" (3) with a cleaning task, in one transaction
+ *     tags: [Admissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               DATE_SORTIE:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Discharge time (defaults to now)
+ *               SUB_ID_STATUT:
+ *                 type: number
+ *                 description: Cleaning category (7 standard, 8 deep)
+ *               CLEANING_TIME:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Scheduled cleaning time
+ *     responses:
+ *       200:
+ *         description: Patient discharged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Bed outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Admission not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Admission already closed or status transition not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionError'
+ */
+router.post("/:id/discharge", authorize("admissions:write"), audit("admissions", { model: Admission, action: "discharge" }), async (req, res) => {
+  try {
+    // The bed the patient leaves must be in the user's services
+    const current = await Admission.findById(req.params.id).select("ID_LIT").lean();
+    const outOfScope = current && (await bedOutOfScope(req, [current.ID_LIT]));
+    if (outOfScope) {
+      return res.status(403).json(serviceAccessDenied(outOfScope.ID_SERVICE));
+    }
+
+    const admission = await dischargePatient(
+      req.params.id,
+      req.body || {},
+      req.user
+    );
+    res.json(admission);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    // Handle invalid ObjectId
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid admission ID format" });
+    }
+    console.error("❌ Error discharging patient:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /admissions/{id}/transfer:
+ *   post:
+ *     summary: Transfer an admitted patient to another bed
+ *     description: Occupies the target bed and sends the source bed to "À nettoyer" (3) with a cleaning task, in one transaction. The target must be "Libre" and gender-compatible.
+ *     tags: [Admissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ID_LIT
+ *             properties:
+ *               ID_LIT:
+ *                 type: string
+ *                 description: Target bed
+ *               SUB_ID_STATUT:
+ *                 type: number
+ *                 description: Cleaning category for the source bed (7 standard, 8 deep)
+ *               CLEANING_TIME:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Scheduled cleaning of the source bed
+ *     responses:
+ *       200:
+ *         description: Patient transferred
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Source or target bed outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Admission or bed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Admission closed, target not free, gender mismatch or transition not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionError'
+ */
+router.post("/:id/transfer", authorize("admissions:write"), audit("admissions", { model: Admission, action: "transfer" }), async (req, res) => {
+  try {
+    const { ID_LIT } = req.body;
+    if (!ID_LIT) {
+      return res.status(400).json({ error: "ID_LIT is required" });
+    }
+
+    // Both beds must be in the user's services, as for POST /lits/transfers
+    const current = await Admission.findById(req.params.id).select("ID_LIT").lean();
+    const outOfScope = await bedOutOfScope(
+      req,
+      current ? [current.ID_LIT, ID_LIT] : [ID_LIT]
+    );
+    if (outOfScope) {
+      return res.status(403).json(serviceAccessDenied(outOfScope.ID_SERVICE));
+    }
+
+    const admission = await transferPatient(req.params.id, req.body, req.user);
+    res.json(admission);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    // Handle invalid ObjectId
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid admission ID format" });
+    }
+    console.error("❌ Error transferring patient:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require("express");
+const router = express.Router();
+const { AuditLog } = require("../models");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const { auditCsvLine } = require("../lib/audit");
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// Build the AuditLog filter from the query, or return an error message
+function buildFilter(query) {
+  const filter = {};
+  if (query.action) {
+    if (!AuditLog.ACTIONS.includes(query.action)) {
+      return { error: `action must be one of: ${AuditLog.ACTIONS.join(", ")}` };
+    }
+    filter.ACTION = query.action;
+  }
+  if (query.actor) {
+    filter.ACTEUR = query.actor;
+  }
+  if (query.entity) {
+    filter.ENTITE = query.entity;
+  }
+  if (query.entityId) {
+    filter.ID_ENTITE = query.entityId;
+  }
+  for (const [param, operator] of [["from", "$gte"], ["to", "$lte"]]) {
+    if (query[param]) {
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date` };
+      }
+      filter.DATE = { ...filter.DATE, [operator]: date };
+    }
+  }
+  return { filter };
+}
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Audit trail of the write operations
+ *     description: |
+ *       Creations, updates and deletions made through the API (sectors,
+ *       services, rooms, beds, admissions, tasks, maintenance plans, users,
+ *       settings), most recent first, with the changed fields. Admin only.
+ *       With `format=csv` every matching entry is exported as a CSV file
+ *       (no pagination).
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID_UTILISATEUR of the user who made the change
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *         description: Resource name (lits, services, utilisateurs...)
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, update-status, transfer, discharge, claim, assign, unlock, revoke-sessions, send-reset-link, reset-mfa]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated audit entries, or the CSV export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 logs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalItems:
+ *                       type: integer
+ *                     itemsPerPage:
+ *                       type: integer
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Permission audit:read required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", authorize("audit:read"), async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: "format must be json or csv" });
+    }
+    const { filter, error } = buildFilter(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (format === "csv") {
+      const day = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${day}.csv"`);
+      res.write(auditCsvLine());
+      const cursor = AuditLog.find(filter).sort({ DATE: -1 }).lean().cursor();
+      for await (const log of cursor) {
+        res.write(auditCsvLine(log));
+      }
+      return res.end();
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    if (page < 1) {
+      return res.status(400).json({ error: "Page must be greater than 0" });
+    }
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "Limit must be between 1 and 100" });
+    }
+
+    const [logs, totalCount] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ DATE: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        itemsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error("❌ Error exporting audit logs:", error);
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,440 @@
+const express = require("express");
+const router = express.Router();
+const { Chambre, Lit, Service } = require("../models");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// Audit trail of the write routes
+const auditChambre = audit("chambres", { model: Chambre, key: "ID_CHAMBRE" });
+
+/**
+ * @swagger
+ * /chambres:
+ *   get:
+ *     summary: Get rooms with optional filters and pagination
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by service
+ *       - in: query
+ *         name: isolement
+ *         schema:
+ *           type: boolean
+ *         description: Filter by isolation capability
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Paginated list of rooms with their bed counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 chambres:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Chambre'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", authorize("chambres:read"), async (req, res) => {
+  try {
+    const { serviceId, isolement, page = 1, limit = 10 } = req.query;
+
+    // Validate pagination parameters
+    const pageNum = Number(page);
+    const limitNum = Number(limit);
+
+    if (pageNum < 1) {
+      return res.status(400).json({ error: "Page must be greater than 0" });
+    }
+    if (limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({ error: "Limit must be between 1 and 100" });
+    }
+
+    // Build match conditions
+    const matchConditions = {};
+    if (serviceId) {
+      matchConditions.ID_SERVICE = serviceId;
+    }
+    if (isolement !== undefined) {
+      matchConditions.ISOLEMENT = isolement === "true";
+    }
+
+    const total = await Chambre.countDocuments(matchConditions);
+
+    const chambres = await Chambre.aggregate([
+      { $match: matchConditions },
+      { $sort: { ID_SERVICE: 1, NUMERO: 1 } },
+      { $skip: (pageNum - 1) * limitNum },
+      { $limit: limitNum },
+      {
+        $lookup: {
+          from: "lits",
+          localField: "ID_CHAMBRE",
+          foreignField: "ID_CHAMBRE",
+          as: "beds",
+        },
+      },
+      {
+        $addFields: {
+          NB_LITS: { $size: "$beds" },
+          NB_LITS_OCCUPES: {
+            $size: {
+              $filter: {
+                input: "$beds",
+                as: "bed",
+                cond: { $eq: ["$$bed.ID_STATUT", 2] },
+              },
+            },
+          },
+        },
+      },
+      { $project: { beds: 0 } },
+    ]);
+
+    res.json({
+      total,
+      chambres,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /chambres/{id}:
+ *   get:
+ *     summary: Get a room with its beds
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Room ID_CHAMBRE
+ *     responses:
+ *       200:
+ *         description: Room and the beds it contains
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Chambre'
+ *                 - type: object
+ *                   properties:
+ *                     lits:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Lit'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Room not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", authorize("chambres:read"), async (req, res) => {
+  try {
+    const chambre = await Chambre.findOne({ ID_CHAMBRE: req.params.id });
+    if (!chambre) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    const lits = await Lit.find({ ID_CHAMBRE: chambre.ID_CHAMBRE }).sort({
+      ID_LIT: 1,
+    });
+    res.json({ ...chambre.toObject(), lits });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /chambres:
+ *   post:
+ *     summary: Create a new room
+ *     description: Create a room in a service (Admin only)
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - NUMERO
+ *               - ID_SERVICE
+ *             properties:
+ *               NUMERO:
+ *                 type: string
+ *               ETAGE:
+ *                 type: number
+ *               ID_SERVICE:
+ *                 type: string
+ *               CAPACITE:
+ *                 type: number
+ *               ISOLEMENT:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Room created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Chambre'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", authorize("chambres:create"), auditChambre, async (req, res) => {
+  try {
+    const { NUMERO, ID_SERVICE } = req.body;
+    if (!NUMERO || !ID_SERVICE) {
+      return res
+        .status(400)
+        .json({ error: "NUMERO and ID_SERVICE are required" });
+    }
+
+    const service = await Service.findOne({ ID_SERVICE });
+    if (!service) {
+      return res.status(400).json({ error: "Service not found" });
+    }
+
+    // Create room, ignoring any ID_CHAMBRE or GENDER from client
+    const chambre = new Chambre({
+      ...req.body,
+      ID_CHAMBRE: Chambre.buildId(ID_SERVICE, NUMERO),
+      GENDER: "",
+    });
+    const savedChambre = await chambre.save();
+    res.status(201).json(savedChambre);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /chambres/{id}:
+ *   put:
+ *     summary: Update a room by ID_CHAMBRE
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Room ID_CHAMBRE
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Chambre'
+ *     responses:
+ *       200:
+ *         description: Room updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Chambre'
+ *       400:
+ *         description: Invalid input or capacity below the number of beds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Room not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", authorize("chambres:update"), auditChambre, async (req, res) => {
+  try {
+    // Identity and occupancy-driven fields are not editable
+    const updateData = { ...req.body };
+    delete updateData.ID_CHAMBRE;
+    delete updateData.NUMERO;
+    delete updateData.ID_SERVICE;
+    delete updateData.GENDER;
+
+    if (updateData.CAPACITE !== undefined) {
+      const bedCount = await Lit.countDocuments({ ID_CHAMBRE: req.params.id });
+      if (Number(updateData.CAPACITE) < bedCount) {
+        return res.status(400).json({
+          error: `Capacity cannot be lower than the ${bedCount} beds in the room`,
+        });
+      }
+    }
+
+    const updatedChambre = await Chambre.findOneAndUpdate(
+      { ID_CHAMBRE: req.params.id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+    if (!updatedChambre) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    res.json(updatedChambre);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /chambres/{id}:
+ *   delete:
+ *     summary: Delete a room by ID_CHAMBRE
+ *     description: Deletes the room and detaches its beds, which stay in the service
+ *     tags: [Rooms]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Room ID_CHAMBRE
+ *     responses:
+ *       200:
+ *         description: Room deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Admin role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Room not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", authorize("chambres:delete"), auditChambre, async (req, res) => {
+  try {
+    const chambre = await Chambre.findOneAndDelete({
+      ID_CHAMBRE: req.params.id,
+    });
+    if (!chambre) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+    // Detach the beds of this room
+    await Lit.updateMany(
+      { ID_CHAMBRE: chambre.ID_CHAMBRE },
+      { ID_CHAMBRE: null }
+    );
+    res.json({ message: "Room deleted" });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { Lit } = require('../models');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, scopeToServices } = require('../lib/serviceScope');
+const { computeAnalytics, parseRange } = require('../lib/analytics');
+const { HttpError } = require('../lib/httpError');
+const { computeTimeseries } = require('../lib/censusSnapshots');
+const { computeForecast, parseHorizon } = require('../lib/forecast');
 
 /**
  * @swagger
@@ -9,6 +16,8 @@ const { Lit } = require('../models');
  *     summary: Get bed summary by status
  *     description: Retrieve a summary of beds grouped by their status
  *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Bed summary by status
@@ -28,6 +37,8 @@ const { Lit } = require('../models');
  *                   count:
  *                     type: number
  *                     description: Number of beds with this status
+ *       401:
+ *         description: Unauthorized
  *       500:
  *         description: Server error
  *         content:
@@ -35,7 +46,7 @@ const { Lit } = require('../models');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/bed-summary', async (req, res) => {
+router.get('/bed-summary', auth, authorize('dashboard:read'), async (req, res) => {
   try {
     const summary = await Lit.aggregate([
       { $match: { ACTIF: true } },
@@ -64,4 +75,379 @@ router.get('/bed-summary', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /dashboard/analytics:
+ *   get:
+ *     summary: Occupancy and turnover analytics
+ *     description: |
+ *       Rebuilt from the HistoriqueStatut transitions of the active beds over
+ *       [from, to] (default: the last 7 days, at most 366 days), by service or
+ *       by sector, limited to the caller's services.
+ *
+ *       - occupancyRate: time "Occupé" / time not "Hors service"
+ *       - turnover: admissions (transitions into "Occupé") per bed
+ *       - statusTimes: hours spent in each status; averageMinutes only counts
+ *         stays that started and ended inside the range
+ *       - dischargeToAvailable: time from leaving "Occupé" to the next
+ *         "Libre"; discharges not yet free at the end are counted as pending
+ *
+ *       historyGaps counts transitions whose STATUT_PRECEDENT does not match
+ *       the rebuilt status (a change missing from the history).
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [service, secteur]
+ *           default: service
+ *       - in: query
+ *         name: secteur
+ *         schema:
+ *           type: integer
+ *         description: Only the services of this sector
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only this service
+ *     responses:
+ *       200:
+ *         description: Analytics per group and in total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 groupBy:
+ *                   type: string
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           ID_SERVICE:
+ *                             type: string
+ *                           LIB_SERVICE:
+ *                             type: string
+ *                           ID_SECTEUR:
+ *                             type: integer
+ *                           LIB_SECTEUR:
+ *                             type: string
+ *                       - $ref: '#/components/schemas/BedAnalytics'
+ *                 total:
+ *                   $ref: '#/components/schemas/BedAnalytics'
+ *                 historyGaps:
+ *                   type: integer
+ *       400:
+ *         description: Invalid dates, range or groupBy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Permission dashboard:read required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analytics', auth, authorize('dashboard:read'), scopeToServices, async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'service';
+    if (!['service', 'secteur'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be service or secteur' });
+    }
+    const { from, to } = parseRange(req.query);
+
+    const serviceFilter = {};
+    if (req.query.secteur) {
+      serviceFilter.ID_SECTEUR = Number(req.query.secteur);
+    }
+    if (req.query.service) {
+      serviceFilter.ID_SERVICE = req.query.service;
+    }
+
+    res.json(await computeAnalytics({
+      from,
+      to,
+      groupBy,
+      serviceFilter: scopeFilter(req, serviceFilter)
+    }));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /dashboard/timeseries:
+ *   get:
+ *     summary: Occupancy curves from the census snapshots
+ *     description: |
+ *       Reads the hourly or daily snapshots stored by the census-snapshots
+ *       job over [from, to] (default: the last 7 days; at most 92 days of
+ *       hourly snapshots or 366 days of daily ones). Snapshots are summed per
+ *       group at each snapshot time, then averaged per bucket. Limited to the
+ *       caller's services.
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [hour, day]
+ *           default: hour
+ *         description: Snapshots read
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           enum: [hour, day, week, month]
+ *         description: Width of each point, at least the granularity (default the granularity)
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [total, service, secteur]
+ *           default: total
+ *       - in: query
+ *         name: secteur
+ *         schema:
+ *           type: integer
+ *         description: Only the services of this sector
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only this service
+ *     responses:
+ *       200:
+ *         description: One series per group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 granularity:
+ *                   type: string
+ *                 bucket:
+ *                   type: string
+ *                 groupBy:
+ *                   type: string
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ID_SERVICE:
+ *                         type: string
+ *                       LIB_SERVICE:
+ *                         type: string
+ *                       ID_SECTEUR:
+ *                         type: integer
+ *                       LIB_SECTEUR:
+ *                         type: string
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/CensusPoint'
+ *       400:
+ *         description: Invalid dates, range, granularity, bucket or groupBy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Permission dashboard:read required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/timeseries', auth, authorize('dashboard:read'), scopeToServices, async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+
+    const filter = {};
+    if (req.query.secteur) {
+      filter.ID_SECTEUR = Number(req.query.secteur);
+    }
+    if (req.query.service) {
+      filter.ID_SERVICE = req.query.service;
+    }
+
+    res.json(await computeTimeseries({
+      from,
+      to,
+      granularity: req.query.granularity,
+      bucket: req.query.bucket,
+      groupBy: req.query.groupBy,
+      filter: scopeFilter(req, filter)
+    }));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /dashboard/forecast:
+ *   get:
+ *     summary: Hourly projection of free beds
+ *     description: |
+ *       Projects the free beds of the active beds, per service and in total,
+ *       for each clock hour of the horizon. Every bed is simulated 500 times
+ *       from its current status, computed in the API:
+ *
+ *       - occupied beds leave at the planned discharge of their admission
+ *         (DATE_SORTIE_PREVUE), shifted by a delay drawn from recent
+ *         discharges (actual - planned)
+ *       - beds being cleaned or repaired end at their CLEANING_DATE /
+ *         MAINTENANCE_DATE slot
+ *       - reservations end at the latest when the hold expires
+ *         (RESERVED_DATE + grace period)
+ *       - otherwise, and for the following changes, durations and next
+ *         statuses are drawn from the HistoriqueStatut stays of the last
+ *         FORECAST_LOOKBACK_DAYS days, longer than the time already spent in
+ *         the status
+ *
+ *       low / high are the 10th and 90th percentiles of the runs (80% band).
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only this service
+ *       - in: query
+ *         name: secteur
+ *         schema:
+ *           type: integer
+ *         description: Only the services of this sector
+ *       - in: query
+ *         name: horizon
+ *         schema:
+ *           type: string
+ *           default: 24h
+ *         description: Hours ahead, e.g. 24h or 2d (at most 72h)
+ *     responses:
+ *       200:
+ *         description: Forecast in total and per service
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 horizonHours:
+ *                   type: integer
+ *                 simulations:
+ *                   type: integer
+ *                 lookbackDays:
+ *                   type: integer
+ *                 total:
+ *                   $ref: '#/components/schemas/BedForecast'
+ *                 services:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           ID_SERVICE:
+ *                             type: string
+ *                           LIB_SERVICE:
+ *                             type: string
+ *                       - $ref: '#/components/schemas/BedForecast'
+ *       400:
+ *         description: Invalid horizon
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Permission dashboard:read required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/forecast', auth, authorize('dashboard:read'), scopeToServices, async (req, res) => {
+  try {
+    const horizon = parseHorizon(req.query.horizon);
+
+    const serviceFilter = {};
+    if (req.query.secteur) {
+      serviceFilter.ID_SECTEUR = Number(req.query.secteur);
+    }
+    if (req.query.service) {
+      serviceFilter.ID_SERVICE = req.query.service;
+    }
+
+    res.json(await computeForecast({
+      horizon,
+      serviceFilter: scopeFilter(req, serviceFilter)
+    }));
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
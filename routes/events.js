@@ -0,0 +1,190 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const { Session, Utilisateur } = require("../models");
+const { CLEANING_ROLES, TECHNICAL_ROLES } = require("../config/roles");
+const { hasPermission } = require("../config/permissions");
+const { events } = require("../lib/events");
+
+// Events forwarded to SSE clients
+const STREAMED_EVENTS = [
+  "bed.status_changed",
+  "task.created",
+  "task.assigned",
+  "task.completed",
+  "task.escalated",
+  "settings.updated",
+];
+
+// Interval of the keep-alive comments sent to idle clients
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Longest delay accepted by setTimeout
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// EventSource cannot send headers, so the token may also come as ?token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers["authorization"] && req.query.token) {
+    req.headers["authorization"] = `Bearer ${req.query.token}`;
+  }
+  next();
+}
+
+// Apply the same scoping as the REST routes to an event
+function canReceive(utilisateur, name, payload) {
+  if (name === "settings.updated") {
+    return true;
+  }
+
+  // Every role but Admin and Manager only receives its authorized services
+  if (!utilisateur.hasAccessToService(payload.ID_SERVICE)) {
+    return false;
+  }
+
+  // Escalations go to the team lead of the task type and to managers
+  if (name === "task.escalated") {
+    return (
+      ["Admin", "Manager"].includes(utilisateur.ROLE) ||
+      payload.escalateTo.includes(utilisateur.ROLE)
+    );
+  }
+
+  const scopedStatut = CLEANING_ROLES.includes(utilisateur.ROLE)
+    ? 3
+    : TECHNICAL_ROLES.includes(utilisateur.ROLE)
+    ? 4
+    : null;
+  if (scopedStatut === null) {
+    return true;
+  }
+  if (name === "bed.status_changed") {
+    return (
+      payload.ID_STATUT === scopedStatut ||
+      payload.STATUT_PRECEDENT === scopedStatut
+    );
+  }
+  return payload.task.taskType === scopedStatut;
+}
+
+/**
+ * @swagger
+ * /events/stream:
+ *   get:
+ *     summary: Real-time event stream (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes events as they happen:
+ *       `bed.status_changed`, `task.created`, `task.assigned`, `task.completed`,
+ *       `task.escalated` and `settings.updated`. Events are scoped like the
+ *       REST routes: every role but Admin and Manager only receives its
+ *       authorized services, cleaning roles only status 3 and technical
+ *       roles only status 4.
+ *       `task.escalated` only reaches Admin, Manager and the team lead of
+ *       the task type ("Responsabled'entretien" or "Responsable technique").
+ *       Browsers' EventSource cannot send headers, so the JWT may be passed
+ *       as the `token` query parameter. The stream ends when the token
+ *       expires, and at the next heartbeat (25 s) after a logout, a session
+ *       revocation or the deactivation of the account; reconnect with a new
+ *       token.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: JWT, when the Authorization header cannot be set
+ *     responses:
+ *       200:
+ *         description: Event stream. Each message has an `event` name and a JSON `data` payload.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * Reload the session and the user of an open stream, as the auth middleware
+ * does on every request. Returns the user, or null when the session was
+ * revoked or expired, or the account deactivated or no longer allowed.
+ */
+async function reloadStreamUser(req) {
+  const [session, user] = await Promise.all([
+    Session.findById(req.authSession._id),
+    Utilisateur.findOne({ ID_UTILISATEUR: req.user.ID_UTILISATEUR, ACTIF: true }),
+  ]);
+  if (!session || !session.isActive() || !user || !hasPermission(user.ROLE, "events:stream")) {
+    return null;
+  }
+  return user;
+}
+
+router.get("/stream", tokenFromQuery, auth, authorize("events:stream"), (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // Refreshed at every heartbeat, so role and service changes apply
+  let utilisateur = req.utilisateur;
+  let eventId = 0;
+  const listeners = STREAMED_EVENTS.map((name) => {
+    const listener = (payload) => {
+      if (!canReceive(utilisateur, name, payload)) {
+        return;
+      }
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${name}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+    events.on(name, listener);
+    return [name, listener];
+  });
+
+  let expiry = null;
+  let closed = false;
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    listeners.forEach(([name, listener]) => events.off(name, listener));
+    res.end();
+  };
+
+  // Logout, session revocation and deactivation end the stream at the next heartbeat
+  const heartbeat = setInterval(async () => {
+    try {
+      const user = await reloadStreamUser(req);
+      if (!user) {
+        return close();
+      }
+      utilisateur = user;
+      if (!closed) {
+        res.write(": heartbeat\n\n");
+      }
+    } catch (error) {
+      console.error("❌ Error checking an event stream session:", error);
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  // The stream ends with the access token; clients reconnect with a refreshed one
+  if (req.user.exp) {
+    expiry = setTimeout(close, Math.min(req.user.exp * 1000 - Date.now(), MAX_TIMEOUT));
+  }
+
+  req.on("close", close);
+});
+
+module.exports = router;
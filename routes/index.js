@@ -12,6 +12,14 @@ const utilisateursRoutes = require('./utilisateurs');
 const menusRoutes = require('./menus');
 const tasksRoutes = require('./tasks');
 const settingsRoutes = require('./settings');
+const admissionsRoutes = require('./admissions');
+const chambresRoutes = require('./chambres');
+const eventsRoutes = require('./events');
+const scheduleRoutes = require('./schedule');
+const maintenancePlansRoutes = require('./maintenancePlans');
+const meRoutes = require('./me');
+const auditRoutes = require('./audit');
+const reportsRoutes = require('./reports');
 
 // Root route redirects to documentation
 router.get('/', (req, res) => {
@@ -29,5 +37,13 @@ router.use('/utilisateurs', utilisateursRoutes);
 router.use('/menus', menusRoutes);
 router.use('/tasks', tasksRoutes);
 router.use('/settings', settingsRoutes);
+router.use('/admissions', admissionsRoutes);
+router.use('/chambres', chambresRoutes);
+router.use('/events', eventsRoutes);
+router.use('/schedule', scheduleRoutes);
+router.use('/maintenance-plans', maintenancePlansRoutes);
+router.use('/me', meRoutes);
+router.use('/audit', auditRoutes);
+router.use('/reports', reportsRoutes);
 
 module.exports = router; 
\ No newline at end of file
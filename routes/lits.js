@@ -1,10 +1,66 @@
 const express = require("express");
 const router = express.Router();
-const { Lit, HistoriqueStatut, Statut, Task, Service } = require("../models");
+const { Lit, HistoriqueStatut, Chambre } = require("../models");
 const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+const { CLEANING_ROLES, TECHNICAL_ROLES } = require("../config/roles");
+const {
+  canAccessService,
+  scopeFilter,
+  scopeToServices,
+  serviceAccessDenied,
+} = require("../lib/serviceScope");
+const { changeBedStatus } = require("../lib/bedStatus");
+const { assertNoOngoingAdmission } = require("../lib/admissions");
+const { transferBed } = require("../lib/transfers");
+const { recommendBeds } = require("../lib/recommendations");
+const {
+  describeExpiry,
+  findExpiredReservations,
+} = require("../lib/reservations");
+const { censusAt, parseInstant } = require("../lib/census");
+const { HttpError } = require("../lib/httpError");
 
 // Apply auth middleware to all routes
 router.use(auth);
+// Restrict beds to the user's services (Admin and Manager see all)
+router.use(scopeToServices);
+
+// Bed fields set by changeBedStatus when PUT /lits/:id changes the status
+const STATUS_FIELDS = [
+  "SUB_ID_STATUT",
+  "MAJ_STATUT",
+  "CLEANING_DATE",
+  "MAINTENANCE_DATE",
+  "RESERVED_DATE",
+  "isEmergency",
+];
+
+// Audit trail of the write routes
+const auditLit = audit("lits", { model: Lit, key: "ID_LIT" });
+const auditLitStatus = audit("lits", {
+  model: Lit,
+  key: "ID_LIT",
+  param: "bedId",
+  action: "update-status",
+});
+// Both beds, before and after the transfer
+const auditLitTransfer = audit("lits", {
+  load: async (req) => {
+    const { SOURCE_ID_LIT, TARGET_ID_LIT } = req.body;
+    if (!SOURCE_ID_LIT || !TARGET_ID_LIT) {
+      return null;
+    }
+    const [source, target] = await Promise.all([
+      Lit.findOne({ ID_LIT: SOURCE_ID_LIT }).lean(),
+      Lit.findOne({ ID_LIT: TARGET_ID_LIT }).lean(),
+    ]);
+    return source || target ? { source, target } : null;
+  },
+  action: "transfer",
+  entityId: (req) => req.body.SOURCE_ID_LIT,
+});
 
 /**
  * @swagger
@@ -37,9 +93,9 @@ router.use(auth);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/", async (req, res) => {
+router.get("/", authorize("lits:read"), async (req, res) => {
   try {
-    let query = {};
+    const query = scopeFilter(req);
 
     const lits = await Lit.find(query).sort({ ID_LIT: 1 });
     res.json(lits);
@@ -112,6 +168,12 @@ router.get("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Service outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -119,7 +181,7 @@ router.get("/", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/service/:serviceId", async (req, res) => {
+router.get("/service/:serviceId", authorize("lits:read"), async (req, res) => {
   try {
     const {
       search,
@@ -130,6 +192,10 @@ router.get("/service/:serviceId", async (req, res) => {
       sortOrder = "asc",
     } = req.query;
 
+    if (!canAccessService(req, req.params.serviceId)) {
+      return res.status(403).json(serviceAccessDenied(req.params.serviceId));
+    }
+
     // Build match conditions
     const matchConditions = { ID_SERVICE: req.params.serviceId, ACTIF: true };
 
@@ -287,13 +353,19 @@ router.get("/service/:serviceId", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or CLEANING_TIME/MAINTENANCE_TIME outside working hours
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Transition not allowed from the current status for the user's role, the requested cleaning/maintenance slot is fully booked, or an occupied bed still has an ongoing admission (discharge or transfer it instead)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionError'
  */
-router.patch("/bed/:bedId/status", async (req, res) => {
+router.patch("/bed/:bedId/status", authorize("lits:update-status"), auditLitStatus, async (req, res) => {
   try {
     const {
       ID_STATUT,
@@ -307,103 +379,381 @@ router.patch("/bed/:bedId/status", async (req, res) => {
     if (!lit) {
       return res.status(404).json({ error: "Bed not found" });
     }
+    if (!canAccessService(req, lit.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(lit.ID_SERVICE));
+    }
 
-    // Check if bed is active
-    if (!lit.ACTIF) {
-      return res
-        .status(400)
-        .json({ error: "Cannot update status of inactive bed" });
+    if (ID_STATUT === undefined || ID_STATUT === null) {
+      return res.status(400).json({ error: "ID_STATUT is required" });
     }
 
-    const previousStatus = lit.ID_STATUT;
+    // An admitted patient leaves through a discharge or a transfer
+    await assertNoOngoingAdmission(lit, ID_STATUT);
 
-    // Check if changing FROM Reserved status with emergency flag
-    if (previousStatus === 6 && lit.isEmergency === true && ID_STATUT !== 6) {
-      // When changing from Reserved status with emergency flag, clear emergency
-      lit.isEmergency = false;
-      console.log(`🔄 Emergency cleared for bed ${lit.ID_LIT} - Status changing from Reserved to ${ID_STATUT}`);
-    }
+    // Validates the transition, saves the bed, writes history and creates
+    // the cleaning/maintenance task
+    await changeBedStatus(lit, ID_STATUT, {
+      SUB_ID_STATUT,
+      MAJ_STATUT,
+      CLEANING_TIME,
+      MAINTENANCE_TIME,
+      RESERVED_DATE,
+      author: req.user.NOM,
+      role: req.user.ROLE,
+    });
 
-    // Update bed status and ACTIF based on status
-    // Only status 1 (Libre) makes bed active, all others make it inactive
-    lit.ID_STATUT = ID_STATUT;
-    lit.MAJ_STATUT = MAJ_STATUT;
-    if (ID_STATUT === 3) {
-      lit.SUB_ID_STATUT = SUB_ID_STATUT;
-      lit.CLEANING_DATE = CLEANING_TIME;
-    } else {
-      lit.SUB_ID_STATUT = null;
-      lit.CLEANING_DATE = null;
+    const updatedLit = await Lit.findOne({ ID_LIT: req.params.bedId });
+    res.json(updatedLit);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
     }
+    console.error("❌ Error updating bed status:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    if (ID_STATUT === 4) {
-      lit.MAINTENANCE_DATE = MAINTENANCE_TIME;
-    } else {
-      lit.MAINTENANCE_DATE = null;
+/**
+ * @swagger
+ * /lits/transfers:
+ *   post:
+ *     summary: Transfer a patient from one bed to another
+ *     description: |
+ *       Atomically frees the source bed (sent to "À nettoyer" with a cleaning task)
+ *       and occupies the target bed inside a MongoDB transaction. Both history
+ *       records share the same ID_TRANSFERT and the ongoing admission, if any,
+ *       follows the patient. Works across services.
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - SOURCE_ID_LIT
+ *               - TARGET_ID_LIT
+ *             properties:
+ *               SOURCE_ID_LIT:
+ *                 type: string
+ *                 description: Occupied bed the patient leaves
+ *               TARGET_ID_LIT:
+ *                 type: string
+ *                 description: Free bed the patient moves to
+ *               GENDER:
+ *                 type: string
+ *                 description: Patient gender, used when no admission records it
+ *               SUB_ID_STATUT:
+ *                 type: number
+ *                 description: Cleaning category for the source bed (7 standard, 8 deep)
+ *               CLEANING_TIME:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Scheduled cleaning of the source bed
+ *     responses:
+ *       200:
+ *         description: Transfer completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ID_TRANSFERT:
+ *                   type: string
+ *                 source:
+ *                   $ref: '#/components/schemas/Lit'
+ *                 target:
+ *                   $ref: '#/components/schemas/Lit'
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoriqueStatut'
+ *                 task:
+ *                   type: object
+ *                   description: Cleaning task created for the source bed
+ *                 admission:
+ *                   $ref: '#/components/schemas/Admission'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Bed outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Bed not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Source not occupied, target not free, gender mismatch or transition not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionError'
+ */
+router.post("/transfers", authorize("lits:transfer"), auditLitTransfer, async (req, res) => {
+  try {
+    const { SOURCE_ID_LIT, TARGET_ID_LIT } = req.body;
+    if (!SOURCE_ID_LIT || !TARGET_ID_LIT) {
+      return res
+        .status(400)
+        .json({ error: "SOURCE_ID_LIT and TARGET_ID_LIT are required" });
     }
 
-    if (ID_STATUT === 6) {
-      lit.RESERVED_DATE = RESERVED_DATE;
-    } else {
-      lit.RESERVED_DATE = null;
+    // Both beds must be in the user's services
+    const beds = await Lit.find({ ID_LIT: { $in: [SOURCE_ID_LIT, TARGET_ID_LIT] } });
+    const outOfScope = beds.find((bed) => !canAccessService(req, bed.ID_SERVICE));
+    if (outOfScope) {
+      return res.status(403).json(serviceAccessDenied(outOfScope.ID_SERVICE));
     }
-    await lit.save();
-
-    // Remove: Update the service's available bed count (CAPA_REELLE)
-    // No need to update service, as capacity is now dynamic
-
-    // Create history record using the static method
-    await HistoriqueStatut.createHistory({
-      ID_LIT: lit.ID_LIT,
-      ID_SERVICE: lit.ID_SERVICE,
-      ID_STATUT: ID_STATUT,
-      SUB_ID_STATUT: SUB_ID_STATUT,
-      AUTEUR: req.user.NOM,
-      STATUT_PRECEDENT: previousStatus,
-    });
 
-    // Create task for cleaning (status 3) or maintenance (status 4)
-    if (ID_STATUT === 3 || ID_STATUT === 4) {
-      try {
-        // Get service information for task
-        const service = await Service.findOne({ ID_SERVICE: lit.ID_SERVICE });
-        const serviceName = service ? service.LIB_SERVICE : lit.ID_SERVICE;
-        
-        const taskData = {
-          bedId: lit.ID_LIT,
-          serviceName: serviceName,
-          taskType: ID_STATUT,
-          creationDate: new Date(),
-          gender: lit.GENDER || "",
-          isUrgent: false,
-          isDone: false
-        };
-
-        // Add specific fields based on task type
-        if (ID_STATUT === 3) {
-          // Cleaning task
-          taskData.taskCategory = SUB_ID_STATUT || null;
-          taskData.taskCompletionDateTime = CLEANING_TIME;
-        }
+    const result = await transferBed(req.body, req.user);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    console.error("❌ Error transferring patient:", error);
+    res.status(400).json({ error: error.message });
+  }
+});
 
-        if (ID_STATUT === 4) {
-          // Cleaning task
-          taskData.taskCompletionDateTime = MAINTENANCE_TIME;
-        }
+/**
+ * @swagger
+ * /lits/recommendations:
+ *   post:
+ *     summary: Recommend beds for an incoming patient
+ *     description: |
+ *       Ranks candidate beds for a patient. Free beds, beds whose cleaning is
+ *       due within the hour and (for urgent patients) emergency holds are
+ *       considered. Beds whose roommates have another gender, or without
+ *       isolation when it is required, are excluded. Beds in the patient's
+ *       service rank above overflow ("hébergement") placements.
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ID_SERVICE:
+ *                 type: string
+ *                 description: Patient's home service (ID_SERVICE or ID_SECTEUR is required)
+ *               ID_SECTEUR:
+ *                 type: number
+ *                 description: Required sector when no service is given
+ *               GENDER:
+ *                 type: string
+ *               ISOLEMENT:
+ *                 type: boolean
+ *                 default: false
+ *               URGENT:
+ *                 type: boolean
+ *                 default: false
+ *               LIMIT:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 default: 10
+ *     responses:
+ *       200:
+ *         description: Ranked candidate beds with the reasons for their ranking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 criteria:
+ *                   type: object
+ *                 total:
+ *                   type: integer
+ *                 recommendations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       score:
+ *                         type: number
+ *                       placement:
+ *                         type: string
+ *                         enum: [HOME, HEBERGEMENT]
+ *                       ID_LIT:
+ *                         type: string
+ *                       ID_SERVICE:
+ *                         type: string
+ *                       LIB_SERVICE:
+ *                         type: string
+ *                       ID_SECTEUR:
+ *                         type: number
+ *                       ID_CHAMBRE:
+ *                         type: string
+ *                       ID_STATUT:
+ *                         type: number
+ *                       LIB_STATUT:
+ *                         type: string
+ *                       GENDER:
+ *                         type: string
+ *                       isEmergency:
+ *                         type: boolean
+ *                       CLEANING_DATE:
+ *                         type: string
+ *                         format: date-time
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: Missing service or sector, LIMIT not an integer between 1 and 100, or ISOLEMENT / URGENT not a boolean
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Service outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Service not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/recommendations", authorize("lits:recommend"), async (req, res) => {
+  try {
+    const limit = req.body.LIMIT === undefined ? 10 : Number(req.body.LIMIT);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return res.status(400).json({ error: "LIMIT must be an integer between 1 and 100" });
+    }
 
-        await Task.create(taskData);
-        console.log(`✅ Task created for bed ${lit.ID_LIT} with status ${ID_STATUT}`);
-      } catch (taskError) {
-        console.error("❌ Error creating task:", taskError);
-        // Don't fail the main operation if task creation fails
+    // Flags must be real booleans: the string "false" is not truthy here
+    const flags = {};
+    for (const flag of ["ISOLEMENT", "URGENT"]) {
+      const value = req.body[flag];
+      if (value === undefined || value === true || value === false) {
+        flags[flag] = value === true;
+      } else if (value === "true" || value === "false") {
+        flags[flag] = value === "true";
+      } else {
+        return res.status(400).json({ error: `${flag} must be true or false` });
       }
     }
 
-    const updatedLit = await Lit.findOne({ ID_LIT: req.params.bedId });
-    res.json(updatedLit);
+    if (req.body.ID_SERVICE && !canAccessService(req, req.body.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(req.body.ID_SERVICE));
+    }
+
+    // Only beds of the user's services are recommended
+    const result = await recommendBeds(
+      { ...req.body, ...flags, LIMIT: limit },
+      { serviceIds: req.serviceScope }
+    );
+    res.json(result);
   } catch (error) {
-    console.error("❌ Error updating bed status:", error);
-    res.status(400).json({ error: error.message });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /lits/reservations/expired:
+ *   get:
+ *     summary: List expired reservations (dry run)
+ *     description: |
+ *       Lists the "Réservé" beds the background scheduler would release now,
+ *       i.e. whose RESERVED_DATE plus the grace period from the settings has
+ *       passed. Nothing is modified.
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Beds that would be released
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 beds:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ID_LIT:
+ *                         type: string
+ *                       ID_SERVICE:
+ *                         type: string
+ *                       isEmergency:
+ *                         type: boolean
+ *                       RESERVED_DATE:
+ *                         type: string
+ *                         format: date-time
+ *                       MAJ_STATUT:
+ *                         type: string
+ *                         format: date-time
+ *                       gracePeriod:
+ *                         type: number
+ *                         description: Grace period applied, in minutes
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/reservations/expired", authorize("lits:read"), async (req, res) => {
+  try {
+    const expired = (await findExpiredReservations()).filter((lit) =>
+      canAccessService(req, lit.ID_SERVICE)
+    );
+    res.json({
+      total: expired.length,
+      beds: expired.map(describeExpiry),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -438,6 +788,12 @@ router.patch("/bed/:bedId/status", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Bed outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Bed not found
  *         content:
@@ -451,13 +807,16 @@ router.patch("/bed/:bedId/status", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/bed/:bedId/history", async (req, res) => {
+router.get("/bed/:bedId/history", authorize("lits:read"), async (req, res) => {
   try {
     // Check if bed exists
     const lit = await Lit.findOne({ ID_LIT: req.params.bedId });
     if (!lit) {
       return res.status(404).json({ error: "Bed not found" });
     }
+    if (!canAccessService(req, lit.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(lit.ID_SERVICE));
+    }
 
     const history = await HistoriqueStatut.getBedHistory(req.params.bedId);
     res.json(history);
@@ -466,11 +825,35 @@ router.get("/bed/:bedId/history", async (req, res) => {
   }
 });
 
+// Load a room and check it can take one more bed of the given service
+async function loadRoomForBed(chambreId, serviceId, excludeBedId = null) {
+  const chambre = await Chambre.findOne({ ID_CHAMBRE: chambreId });
+  if (!chambre) {
+    return { error: "Room not found" };
+  }
+  if (serviceId && chambre.ID_SERVICE !== serviceId) {
+    return { error: "Room belongs to another service" };
+  }
+  const bedFilter = { ID_CHAMBRE: chambreId };
+  if (excludeBedId) {
+    bedFilter.ID_LIT = { $ne: excludeBedId };
+  }
+  const bedCount = await Lit.countDocuments(bedFilter);
+  if (bedCount >= chambre.CAPACITE) {
+    return { error: `Room ${chambre.NUMERO} is full (${chambre.CAPACITE} beds)` };
+  }
+  return { chambre };
+}
+
 /**
  * @swagger
  * /lits:
  *   post:
  *     summary: Create a new bed
+ *     description: |
+ *       Creates a bed in a service. When ID_CHAMBRE is given the bed is placed in
+ *       that room (ID_SERVICE defaults to the room's service), numbered after the
+ *       room (e.g. "427-02") and inherits the room's gender constraint.
  *     tags: [Beds]
  *     security:
  *       - bearerAuth: []
@@ -506,16 +889,34 @@ router.get("/bed/:bedId/history", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/", async (req, res) => {
+router.post("/", authorize("lits:create"), auditLit, async (req, res) => {
   try {
-    const { ID_SERVICE, GENDER } = req.body;
-    console.log("ID SERVICE", req.body);
-    if (ID_SERVICE === "") {
+    const { ID_CHAMBRE } = req.body;
+    let { ID_SERVICE, GENDER } = req.body;
+
+    let chambre = null;
+    if (ID_CHAMBRE) {
+      const room = await loadRoomForBed(ID_CHAMBRE, ID_SERVICE);
+      if (room.error) {
+        return res.status(400).json({ error: room.error });
+      }
+      chambre = room.chambre;
+      ID_SERVICE = chambre.ID_SERVICE;
+      // Roommates already constrain the gender of the room
+      if (chambre.GENDER) {
+        GENDER = chambre.GENDER;
+      }
+    }
+
+    if (!ID_SERVICE) {
       return res.status(400).json({ error: "ID_SERVICE is required" });
     }
+    if (!canAccessService(req, ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(ID_SERVICE));
+    }
 
-    // Prefix: ID_SERVICE + '-'
-    const prefix = ID_SERVICE + "-";
+    // Prefix: room number (or ID_SERVICE when no room) + '-'
+    const prefix = (chambre ? chambre.NUMERO : ID_SERVICE) + "-";
     // Find the highest existing ID_LIT for this service
     const regex = new RegExp(`^${prefix}\\d{2}$`);
     const lastLit = await Lit.find({ ID_LIT: { $regex: regex } })
@@ -529,7 +930,14 @@ router.post("/", async (req, res) => {
     }
     const newId = `${prefix}${String(nextNum).padStart(2, "0")}`;
     // Create bed, ignoring any ID_LIT from client
-    const lit = new Lit({ ...req.body, ID_LIT: newId, GENDER, ID_STATUT: 1 });
+    const lit = new Lit({
+      ...req.body,
+      ID_LIT: newId,
+      ID_SERVICE,
+      ID_CHAMBRE: chambre ? chambre.ID_CHAMBRE : null,
+      GENDER,
+      ID_STATUT: 1,
+    });
     const savedLit = await lit.save();
     res.status(201).json(savedLit);
   } catch (error) {
@@ -542,6 +950,11 @@ router.post("/", async (req, res) => {
  * /lits/{id}:
  *   put:
  *     summary: Update a bed by ID_LIT
+ *     description: |
+ *       A new ID_STATUT (or isEmergency, which reserves or frees the bed) is
+ *       applied like PATCH /lits/bed/{bedId}/status: transition graph, free
+ *       slot for CLEANING_DATE / MAINTENANCE_DATE, history record and
+ *       cleaning or maintenance task.
  *     tags: [Beds]
  *     security:
  *       - bearerAuth: []
@@ -583,8 +996,14 @@ router.post("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Status change not allowed from the current status for the user's role, no free slot, or an occupied bed still has an ongoing admission
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TransitionError'
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", authorize("lits:update"), auditLit, async (req, res) => {
   try {
     // First check if bed exists and user has access to its service
     const existingLit = await Lit.findOne({ ID_LIT: req.params.id });
@@ -596,11 +1015,30 @@ router.put("/:id", async (req, res) => {
     const updateData = { ...req.body };
     delete updateData.ID_LIT;
 
+    // The bed and, when it moves, its new service must be in the user's services
+    for (const serviceId of [existingLit.ID_SERVICE, updateData.ID_SERVICE]) {
+      if (serviceId && !canAccessService(req, serviceId)) {
+        return res.status(403).json(serviceAccessDenied(serviceId));
+      }
+    }
+
     // If GENDER is 'INDIFFERENT', set it to empty string
     if (updateData.GENDER === "INDIFFERENT") {
       updateData.GENDER = "";
     }
 
+    // Moving the bed into a room requires a free place in a room of its service
+    if (updateData.ID_CHAMBRE && updateData.ID_CHAMBRE !== existingLit.ID_CHAMBRE) {
+      const room = await loadRoomForBed(
+        updateData.ID_CHAMBRE,
+        updateData.ID_SERVICE || existingLit.ID_SERVICE,
+        existingLit.ID_LIT
+      );
+      if (room.error) {
+        return res.status(400).json({ error: room.error });
+      }
+    }
+
     // Handle isEmergency field logic
     if (updateData.hasOwnProperty('isEmergency')) {
       if (updateData.isEmergency === true) {
@@ -622,32 +1060,54 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    // Status changes go through changeBedStatus like PATCH: transition
+    // graph, slots, history, cleaning/maintenance task and room gender
+    const statusChange =
+      updateData.ID_STATUT !== undefined &&
+      Number(updateData.ID_STATUT) !== existingLit.ID_STATUT;
+    if (statusChange) {
+      await assertNoOngoingAdmission(existingLit, updateData.ID_STATUT);
+      if (updateData.hasOwnProperty("isEmergency")) {
+        existingLit.isEmergency = updateData.isEmergency;
+      }
+      await changeBedStatus(existingLit, Number(updateData.ID_STATUT), {
+        SUB_ID_STATUT: updateData.SUB_ID_STATUT,
+        MAJ_STATUT: updateData.MAJ_STATUT,
+        CLEANING_TIME: updateData.CLEANING_DATE,
+        MAINTENANCE_TIME: updateData.MAINTENANCE_DATE,
+        RESERVED_DATE: updateData.RESERVED_DATE,
+        author: req.user.NOM,
+        role: req.user.ROLE,
+      });
+      // The status fields were written by changeBedStatus
+      STATUS_FIELDS.forEach((field) => delete updateData[field]);
+    }
+    delete updateData.ID_STATUT;
+
     const updatedLit = await Lit.findOneAndUpdate(
       { ID_LIT: req.params.id },
       updateData,
       { new: true, runValidators: true }
     );
 
-    // If status was changed due to emergency logic, create history record
-    if (updateData.hasOwnProperty('isEmergency') && updateData.hasOwnProperty('ID_STATUT')) {
-      try {
-        await HistoriqueStatut.createHistory({
-          ID_LIT: existingLit.ID_LIT,
-          ID_SERVICE: existingLit.ID_SERVICE,
-          ID_STATUT: updateData.ID_STATUT,
-          SUB_ID_STATUT: null,
-          AUTEUR: req.user.NOM,
-          STATUT_PRECEDENT: existingLit.ID_STATUT,
-        });
-        console.log(`📝 History record created for emergency status change on bed ${req.params.id}`);
-      } catch (historyError) {
-        console.error("❌ Error creating history record:", historyError);
-        // Don't fail the main operation if history creation fails
-      }
+    // A gender set on an occupied bed constrains its roommates
+    if (
+      updateData.hasOwnProperty("GENDER") &&
+      updatedLit.ID_CHAMBRE &&
+      updatedLit.ID_STATUT === 2
+    ) {
+      await Chambre.propagateGender(
+        updatedLit.ID_CHAMBRE,
+        updatedLit.GENDER,
+        updatedLit.ID_LIT
+      );
     }
 
     res.json(updatedLit);
   } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
     res.status(400).json({ error: error.message });
   }
 });
@@ -684,7 +1144,7 @@ router.put("/:id", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Permission lits:delete required, or bed outside the user's services
  *         content:
  *           application/json:
  *             schema:
@@ -696,19 +1156,17 @@ router.put("/:id", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authorize("lits:delete"), auditLit, async (req, res) => {
   try {
-    // Only admin can delete beds
-    if (req.user.role !== "Admin") {
-      return res
-        .status(403)
-        .json({ error: "Admin role required to delete beds" });
-    }
-
-    const deletedLit = await Lit.findOneAndDelete({ ID_LIT: req.params.id });
-    if (!deletedLit) {
+    const lit = await Lit.findOne({ ID_LIT: req.params.id });
+    if (!lit) {
       return res.status(404).json({ error: "Bed not found" });
     }
+    if (!canAccessService(req, lit.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(lit.ID_SERVICE));
+    }
+
+    await Lit.deleteOne({ ID_LIT: req.params.id });
     res.json({ message: "Bed deleted" });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -807,7 +1265,7 @@ router.delete("/:id", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/all", async (req, res) => {
+router.get("/all", authorize("lits:read"), async (req, res) => {
   try {
     const {
       secteur,
@@ -835,10 +1293,10 @@ router.get("/all", async (req, res) => {
     sortObject[sortBy] = sortOrder === "desc" ? -1 : 1;
 
     // Build match conditions
-    const matchConditions = {};
-    if (role === "Agent d'entretien" || role === "Responsabled'entretien") {
+    let matchConditions = {};
+    if (CLEANING_ROLES.includes(role)) {
       matchConditions.ID_STATUT = 3;
-    } else if (role === "Agent technique" || role === "Responsable technique") {
+    } else if (TECHNICAL_ROLES.includes(role)) {
       matchConditions.ID_STATUT = 4;
     } else if (status) {
       matchConditions.ID_STATUT = Number(status);
@@ -858,6 +1316,9 @@ router.get("/all", async (req, res) => {
       matchConditions.$or = [{ ID_LIT: { $regex: search, $options: "i" } }];
     }
 
+    // Only the user's services
+    matchConditions = scopeFilter(req, matchConditions);
+
     // First, get total count for pagination
     const total = await Lit.aggregate([
       { $match: matchConditions },
@@ -962,6 +1423,199 @@ router.get("/all", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /lits/census:
+ *   get:
+ *     summary: Beds as they were at a given instant
+ *     description: |
+ *       Replays HistoriqueStatut (STATUT_PRECEDENT -> ID_STATUT) to rebuild the
+ *       status and service of every bed at `at`, in the shape of /lits/all.
+ *       Beds created after `at` are left out. A bed without a record before
+ *       `at` takes the STATUT_PRECEDENT of its next record, or its current
+ *       status when it has no history. MAJ_STATUT is the date of the record
+ *       that set the status (null when unknown) and HISTORY_GAP is true when
+ *       the next record does not start from the rebuilt status.
+ *     tags: [Beds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Instant of the census
+ *       - in: query
+ *         name: secteur
+ *         schema:
+ *           type: number
+ *         description: Filter by sector ID_SECTEUR (of the service at that instant)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: number
+ *         description: Filter by status ID_STATUT at that instant
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for bed ID, service name, or status name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: ID_LIT
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: Paginated list of beds at that instant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 at:
+ *                   type: string
+ *                   format: date-time
+ *                 total:
+ *                   type: integer
+ *                 beds:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Lit'
+ *                       - type: object
+ *                         properties:
+ *                           LIB_SERVICE:
+ *                             type: string
+ *                           LIB_STATUT:
+ *                             type: string
+ *                           HISTORY_GAP:
+ *                             type: boolean
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 historyGaps:
+ *                   type: integer
+ *                   description: Beds of the census with HISTORY_GAP
+ *       400:
+ *         description: Missing, invalid or future `at`, or invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/census", authorize("lits:read"), async (req, res) => {
+  try {
+    const {
+      secteur,
+      status,
+      search,
+      page = 1,
+      limit = 10,
+      sortBy = "ID_LIT",
+      sortOrder = "asc",
+    } = req.query;
+    const role = req.user?.role;
+    const pageNum = Number(page);
+    const limitNum = Number(limit);
+
+    if (pageNum < 1) {
+      return res.status(400).json({ error: "Page must be greater than 0" });
+    }
+    if (limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({ error: "Limit must be between 1 and 100" });
+    }
+    const at = parseInstant(req.query.at);
+
+    const serviceFilter = {};
+    if (secteur) {
+      serviceFilter.ID_SECTEUR = Number(secteur);
+    }
+    let beds = await censusAt({ at, serviceFilter: scopeFilter(req, serviceFilter) });
+
+    // Same status restrictions as /lits/all
+    let statusFilter = null;
+    if (CLEANING_ROLES.includes(role)) {
+      statusFilter = 3;
+    } else if (TECHNICAL_ROLES.includes(role)) {
+      statusFilter = 4;
+    } else if (status) {
+      statusFilter = Number(status);
+    }
+    if (statusFilter !== null) {
+      beds = beds.filter((lit) => lit.ID_STATUT === statusFilter);
+    }
+
+    if (search) {
+      const pattern = new RegExp(search, "i");
+      beds = beds.filter((lit) =>
+        [lit.ID_LIT, lit.LIB_SERVICE, lit.LIB_STATUT].some((value) => pattern.test(value || ""))
+      );
+    }
+
+    const direction = sortOrder === "desc" ? -1 : 1;
+    beds.sort(
+      (a, b) =>
+        direction *
+        String(a[sortBy] ?? "").localeCompare(String(b[sortBy] ?? ""), undefined, {
+          numeric: true,
+        })
+    );
+
+    const total = beds.length;
+    res.json({
+      at,
+      total,
+      beds: beds.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+      historyGaps: beds.filter((lit) => lit.HISTORY_GAP).length,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: `Invalid search: ${error.message}` });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /lits/history:
@@ -1058,7 +1712,7 @@ router.get("/all", async (req, res) => {
  *                       AUTEUR:
  *                         type: string
  */
-router.get("/history", auth, async (req, res) => {
+router.get("/history", authorize("lits:read"), async (req, res) => {
   try {
     const {
       bedId,
@@ -1072,7 +1726,7 @@ router.get("/history", auth, async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = {};
+    let query = {};
 
     if (bedId) {
       query.ID_LIT = bedId;
@@ -1108,39 +1762,27 @@ router.get("/history", auth, async (req, res) => {
     }
 
     // Role-based access control for history
-    // Admin and Manager can see all history
-    // User and Viewer can only see history for their authorized services
-    if (req.user.ROLE === "User" || req.user.ROLE === "Viewer") {
-      // Filter by user's authorized services
-      if (
-        req.user.SERVICES_AUTORISES &&
-        req.user.SERVICES_AUTORISES.length > 0
-      ) {
-        query.ID_SERVICE = { $in: req.user.SERVICES_AUTORISES };
-      } else {
-        // If user has no authorized services, return empty result
-        return res.json({
-          total: 0,
-          history: [],
-          page: Number(page),
-          limit: Number(limit),
-          totalPages: 0,
-        });
-      }
-    } else if (
-      req.user.ROLE === "Agent d'entretien" ||
-      req.user.ROLE === "Responsabled'entretien"
-    ) {
+    // Admin and Manager can see all history, other roles their authorized services
+    if (req.serviceScope !== null && req.serviceScope.length === 0) {
+      // If user has no authorized services, return empty result
+      return res.json({
+        total: 0,
+        history: [],
+        page: Number(page),
+        limit: Number(limit),
+        totalPages: 0,
+      });
+    }
+    query = scopeFilter(req, query);
+
+    if (CLEANING_ROLES.includes(req.user.ROLE)) {
       // Filter to only entries where current or previous status is 3 (À nettoyer)
       query.$or = [{ ID_STATUT: 3 }, { STATUT_PRECEDENT: 3 }];
-    } else if (
-      req.user.ROLE === "Agent technique" ||
-      req.user.ROLE === "Responsable technique"
-    ) {
+    } else if (TECHNICAL_ROLES.includes(req.user.ROLE)) {
       // Filter to only entries where current or previous status is 4 (À entretenir)
       query.$or = [{ ID_STATUT: 4 }, { STATUT_PRECEDENT: 4 }];
     }
-    // For Admin and Manager roles, no additional filtering needed - they can see all
+    // Other roles see every status of their services
 
     // Get total count with role-based filtering
     const total = await HistoriqueStatut.countDocuments(query);
@@ -1201,6 +1843,8 @@ router.get("/history", auth, async (req, res) => {
           DATE_HEURE: 1,
           AUTEUR: 1,
           SUB_ID_STATUT: 1,
+          ID_TRANSFERT: 1,
+          ID_LIT_LIE: 1,
         },
       },
       { $sort: { DATE_HEURE: -1 } },
@@ -0,0 +1,458 @@
+const express = require("express");
+const router = express.Router();
+const { MaintenancePlan, Task, Lit, Service } = require("../models");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+const { assertPlanFits, generatePlanTasks } = require("../lib/maintenancePlans");
+const { HttpError } = require("../lib/httpError");
+
+// Fields the client may set on a plan
+const PLAN_FIELDS = [
+  "name",
+  "serviceId",
+  "bedId",
+  "frequency",
+  "intervalWeeks",
+  "startDate",
+  "endDate",
+  "horizonDays",
+  "blockBed",
+  "notes",
+  "isActive",
+];
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// Audit trail of the write routes
+const auditPlan = audit("maintenance-plans", { model: MaintenancePlan });
+
+function pickPlanFields(body) {
+  const data = {};
+  PLAN_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+}
+
+// Check that the service or bed targeted by a plan exists
+async function validateScope(plan) {
+  if (plan.serviceId && !(await Service.exists({ ID_SERVICE: plan.serviceId }))) {
+    return "Service not found";
+  }
+  if (plan.bedId && !(await Lit.exists({ ID_LIT: plan.bedId }))) {
+    return "Bed not found";
+  }
+  return null;
+}
+
+// Remove the open tasks of a plan that have not started yet
+async function removePendingTasks(plan) {
+  const result = await Task.deleteMany({
+    planId: plan._id,
+    isDone: false,
+    startedAt: null,
+    bedBlockedAt: null,
+    taskCompletionDateTime: { $gt: new Date() },
+  });
+  return result.deletedCount;
+}
+
+/**
+ * @swagger
+ * /maintenance-plans:
+ *   get:
+ *     summary: Get preventive maintenance plans
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: serviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by service
+ *       - in: query
+ *         name: bedId
+ *         schema:
+ *           type: string
+ *         description: Filter by bed
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: List of plans
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MaintenancePlan'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/", authorize("maintenance-plans:read"), async (req, res) => {
+  try {
+    const { serviceId, bedId, isActive } = req.query;
+    const filter = {};
+    if (serviceId) {
+      filter.serviceId = serviceId;
+    }
+    if (bedId) {
+      filter.bedId = bedId;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === "true";
+    }
+
+    const plans = await MaintenancePlan.find(filter).sort({ createdAt: -1 });
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /maintenance-plans/{id}:
+ *   get:
+ *     summary: Get a maintenance plan with its upcoming tasks
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance plan ID
+ *     responses:
+ *       200:
+ *         description: Plan and its open tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MaintenancePlan'
+ *                 - type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid plan ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Plan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/:id", authorize("maintenance-plans:read"), async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: "Maintenance plan not found" });
+    }
+    const tasks = await Task.find({ planId: plan._id, isDone: false }).sort({
+      taskCompletionDateTime: 1,
+    });
+    res.json({ ...plan.toObject(), tasks });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid plan ID format" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /maintenance-plans:
+ *   post:
+ *     summary: Create a preventive maintenance plan
+ *     description: |
+ *       Creates a plan for every active bed of a service (serviceId) or a
+ *       single bed (bedId) and generates its maintenance tasks up to the
+ *       plan horizon, in the free maintenance slots (see GET
+ *       /schedule/maintenance/slots). A plan whose beds do not fit in the
+ *       slots of an occurrence is refused. Admin, Manager or "Responsable
+ *       technique" only.
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MaintenancePlan'
+ *               - type: object
+ *                 required: [name, startDate]
+ *     responses:
+ *       201:
+ *         description: Plan created with its generated tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MaintenancePlan'
+ *                 - type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - planner role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The beds of an occurrence do not fit in the maintenance slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/", authorize("maintenance-plans:write"), auditPlan, async (req, res) => {
+  try {
+    const plan = new MaintenancePlan({
+      ...pickPlanFields(req.body),
+      createdBy: req.user.ID_UTILISATEUR,
+    });
+    const scopeError = await validateScope(plan);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+    await assertPlanFits(plan);
+    await plan.save();
+
+    const tasks = await generatePlanTasks(plan);
+    res.status(201).json({ ...plan.toObject(), tasks });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /maintenance-plans/{id}:
+ *   put:
+ *     summary: Update a maintenance plan
+ *     description: |
+ *       Updates the plan. When its scope or recurrence changes, open tasks
+ *       not started yet are removed and regenerated.
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance plan ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenancePlan'
+ *     responses:
+ *       200:
+ *         description: Plan updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenancePlan'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - planner role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Plan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The beds of an occurrence do not fit in the maintenance slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put("/:id", authorize("maintenance-plans:write"), auditPlan, async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: "Maintenance plan not found" });
+    }
+
+    Object.assign(plan, pickPlanFields(req.body));
+    const scopeError = await validateScope(plan);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const reschedule = [
+      "serviceId",
+      "bedId",
+      "frequency",
+      "intervalWeeks",
+      "startDate",
+      "endDate",
+      "isActive",
+    ].some((field) => plan.isModified(field));
+    if (reschedule) {
+      await assertPlanFits(plan);
+      await removePendingTasks(plan);
+      plan.lastGeneratedAt = null;
+    }
+    await plan.save();
+
+    if (reschedule) {
+      await generatePlanTasks(plan);
+    }
+    res.json(plan);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid plan ID format" });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /maintenance-plans/{id}:
+ *   delete:
+ *     summary: Delete a maintenance plan
+ *     description: Deletes the plan and its future tasks that have not started yet
+ *     tags: [Maintenance Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance plan ID
+ *     responses:
+ *       200:
+ *         description: Plan deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletedTasks:
+ *                   type: integer
+ *       400:
+ *         description: Invalid plan ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - planner role required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Plan not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete("/:id", authorize("maintenance-plans:write"), auditPlan, async (req, res) => {
+  try {
+    const plan = await MaintenancePlan.findByIdAndDelete(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: "Maintenance plan not found" });
+    }
+    const deletedTasks = await removePendingTasks(plan);
+    res.json({ message: "Maintenance plan deleted", deletedTasks });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid plan ID format" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
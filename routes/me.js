@@ -0,0 +1,367 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const { getPermissionsForRole } = require("../config/permissions");
+const { recordAuthEvent } = require("../lib/authAudit");
+const {
+  registerFailure,
+  registerSuccess,
+  rejectThrottled,
+  releaseAttempt,
+} = require("../lib/loginThrottle");
+const {
+  confirmEnrollment,
+  disableTotp,
+  isTotpRequired,
+  regenerateRecoveryCodes,
+  startEnrollment,
+  verifySecondFactor,
+} = require("../lib/mfa");
+const { HttpError } = require("../lib/httpError");
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+/**
+ * @swagger
+ * /me/permissions:
+ *   get:
+ *     summary: Permissions of the current user
+ *     description: |
+ *       Permissions ("resource:action") granted to the role of the
+ *       authenticated user, so the frontend can show or hide actions.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role and permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ID_UTILISATEUR:
+ *                   type: string
+ *                 ROLE:
+ *                   type: string
+ *                 SERVICES_AUTORISES:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["lits:read", "lits:update-status", "tasks:read"]
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/permissions", (req, res) => {
+  res.json({
+    ID_UTILISATEUR: req.user.ID_UTILISATEUR,
+    ROLE: req.user.ROLE,
+    SERVICES_AUTORISES: req.user.SERVICES_AUTORISES,
+    permissions: getPermissionsForRole(req.user.ROLE),
+  });
+});
+
+// Answer the MfaError of the TOTP helpers, or a 500
+function sendMfaError(res, error) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.body);
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * @swagger
+ * /me/totp:
+ *   get:
+ *     summary: TOTP status of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: TOTP status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 required:
+ *                   type: boolean
+ *                   description: The role is in totpRequiredRoles, so TOTP cannot be disabled
+ *                 recoveryCodesLeft:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/totp", authorize("mfa:manage-own"), async (req, res) => {
+  try {
+    const user = req.utilisateur;
+    res.json({
+      enabled: user.TOTP_ENABLED,
+      required: await isTotpRequired(user),
+      recoveryCodesLeft: user.RECOVERY_CODES.length,
+    });
+  } catch (error) {
+    sendMfaError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /me/totp/setup:
+ *   post:
+ *     summary: Start TOTP enrolment
+ *     description: |
+ *       Returns the secret to add to an authenticator app (as text or as a
+ *       QR code of otpauthUrl). TOTP is enabled by /me/totp/enable with a
+ *       first code.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret to enrol
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: TOTP already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/totp/setup", authorize("mfa:manage-own"), async (req, res) => {
+  try {
+    const user = req.utilisateur;
+    if (user.TOTP_ENABLED) {
+      return res.status(409).json({ error: "TOTP is already enabled" });
+    }
+    res.json(await startEnrollment(user));
+  } catch (error) {
+    sendMfaError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /me/totp/enable:
+ *   post:
+ *     summary: Enable TOTP with a first code
+ *     description: Confirms the enrolment started by /me/totp/setup and returns the recovery codes, shown only once.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: TOTP enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing or invalid code, or no enrolment in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/totp/enable", authorize("mfa:manage-own"), async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({ error: "code is required" });
+    }
+    const user = req.utilisateur;
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+    await recordAuthEvent("mfa_enabled", { req, user });
+    res.json({ message: "TOTP enabled", recoveryCodes });
+  } catch (error) {
+    sendMfaError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /me/totp/disable:
+ *   post:
+ *     summary: Disable TOTP
+ *     description: Needs a current code or a recovery code. Not allowed when the role requires TOTP.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: TOTP disabled
+ *       400:
+ *         description: Missing or invalid code, or TOTP not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: TOTP is mandatory for the role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed codes, same throttling as login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/totp/disable", authorize("mfa:manage-own"), async (req, res) => {
+  try {
+    const user = req.utilisateur;
+    if (!user.TOTP_ENABLED) {
+      return res.status(400).json({ error: "TOTP is not enabled" });
+    }
+    if (await isTotpRequired(user)) {
+      return res.status(403).json({ error: `TOTP is mandatory for the ${user.ROLE} role` });
+    }
+    // Same brute-force protection as the login's second step
+    if (await rejectThrottled(req, res, user.EMAIL)) {
+      return;
+    }
+    const { code, recoveryCode } = req.body;
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await registerFailure(req, user.EMAIL, user, "wrong_totp_code");
+      return res.status(400).json({ error: "Invalid code" });
+    }
+    await registerSuccess(req, user.EMAIL);
+    await disableTotp(user);
+    await recordAuthEvent("mfa_disabled", { req, user });
+    res.json({ message: "TOTP disabled" });
+  } catch (error) {
+    await releaseAttempt(req);
+    sendMfaError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /me/totp/recovery-codes:
+ *   post:
+ *     summary: Generate new recovery codes
+ *     description: Needs a current TOTP code. The previous recovery codes stop working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing or invalid code, or TOTP not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many failed codes, same throttling as login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/totp/recovery-codes", authorize("mfa:manage-own"), async (req, res) => {
+  try {
+    const user = req.utilisateur;
+    if (!user.TOTP_ENABLED) {
+      return res.status(400).json({ error: "TOTP is not enabled" });
+    }
+    if (!req.body.code) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+    if (await rejectThrottled(req, res, user.EMAIL)) {
+      return;
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      await registerFailure(req, user.EMAIL, user, "wrong_totp_code");
+      return res.status(400).json({ error: "Invalid code" });
+    }
+    await registerSuccess(req, user.EMAIL);
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    await recordAuthEvent("recovery_codes_regenerated", { req, user });
+    res.json({ recoveryCodes });
+  } catch (error) {
+    await releaseAttempt(req);
+    sendMfaError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const Menu = require('../models/Menu');
 
 /**
@@ -28,7 +29,7 @@ const Menu = require('../models/Menu');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('menus:read'), async (req, res) => {
   const role = req.user.role;
   if (!role) {
     return res.status(400).json({ error: 'User role not found in token' });
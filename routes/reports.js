@@ -0,0 +1,229 @@
+const express = require("express");
+const router = express.Router();
+const { Task } = require("../models");
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const { scopeFilter, scopeToServices } = require("../lib/serviceScope");
+const { parseRange } = require("../lib/analytics");
+const {
+  computeTaskReport,
+  taskReportCsv,
+  taskReportXlsx,
+} = require("../lib/taskReports");
+const { HttpError } = require("../lib/httpError");
+
+// Apply auth middleware to all routes
+router.use(auth);
+// Restrict reports to the user's services (Admin and Manager see all)
+router.use(scopeToServices);
+
+const TASK_TYPES = [3, 4];
+
+/**
+ * @swagger
+ * /reports/tasks:
+ *   get:
+ *     summary: Cleaning and maintenance team performance
+ *     description: |
+ *       Tasks over [from, to] (default: the last 7 days, at most 366 days)
+ *       grouped by agent (who completed the task, else who it is assigned
+ *       to), task type or cleaning category (standard / deep):
+ *
+ *       - created / completed: tasks created, and completed, in the range
+ *       - completion times (median, p90, in minutes) from the time the SLA
+ *         runs from (scheduled time, else creation) to completion; work
+ *         times from the claim to completion
+ *       - slaBreaches / slaBreachRate: tasks completed after their SLA
+ *         deadline
+ *
+ *       `shifts` gives, for each day and team, the open tasks at the end of
+ *       its working hours (Settings). Cleaning and technical leads only see
+ *       the task type of their team. `format=csv` exports one table (`table`),
+ *       `format=xlsx` a workbook with both.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [agent, taskType, taskCategory]
+ *           default: agent
+ *       - in: query
+ *         name: taskType
+ *         schema:
+ *           type: integer
+ *           enum: [3, 4]
+ *         description: Cleaning (3) or maintenance (4) tasks only
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *         description: Only the tasks of this service
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *       - in: query
+ *         name: table
+ *         schema:
+ *           type: string
+ *           enum: [groups, shifts]
+ *           default: groups
+ *         description: Table exported with format=csv
+ *     responses:
+ *       200:
+ *         description: Report, or its CSV / XLSX export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 groupBy:
+ *                   type: string
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - type: object
+ *                         properties:
+ *                           ID_UTILISATEUR:
+ *                             type: string
+ *                           NOM:
+ *                             type: string
+ *                           ROLE:
+ *                             type: string
+ *                           taskType:
+ *                             type: integer
+ *                           taskCategory:
+ *                             type: integer
+ *                           LIB_STATUT:
+ *                             type: string
+ *                       - $ref: '#/components/schemas/TaskPerformance'
+ *                 total:
+ *                   $ref: '#/components/schemas/TaskPerformance'
+ *                 shifts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       shiftEnd:
+ *                         type: string
+ *                         format: date-time
+ *                       taskType:
+ *                         type: integer
+ *                       LIB_STATUT:
+ *                         type: string
+ *                       backlog:
+ *                         type: integer
+ *                         description: Tasks still open at the end of the shift
+ *                       overdue:
+ *                         type: integer
+ *                         description: Open tasks already past their SLA deadline
+ *                       urgent:
+ *                         type: integer
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid dates, range, groupBy, taskType, format or table
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Permission reports:read required, or task type of another team
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/tasks", authorize("reports:read"), async (req, res) => {
+  try {
+    const format = req.query.format || "json";
+    if (!["json", "csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, csv or xlsx" });
+    }
+    const table = req.query.table || "groups";
+    if (!["groups", "shifts"].includes(table)) {
+      return res.status(400).json({ error: "table must be groups or shifts" });
+    }
+    const { from, to } = parseRange(req.query);
+
+    // Leads only report on the task types they manage
+    const allowedTypes = TASK_TYPES.filter((type) =>
+      Task.getAssignerRolesForTaskType(type).includes(req.user.ROLE)
+    );
+    let taskTypes = allowedTypes;
+    if (req.query.taskType) {
+      const taskType = Number(req.query.taskType);
+      if (!TASK_TYPES.includes(taskType)) {
+        return res.status(400).json({ error: "taskType must be 3 or 4" });
+      }
+      if (!allowedTypes.includes(taskType)) {
+        return res
+          .status(403)
+          .json({ error: `Role ${req.user.ROLE} cannot report on task type ${taskType}` });
+      }
+      taskTypes = [taskType];
+    }
+
+    const filter = { taskType: { $in: taskTypes } };
+    if (req.query.service) {
+      filter.ID_SERVICE = req.query.service;
+    }
+
+    const report = await computeTaskReport({
+      from,
+      to,
+      groupBy: req.query.groupBy,
+      filter: scopeFilter(req, filter),
+    });
+
+    const name = `tasks-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}`;
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${name}-${table}.csv"`);
+      return res.send(taskReportCsv(report, table));
+    }
+    if (format === "xlsx") {
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader("Content-Disposition", `attachment; filename="${name}.xlsx"`);
+      return res.send(taskReportXlsx(report));
+    }
+    res.json(report);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require("express");
+const router = express.Router();
+const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const { getSlots, parseDay } = require("../lib/schedule");
+
+// Apply auth middleware to all routes
+router.use(auth);
+
+// Shared handler for GET /schedule/{cleaning|maintenance}/slots
+function slotsHandler(kind) {
+  return async (req, res) => {
+    try {
+      const day = parseDay(req.query.date);
+      if (!day) {
+        return res
+          .status(400)
+          .json({ error: "date is required in YYYY-MM-DD format" });
+      }
+
+      const schedule = await getSlots(kind, day);
+      res.json({ date: req.query.date, ...schedule });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /schedule/cleaning/slots:
+ *   get:
+ *     summary: Get cleaning slots for a day
+ *     description: |
+ *       Slots between cleaningStartTime and cleaningEndTime, every
+ *       cleaningTimeInterval minutes. Each slot takes one bed per active
+ *       "Agent d'entretien"; beds already booked through CLEANING_DATE are
+ *       subtracted.
+ *     tags: [Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Cleaning slots with their availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleSlots'
+ *       400:
+ *         description: Missing or invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/cleaning/slots", authorize("schedule:read"), slotsHandler("cleaning"));
+
+/**
+ * @swagger
+ * /schedule/maintenance/slots:
+ *   get:
+ *     summary: Get maintenance slots for a day
+ *     description: |
+ *       Slots between maintenanceStartTime and maintenanceEndTime, every
+ *       maintenanceTimeInterval minutes. Each slot takes one bed per active
+ *       "Agent technique"; beds already booked through MAINTENANCE_DATE and
+ *       the pending tasks of maintenance plans are subtracted.
+ *     tags: [Schedule]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Maintenance slots with their availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleSlots'
+ *       400:
+ *         description: Missing or invalid date
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/maintenance/slots", authorize("schedule:read"), slotsHandler("maintenance"));
+
+module.exports = router;
@@ -2,10 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { Secteur, Service, Lit, Utilisateur } = require('../models');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const audit = require('../middleware/audit');
 
 // Apply auth middleware to all routes
 router.use(auth);
 
+// Audit trail of the write routes
+const auditSecteur = audit('secteurs', { model: Secteur, key: 'ID_SECTEUR' });
+
 /**
  * @swagger
  * /secteurs:
@@ -95,7 +100,7 @@ router.use(auth);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', authorize('secteurs:read'), async (req, res) => {
   try {
     // Extract query parameters with defaults
     const page = parseInt(req.query.page) || 1;
@@ -240,7 +245,7 @@ router.get('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/with-capacity', async (req, res) => {
+router.get('/with-capacity', authorize('secteurs:read'), async (req, res) => {
   try {
     // Aggregate sectors with dynamic capacity calculation
     const secteurs = await Secteur.aggregate([
@@ -357,13 +362,8 @@ router.get('/with-capacity', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize('secteurs:create'), auditSecteur, async (req, res) => {
   try {
-    // Only admin can create sectors
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Admin role required to create sectors' });
-    }
-    
     // Find the highest existing ID_SECTEUR
     const lastSecteur = await Secteur.findOne().sort({ ID_SECTEUR: -1 });
     const nextId = lastSecteur ? lastSecteur.ID_SECTEUR + 1 : 1;
@@ -419,13 +419,8 @@ router.post('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('secteurs:delete'), auditSecteur, async (req, res) => {
   try {
-    // Only admin can delete sectors
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Admin role required to delete sectors' });
-    }
-    
     const secteurId = parseInt(req.params.id, 10);
     const secteur = await Secteur.findOneAndDelete({ ID_SECTEUR: secteurId });
     if (!secteur) {
@@ -496,13 +491,8 @@ router.delete('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('secteurs:update'), auditSecteur, async (req, res) => {
   try {
-    // Only admin can update sectors
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Admin role required to update sectors' });
-    }
-    
     const secteurId = parseInt(req.params.id, 10);
     // Prevent updating ID_SECTEUR
     const updateData = { ...req.body };
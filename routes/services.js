@@ -3,9 +3,22 @@ const router = express.Router();
 const { Service } = require('../models');
 const swagger = require('../config/swagger');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const audit = require('../middleware/audit');
+const {
+  canAccessService,
+  scopeFilter,
+  scopeToServices,
+  serviceAccessDenied
+} = require('../lib/serviceScope');
 
 // Apply auth middleware to all routes
 router.use(auth);
+// Restrict services to the user's authorized ones (Admin and Manager see all)
+router.use(scopeToServices);
+
+// Audit trail of the write routes
+const auditService = audit('services', { model: Service, key: 'ID_SERVICE' });
 
 /**
  * @swagger
@@ -136,6 +149,12 @@ router.use(auth);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Service outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Service not found (when id provided)
  *         content:
@@ -149,7 +168,7 @@ router.use(auth);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', authorize('services:read'), async (req, res) => {
   try {
     const { id, search } = req.query;
     
@@ -159,6 +178,9 @@ router.get('/', async (req, res) => {
       if (!service) {
         return res.status(404).json({ error: 'Service not found' });
       }
+      if (!canAccessService(req, service.ID_SERVICE)) {
+        return res.status(403).json(serviceAccessDenied(service.ID_SERVICE));
+      }
       
       const beds = await require('../models').Lit.find({ ID_SERVICE: service.ID_SERVICE });
       const serviceWithCapacity = {
@@ -201,6 +223,9 @@ router.get('/', async (req, res) => {
       };
     }
 
+    // Only the user's services
+    searchFilter = scopeFilter(req, searchFilter);
+
     // Calculate skip value for pagination
     const skip = (page - 1) * limit;
 
@@ -314,9 +339,9 @@ router.get('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/secteur/:secteurId', async (req, res) => {
+router.get('/secteur/:secteurId', authorize('services:read'), async (req, res) => {
   try {
-    let query = { ID_SECTEUR: req.params.secteurId };
+    const query = scopeFilter(req, { ID_SECTEUR: req.params.secteurId });
     
     const services = await Service.find(query);
     const servicesWithCapacity = await Service.getCapacityForServices(services);
@@ -440,7 +465,7 @@ router.get('/secteur/:secteurId', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/secteur/:secteurId/paginated', async (req, res) => {
+router.get('/secteur/:secteurId/paginated', authorize('services:read'), async (req, res) => {
   try {
     const { secteurId } = req.params;
     
@@ -475,6 +500,9 @@ router.get('/secteur/:secteurId/paginated', async (req, res) => {
       };
     }
 
+    // Only the user's services
+    searchFilter = scopeFilter(req, searchFilter);
+
     // Calculate skip value for pagination
     const skip = (page - 1) * limit;
 
@@ -580,13 +608,8 @@ router.get('/secteur/:secteurId/paginated', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize('services:create'), auditService, async (req, res) => {
   try {
-    // Only admin can create services
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Admin role required to create services' });
-    }
-    
     const { LIB_SERVICE } = req.body;
     if (!LIB_SERVICE) {
       return res.status(400).json({ error: 'LIB_SERVICE is required' });
@@ -619,6 +642,7 @@ router.post('/', async (req, res) => {
  * /services/{id}:
  *   put:
  *     summary: Update a service by ID_SERVICE
+ *     description: Admin and Manager update any service; other roles but Viewer only the services in their SERVICES_AUTORISES.
  *     tags: [Services]
  *     security:
  *       - bearerAuth: []
@@ -649,7 +673,7 @@ router.post('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin role required or access denied
+ *         description: Permission services:update required, or service outside the user's services
  *         content:
  *           application/json:
  *             schema:
@@ -661,13 +685,11 @@ router.post('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize('services:update'), auditService, async (req, res) => {
   try {
     // Check if user has access to this service
-    if (req.user.role !== 'Admin') {
-      if (!req.user.SERVICES_AUTORISES || !req.user.SERVICES_AUTORISES.includes(req.params.id)) {
-        return res.status(403).json({ error: 'Access denied to this service' });
-      }
+    if (!canAccessService(req, req.params.id)) {
+      return res.status(403).json(serviceAccessDenied(req.params.id));
     }
     
     // Prevent updating ID_SERVICE
@@ -719,7 +741,7 @@ router.put('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Admin role required
+ *         description: Permission services:delete required, or service outside the user's services
  *         content:
  *           application/json:
  *             schema:
@@ -732,13 +754,11 @@ router.put('/:id', async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 const { Lit, Utilisateur } = require('../models');
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('services:delete'), auditService, async (req, res) => {
   try {
-    // Only admin can delete services
-    if (req.user.role !== 'Admin') {
-      return res.status(403).json({ error: 'Admin role required to delete services' });
+    if (!canAccessService(req, req.params.id)) {
+      return res.status(403).json(serviceAccessDenied(req.params.id));
     }
-    
     const service = await Service.findOneAndDelete({ ID_SERVICE: req.params.id });
     if (!service) {
       return res.status(404).json({ error: 'Service not found' });
@@ -2,10 +2,19 @@ const express = require('express');
 const router = express.Router();
 const { Settings } = require('../models');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const audit = require('../middleware/audit');
+const { publish } = require('../lib/events');
 
 // Apply auth middleware to all routes
 router.use(auth);
 
+// Audit trail of the write routes
+const auditSettings = audit('settings', {
+  load: () => Settings.findOne({ type: 'app_settings' }).lean(),
+  entityId: () => 'app_settings'
+});
+
 /**
  * @swagger
  * /settings:
@@ -51,6 +60,72 @@ router.use(auth);
  *                   type: number
  *                   enum: [15, 30, 45, 60]
  *                   description: Maintenance time interval in minutes
+ *                 reservationGracePeriod:
+ *                   type: number
+ *                   minimum: 0
+ *                   description: Minutes after RESERVED_DATE before a reservation is released
+ *                 emergencyGracePeriod:
+ *                   type: number
+ *                   minimum: 0
+ *                   description: Minutes after RESERVED_DATE before an emergency hold is released
+ *                 maintenanceCompletionStatus:
+ *                   type: number
+ *                   enum: [1, 3]
+ *                   description: Bed status once a maintenance task is done (3 À nettoyer, 1 Libre)
+ *                 slaCleaningStandard:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: SLA in minutes for standard cleaning tasks (category 7 or none)
+ *                 slaCleaningDeep:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: SLA in minutes for deep cleaning tasks (category 8)
+ *                 slaMaintenance:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: SLA in minutes for maintenance tasks
+ *                 passwordMinLength:
+ *                   type: number
+ *                   minimum: 6
+ *                   description: Minimum password length
+ *                 passwordRequireUppercase:
+ *                   type: boolean
+ *                 passwordRequireLowercase:
+ *                   type: boolean
+ *                 passwordRequireDigit:
+ *                   type: boolean
+ *                 passwordRequireSymbol:
+ *                   type: boolean
+ *                 passwordHistoryCount:
+ *                   type: number
+ *                   minimum: 0
+ *                   maximum: 24
+ *                   description: Number of previous passwords that cannot be reused
+ *                 loginMaxAttempts:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: Failed logins on one account before it is locked
+ *                 loginIpMaxAttempts:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: Failed logins from one IP before it is locked
+ *                 loginLockoutMinutes:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: Lockout duration in minutes
+ *                 loginFailureWindow:
+ *                   type: number
+ *                   minimum: 1
+ *                   description: Minutes after which failed logins are forgotten
+ *                 loginDelaySeconds:
+ *                   type: number
+ *                   minimum: 0
+ *                   description: Wait imposed after the first failed login, doubled after each failure
+ *                 totpRequiredRoles:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Roles that must log in with a TOTP code (default Admin and Manager)
  *                 createdAt:
  *                   type: string
  *                   format: date-time
@@ -64,7 +139,7 @@ router.use(auth);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', authorize('settings:read'), async (req, res) => {
   try {
     const settings = await Settings.getCurrentSettings();
     res.json(settings);
@@ -117,6 +192,72 @@ router.get('/', async (req, res) => {
  *                 type: number
  *                 enum: [15, 30, 45, 60]
  *                 description: Maintenance time interval in minutes
+ *               reservationGracePeriod:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Minutes after RESERVED_DATE before a reservation is released
+ *               emergencyGracePeriod:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Minutes after RESERVED_DATE before an emergency hold is released
+ *               maintenanceCompletionStatus:
+ *                 type: number
+ *                 enum: [1, 3]
+ *                 description: Bed status once a maintenance task is done (3 À nettoyer, 1 Libre)
+ *               slaCleaningStandard:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: SLA in minutes for standard cleaning tasks (category 7 or none)
+ *               slaCleaningDeep:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: SLA in minutes for deep cleaning tasks (category 8)
+ *               slaMaintenance:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: SLA in minutes for maintenance tasks
+ *               passwordMinLength:
+ *                 type: number
+ *                 minimum: 6
+ *                 description: Minimum password length
+ *               passwordRequireUppercase:
+ *                 type: boolean
+ *               passwordRequireLowercase:
+ *                 type: boolean
+ *               passwordRequireDigit:
+ *                 type: boolean
+ *               passwordRequireSymbol:
+ *                 type: boolean
+ *               passwordHistoryCount:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 24
+ *                 description: Number of previous passwords that cannot be reused
+ *               loginMaxAttempts:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Failed logins on one account before it is locked
+ *               loginIpMaxAttempts:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Failed logins from one IP before it is locked
+ *               loginLockoutMinutes:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Lockout duration in minutes
+ *               loginFailureWindow:
+ *                 type: number
+ *                 minimum: 1
+ *                 description: Minutes after which failed logins are forgotten
+ *               loginDelaySeconds:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Wait imposed after the first failed login, doubled after each failure
+ *               totpRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Roles that must log in with a TOTP code (default Admin and Manager)
  *     responses:
  *       200:
  *         description: Settings updated successfully
@@ -140,6 +281,12 @@ router.get('/', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
+ *       403:
+ *         description: Permission settings:update required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -147,7 +294,7 @@ router.get('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/', async (req, res) => {
+router.put('/', authorize('settings:update'), auditSettings, async (req, res) => {
   try {
     const updateData = req.body;
     
@@ -158,7 +305,25 @@ router.put('/', async (req, res) => {
       'cleaningTimeInterval',
       'maintenanceStartTime',
       'maintenanceEndTime',
-      'maintenanceTimeInterval'
+      'maintenanceTimeInterval',
+      'reservationGracePeriod',
+      'emergencyGracePeriod',
+      'maintenanceCompletionStatus',
+      'slaCleaningStandard',
+      'slaCleaningDeep',
+      'slaMaintenance',
+      'passwordMinLength',
+      'passwordRequireUppercase',
+      'passwordRequireLowercase',
+      'passwordRequireDigit',
+      'passwordRequireSymbol',
+      'passwordHistoryCount',
+      'loginMaxAttempts',
+      'loginIpMaxAttempts',
+      'loginLockoutMinutes',
+      'loginFailureWindow',
+      'loginDelaySeconds',
+      'totpRequiredRoles'
     ];
     
     // Filter only allowed fields
@@ -176,13 +341,14 @@ router.put('/', async (req, res) => {
     }
     
     const updatedSettings = await Settings.updateSettings(filteredData);
+    publish('settings.updated', { settings: updatedSettings });
     
     res.json({
       message: 'Settings updated successfully',
       settings: updatedSettings
     });
   } catch (error) {
-    if (error.message.includes('start time must be before end time')) {
+    if (error.message.includes('start time must be before end time') || error.name === 'ValidationError') {
       res.status(400).json({ error: error.message });
     } else {
       res.status(500).json({ error: error.message });
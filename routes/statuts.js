@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { Statut } = require('../models');
+const { Statut, StatutTransition } = require('../models');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
 /**
  * @swagger
@@ -9,6 +11,8 @@ const { Statut } = require('../models');
  *     summary: Get all statuses
  *     description: Retrieve a list of all bed statuses
  *     tags: [Statuses]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of statuses
@@ -25,7 +29,7 @@ const { Statut } = require('../models');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', auth, authorize('statuts:read'), async (req, res) => {
   try {
     const statuts = await Statut.find().sort({ ID_STATUT: 1 });
     res.json(statuts);
@@ -34,4 +38,99 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /statuts/{id}/transitions:
+ *   get:
+ *     summary: Get allowed transitions from a status
+ *     description: Returns the configured next statuses for a status, flagging which ones the current user's role may use
+ *     tags: [Statuses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Status identifier (ID_STATUT)
+ *     responses:
+ *       200:
+ *         description: Status with its outgoing transitions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ID_STATUT:
+ *                   type: number
+ *                 LIB_STATUT:
+ *                   type: string
+ *                 transitions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       ID_STATUT:
+ *                         type: number
+ *                       LIB_STATUT:
+ *                         type: string
+ *                       ROLES:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         description: Roles allowed to use this transition (empty = all roles)
+ *                       allowed:
+ *                         type: boolean
+ *                         description: Whether the current user's role may use this transition
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Status not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/transitions', auth, authorize('statuts:read'), async (req, res) => {
+  try {
+    const statutId = Number(req.params.id);
+    const statut = await Statut.findOne({ ID_STATUT: statutId });
+    if (!statut) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+
+    const edges = await StatutTransition.getTransitionsFrom(statutId);
+    const targets = await Statut.find({ ID_STATUT: { $in: edges.map(e => e.TO_STATUT) } });
+
+    const transitions = edges.map(edge => {
+      const target = targets.find(t => t.ID_STATUT === edge.TO_STATUT);
+      return {
+        ID_STATUT: edge.TO_STATUT,
+        LIB_STATUT: target ? target.LIB_STATUT : null,
+        ROLES: edge.ROLES,
+        allowed: edge.isAllowedForRole(req.user.ROLE)
+      };
+    });
+
+    res.json({
+      ID_STATUT: statut.ID_STATUT,
+      LIB_STATUT: statut.LIB_STATUT,
+      transitions
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
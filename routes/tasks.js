@@ -1,10 +1,23 @@
 const express = require("express");
 const router = express.Router();
-const { Task, Statut } = require("../models");
+const { Task, Statut, Lit, Utilisateur } = require("../models");
 const auth = require("../middleware/auth");
+const authorize = require("../middleware/authorize");
+const audit = require("../middleware/audit");
+const { publish } = require("../lib/events");
+const { HttpError } = require("../lib/httpError");
+const { completeTask, findOverdueTasks } = require("../lib/tasks");
+const {
+  canAccessService,
+  scopeFilter,
+  scopeToServices,
+  serviceAccessDenied,
+} = require("../lib/serviceScope");
 
 // Apply auth middleware to all routes
 router.use(auth);
+// Restrict tasks to the user's services (Admin and Manager see all)
+router.use(scopeToServices);
 
 /**
  * @swagger
@@ -103,7 +116,7 @@ router.use(auth);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/", async (req, res) => {
+router.get("/", authorize("tasks:read"), async (req, res) => {
   try {
     const {
       taskType,
@@ -131,8 +144,8 @@ router.get("/", async (req, res) => {
     const sortObject = {};
     sortObject[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-    // Build match conditions
-    const matchConditions = {};
+    // Build match conditions, limited to the user's services
+    const matchConditions = scopeFilter(req);
 
     if (taskType) {
       // Handle multiple task types (comma-separated)
@@ -267,12 +280,384 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /tasks/overdue:
+ *   get:
+ *     summary: Get open tasks past their SLA
+ *     description: Tasks not done whose slaDueAt has passed, most overdue first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: taskType
+ *         schema:
+ *           type: integer
+ *           enum: [3, 4]
+ *         description: Filter by task type
+ *     responses:
+ *       200:
+ *         description: Overdue tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Task'
+ *                       - type: object
+ *                         properties:
+ *                           overdueMinutes:
+ *                             type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/overdue", authorize("tasks:read"), async (req, res) => {
+  try {
+    const tasks = await findOverdueTasks({
+      taskType: req.query.taskType,
+      serviceIds: req.serviceScope,
+    });
+    res.json({ total: tasks.length, tasks });
+  } catch (error) {
+    console.error("Error fetching overdue tasks:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/mine:
+ *   get:
+ *     summary: Get the current user's work queue
+ *     description: Tasks assigned to the authenticated user, urgent first then oldest first
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isDone
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Filter by completion status
+ *     responses:
+ *       200:
+ *         description: Tasks assigned to the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get("/mine", authorize("tasks:work"), async (req, res) => {
+  try {
+    const { isDone = "false" } = req.query;
+    const tasks = await Task.find(scopeFilter(req, {
+      assignedTo: req.user.ID_UTILISATEUR,
+      isDone: isDone === "true",
+    })).sort({ isUrgent: -1, creationDate: 1 });
+
+    res.json({ total: tasks.length, tasks });
+  } catch (error) {
+    console.error("Error fetching assigned tasks:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/claim:
+ *   post:
+ *     summary: Claim a task
+ *     description: |
+ *       Assigns an unassigned task to the current user and marks it started.
+ *       Claiming a task already assigned to the user only marks it started.
+ *       Cleaning roles may claim cleaning tasks (3), technical roles
+ *       maintenance tasks (4).
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task claimed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid task ID format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Role cannot work on this task type, or task outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Task already done or assigned to another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/claim", authorize("tasks:work"), audit("tasks", { model: Task, action: "claim" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (!canAccessService(req, task.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(task.ID_SERVICE));
+    }
+    if (!task.canBeHandledBy(req.user.ROLE)) {
+      return res
+        .status(403)
+        .json({ error: `Role ${req.user.ROLE} cannot work on this task type` });
+    }
+
+    // Conditional update so two agents cannot claim the same task
+    const claimedTask = await Task.findOneAndUpdate(
+      {
+        _id: id,
+        isDone: false,
+        assignedTo: { $in: [null, req.user.ID_UTILISATEUR] },
+      },
+      {
+        assignedTo: req.user.ID_UTILISATEUR,
+        assignedBy: task.assignedBy || req.user.ID_UTILISATEUR,
+        startedAt: task.startedAt || new Date(),
+      },
+      { new: true }
+    );
+    if (!claimedTask) {
+      return res.status(409).json({
+        error: task.isDone
+          ? "Task is already done"
+          : "Task is already assigned to another user",
+        assignedTo: task.assignedTo,
+      });
+    }
+
+    const lit = await Lit.findOne({ ID_LIT: claimedTask.bedId });
+    publish("task.assigned", {
+      task: claimedTask,
+      ID_SERVICE: lit ? lit.ID_SERVICE : null,
+    });
+
+    console.log(`✅ Task ${id} claimed by ${req.user.ID_UTILISATEUR}`);
+    res.json(claimedTask);
+  } catch (error) {
+    console.error("❌ Error claiming task:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid task ID format" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /tasks/{id}/assign:
+ *   post:
+ *     summary: Assign a task to an agent
+ *     description: |
+ *       Managers only (Admin, Manager, and the team lead of the task type).
+ *       The assignee must be an active user whose role matches the task
+ *       type. Reassigning a task resets startedAt.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ID_UTILISATEUR
+ *             properties:
+ *               ID_UTILISATEUR:
+ *                 type: string
+ *                 description: Agent to assign the task to
+ *     responses:
+ *       200:
+ *         description: Task assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: Invalid input or assignee role does not match the task type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - manager role required, or task outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Task not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Task already done
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/:id/assign", authorize("tasks:assign"), audit("tasks", { model: Task, action: "assign" }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ID_UTILISATEUR } = req.body;
+    if (!ID_UTILISATEUR) {
+      return res.status(400).json({ error: "ID_UTILISATEUR is required" });
+    }
+
+    const task = await Task.findById(id);
+    if (!task) {
+      return res.status(404).json({ error: "Task not found" });
+    }
+    if (!canAccessService(req, task.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(task.ID_SERVICE));
+    }
+    if (!Task.getAssignerRolesForTaskType(task.taskType).includes(req.user.ROLE)) {
+      return res
+        .status(403)
+        .json({ error: "Manager role required to assign this task" });
+    }
+    if (task.isDone) {
+      return res.status(409).json({ error: "Task is already done" });
+    }
+
+    const assignee = await Utilisateur.findOne({ ID_UTILISATEUR, ACTIF: true });
+    if (!assignee) {
+      return res.status(400).json({ error: "Assignee not found or inactive" });
+    }
+    if (!task.canBeHandledBy(assignee.ROLE)) {
+      return res.status(400).json({
+        error: `Role ${assignee.ROLE} cannot work on this task type`,
+        allowedRoles: Task.getRolesForTaskType(task.taskType),
+      });
+    }
+    if (!assignee.hasAccessToService(task.ID_SERVICE)) {
+      return res.status(400).json({
+        error: `${assignee.ID_UTILISATEUR} has no access to service ${task.ID_SERVICE}`,
+      });
+    }
+
+    if (task.assignedTo !== assignee.ID_UTILISATEUR) {
+      task.startedAt = null;
+    }
+    task.assignedTo = assignee.ID_UTILISATEUR;
+    task.assignedBy = req.user.ID_UTILISATEUR;
+    const assignedTask = await task.save();
+
+    const lit = await Lit.findOne({ ID_LIT: assignedTask.bedId });
+    publish("task.assigned", {
+      task: assignedTask,
+      ID_SERVICE: lit ? lit.ID_SERVICE : null,
+    });
+
+    console.log(`✅ Task ${id} assigned to ${assignee.ID_UTILISATEUR} by ${req.user.ID_UTILISATEUR}`);
+    res.json(assignedTask);
+  } catch (error) {
+    console.error("❌ Error assigning task:", error);
+    if (error.name === "CastError") {
+      return res.status(400).json({ error: "Invalid task ID format" });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /tasks/{id}:
  *   patch:
  *     summary: Update task status
- *     description: Update the completion status and other properties of a task
+ *     description: |
+ *       Update the completion status and other properties of a task.
+ *       Setting isDone to true releases the bed in the same transaction:
+ *       a cleaning task moves the bed to "Libre" (1), or "Réservé" (6) when
+ *       bedFor is set; a maintenance task moves it to "À nettoyer" (3), or
+ *       "Libre" (1) per the maintenanceCompletionStatus setting. The history
+ *       is attributed to the completing user, whatever their role.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -308,11 +693,16 @@ router.get("/", async (req, res) => {
  *                 description: Task category (SUB_ID_STATUT), mainly for status 3 tasks
  *     responses:
  *       200:
- *         description: Task updated successfully
+ *         description: Task updated successfully. On completion `lit` holds the updated bed.
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Task'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Task'
+ *                 - type: object
+ *                   properties:
+ *                     lit:
+ *                       $ref: '#/components/schemas/Lit'
  *       400:
  *         description: Invalid input
  *         content:
@@ -325,12 +715,24 @@ router.get("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Task outside the user's services
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Task not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Task already done
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -338,7 +740,7 @@ router.get("/", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch("/:id", async (req, res) => {
+router.patch("/:id", authorize("tasks:update"), audit("tasks", { model: Task }), async (req, res) => {
   try {
     const { id } = req.params;
     const { isDone, isUrgent, bedFor, taskCompletionDateTime, taskCategory } = req.body;
@@ -348,12 +750,17 @@ router.patch("/:id", async (req, res) => {
     if (!existingTask) {
       return res.status(404).json({ error: "Task not found" });
     }
+    if (!canAccessService(req, existingTask.ID_SERVICE)) {
+      return res.status(403).json(serviceAccessDenied(existingTask.ID_SERVICE));
+    }
 
     // Build update object with only provided fields
     const updateData = {};
     
-    if (isDone !== undefined) {
-      updateData.isDone = isDone;
+    if (isDone === false) {
+      updateData.isDone = false;
+      updateData.completedBy = null;
+      updateData.completedAt = null;
     }
     
     if (isUrgent !== undefined) {
@@ -372,17 +779,25 @@ router.patch("/:id", async (req, res) => {
       updateData.taskCategory = taskCategory;
     }
 
-    // Update the task
-    const updatedTask = await Task.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Completion releases the bed in the same transaction
+    if (isDone === true && !existingTask.isDone) {
+      const { task, lit } = await completeTask(id, updateData, req.user);
+      console.log(`✅ Task ${id} completed by ${req.user.ID_UTILISATEUR}`);
+      return res.json({ ...task.toObject(), lit });
+    }
+
+    // Update the task (saving recomputes the SLA deadline)
+    Object.assign(existingTask, updateData);
+    const updatedTask = await existingTask.save();
 
     console.log(`✅ Task ${id} updated successfully`);
     res.json(updatedTask);
   } catch (error) {
     console.error("❌ Error updating task:", error);
+
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
     
     // Handle validation errors
     if (error.name === "ValidationError") {
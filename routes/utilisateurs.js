@@ -1,36 +1,884 @@
 const express = require('express');
 const router = express.Router();
-const { Utilisateur } = require('../models');
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key'; // Use env var in production
+const { Utilisateur, Session, AuthEvent } = require('../models');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const audit = require('../middleware/audit');
+const { verifyPassword } = require('../lib/password');
+const {
+  createSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+} = require('../lib/sessions');
+const {
+  findLockouts,
+  registerFailure,
+  registerSuccess,
+  rejectThrottled,
+  releaseAttempt,
+  unlockAccount,
+} = require('../lib/loginThrottle');
+const { recordAuthEvent } = require('../lib/authAudit');
+const {
+  requestPasswordReset,
+  resetPassword,
+  sendResetLink,
+} = require('../lib/passwordReset');
+const {
+  confirmEnrollment,
+  disableTotp,
+  issueChallenge,
+  needsSecondFactor,
+  readChallenge,
+  startEnrollment,
+  verifySecondFactor,
+} = require('../lib/mfa');
+const { ACCESS_TOKEN_TTL, MFA_CHALLENGE_TTL } = require('../config/auth');
+const { hasPermission } = require('../config/permissions');
+const { HttpError } = require('../lib/httpError');
+
+// Fields an administrator may set on POST / and PUT /:id. Passwords, their
+// history and the TOTP settings only change through their dedicated routes.
+const USER_FIELDS = [
+  'NOM',
+  'ROLE',
+  'SERVICES_AUTORISES',
+  'ACTIF',
+  'EMAIL',
+  'FORCE_PASSWORD_CHANGE'
+];
+
+function pickUserFields(body) {
+  const data = {};
+  USER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+}
+
+// Audit trail of the user management routes
+const auditUser = audit('utilisateurs', { model: Utilisateur, key: 'ID_UTILISATEUR' });
+// DELETE /utilisateurs/:id takes the MongoDB _id
+const auditUserDeletion = audit('utilisateurs', { model: Utilisateur, idField: 'ID_UTILISATEUR' });
+const auditUnlock = audit('utilisateurs', {
+  model: Utilisateur,
+  key: 'ID_UTILISATEUR',
+  action: 'unlock'
+});
+const auditSessionRevocation = audit('utilisateurs', { action: 'revoke-sessions' });
+const auditMfaReset = audit('utilisateurs', {
+  model: Utilisateur,
+  key: 'ID_UTILISATEUR',
+  action: 'reset-mfa'
+});
+const auditResetLink = audit('utilisateurs', {
+  model: Utilisateur,
+  key: 'ID_UTILISATEUR',
+  action: 'send-reset-link'
+});
+
+// Everyone manages their own sessions; sessions:manage-all covers other users
+function canManageSessions(req, userId) {
+  return req.user.ID_UTILISATEUR === userId || hasPermission(req.user.ROLE, 'sessions:manage-all');
+}
+
+// Last step of a login: clear the failures, open a session and answer the tokens
+async function completeLogin(req, res, user, details = {}, extra = {}) {
+  await registerSuccess(req, user.EMAIL);
+  await user.updateLastLogin();
+
+  // Open a session; the access token carries its id
+  const { session, token, refreshToken } = await createSession(user, req);
+  await recordAuthEvent('login_success', { req, user, details: { sessionId: session._id, ...details } });
+
+  // Send token in header and body
+  res.setHeader('Authorization', `Bearer ${token}`);
+  res.json({ message: 'Login successful', token, refreshToken, expiresIn: ACCESS_TOKEN_TTL, user, ...extra });
+}
+
+/**
+ * @swagger
+ * /utilisateurs/login:
+ *   post:
+ *     summary: User login
+ *     description: |
+ *       Authenticate a user by email and password. Opens a session and
+ *       returns a short-lived access token with a refresh token; exchange the
+ *       refresh token at /utilisateurs/refresh before the access token expires.
+ *
+ *       Failed attempts are counted per account and per IP: each failure
+ *       doubles the wait before the next attempt (loginDelaySeconds), and
+ *       loginMaxAttempts / loginIpMaxAttempts failures lock the account or
+ *       IP for loginLockoutMinutes. Every attempt is recorded in the auth
+ *       audit trail.
+ *
+ *       Users with TOTP enabled, or whose role is in totpRequiredRoles, get
+ *       `mfaRequired` and a short-lived `challengeToken` instead of the
+ *       tokens, to send with a code to /utilisateurs/login/verify. Users who
+ *       must enrol also get the secret to add to their authenticator app.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - EMAIL
+ *               - password
+ *             properties:
+ *               EMAIL:
+ *                 type: string
+ *                 format: email
+ *                 description: User email
+ *               password:
+ *                 type: string
+ *                 description: User password
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                   description: Access token (Bearer)
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Access token lifetime (e.g. "15m")
+ *                 user:
+ *                   $ref: '#/components/schemas/Utilisateur'
+ *                 mfaRequired:
+ *                   type: boolean
+ *                   description: Present when a TOTP code is needed; the tokens are then replaced by challengeToken
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Token for /utilisateurs/login/verify (MFA_CHALLENGE_TTL)
+ *                 enrollment:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Secret to enrol, when the role requires TOTP and the user has none yet
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret
+ *                     otpauthUrl:
+ *                       type: string
+ *                       description: otpauth:// URI to show as a QR code
+ *       400:
+ *         description: Invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header (seconds)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Seconds before the next attempt
+ */
+router.post('/login', async (req, res) => {
+  const { EMAIL, password } = req.body;
+  if (!EMAIL || !password) {
+    return res.status(400).json({ error: 'EMAIL and password are required' });
+  }
+  try {
+    // Locked or still waiting after a previous failure
+    if (await rejectThrottled(req, res, EMAIL)) {
+      return;
+    }
+
+    const user = await Utilisateur.findOne({ EMAIL: EMAIL.toLowerCase(), ACTIF: true });
+    // Unknown accounts are checked against a dummy hash to take the same time
+    const valid = user
+      ? await user.comparePassword(password)
+      : await verifyPassword(password);
+    if (!valid) {
+      await registerFailure(req, EMAIL, user, user ? 'wrong_password' : 'unknown_account');
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    // Second step with a TOTP code; users of a role requiring it enrol now
+    if (await needsSecondFactor(user)) {
+      // The code is checked, and counted, by /login/verify
+      await releaseAttempt(req);
+      const enrollment = user.TOTP_ENABLED ? null : await startEnrollment(user);
+      await recordAuthEvent('mfa_challenge_issued', { req, user, details: { enrollment: Boolean(enrollment) } });
+      return res.json({
+        message: enrollment ? 'TOTP enrolment required' : 'TOTP code required',
+        mfaRequired: true,
+        challengeToken: issueChallenge(user),
+        expiresIn: MFA_CHALLENGE_TTL,
+        enrollment
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    await releaseAttempt(req);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/login/verify:
+ *   post:
+ *     summary: Second login step with a TOTP code
+ *     description: |
+ *       Exchange the challenge token returned by /utilisateurs/login and a
+ *       code from the authenticator app (or an unused recovery code) for
+ *       the session tokens. When the login asked for enrolment, the first
+ *       valid code enables TOTP and the response includes the recovery
+ *       codes, shown only once. Wrong codes count as failed logins.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes, instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful (same body as /utilisateurs/login, plus recoveryCodes after enrolment)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/Utilisateur'
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Missing fields or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid or expired challenge token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts (same protection as login)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/login/verify', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'challengeToken and code or recoveryCode are required' });
+  }
+  try {
+    const userId = readChallenge(challengeToken);
+    const user = await Utilisateur.findOne({ ID_UTILISATEUR: userId, ACTIF: true });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+    if (await rejectThrottled(req, res, user.EMAIL)) {
+      return;
+    }
+
+    let method = null;
+    let recoveryCodes = null;
+    if (user.TOTP_ENABLED) {
+      method = await verifySecondFactor(user, { code, recoveryCode });
+    } else if (code) {
+      recoveryCodes = await confirmEnrollment(user, code);
+      method = recoveryCodes ? 'totp' : null;
+    }
+    if (!method) {
+      await registerFailure(req, user.EMAIL, user, 'wrong_totp_code');
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    if (recoveryCodes) {
+      await recordAuthEvent('mfa_enabled', { req, user });
+    }
+    if (method === 'recovery_code') {
+      await recordAuthEvent('mfa_recovery_code_used', {
+        req,
+        user,
+        details: { remaining: user.RECOVERY_CODES.length }
+      });
+    }
+    await completeLogin(req, res, user, { mfa: method }, recoveryCodes ? { recoveryCodes } : {});
+  } catch (error) {
+    await releaseAttempt(req);
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: |
+ *       Exchange a refresh token for a new access token and a new refresh
+ *       token. Each refresh token can be used once; presenting an already
+ *       used one revokes the session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       400:
+ *         description: refreshToken missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, expired, reused or revoked refresh token, or inactive user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'refreshToken is required' });
+  }
+  try {
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    await recordAuthEvent('token_refreshed', {
+      req,
+      user: rotated.user,
+      details: { sessionId: rotated.session._id }
+    });
+    res.setHeader('Authorization', `Bearer ${rotated.token}`);
+    res.json({ token: rotated.token, refreshToken: rotated.refreshToken, expiresIn: ACCESS_TOKEN_TTL });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revoke the session of the access token; its refresh token stops working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    await recordAuthEvent('logout', {
+      req,
+      user: req.user,
+      details: { sessionId: req.authSession._id }
+    });
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/{id}/sessions:
+ *   get:
+ *     summary: List the active sessions of a user
+ *     description: Allowed for the user themselves and for Admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID_UTILISATEUR
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to see this user's sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/sessions', auth, authorize('sessions:manage-own'), async (req, res) => {
+  if (!canManageSessions(req, req.params.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  try {
+    const sessions = await Session.find(
+      { ID_UTILISATEUR: req.params.id, REVOKED_AT: null, EXPIRES_AT: { $gt: new Date() } },
+      { TOKEN_HASH: 0, PREVIOUS_TOKEN_HASHES: 0 }
+    ).sort({ LAST_USED_AT: -1 });
+    res.json(sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.equals(req.authSession._id),
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/{id}/sessions:
+ *   delete:
+ *     summary: Revoke the sessions of a user
+ *     description: |
+ *       Revoke every active session of the user, or only one with
+ *       `?sessionId=`. Allowed for the user themselves and for Admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID_UTILISATEUR
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: Revoke only this session
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not allowed to revoke this user's sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/sessions', auth, authorize('sessions:manage-own'), auditSessionRevocation, async (req, res) => {
+  if (!canManageSessions(req, req.params.id)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+  try {
+    if (req.query.sessionId) {
+      const session = await Session.findOne({
+        _id: req.query.sessionId,
+        ID_UTILISATEUR: req.params.id,
+        REVOKED_AT: null,
+      });
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      await session.revoke('revoked');
+      await recordAuthEvent('sessions_revoked', {
+        req,
+        user: { ID_UTILISATEUR: req.params.id },
+        actor: req.user.ID_UTILISATEUR,
+        details: { sessionId: session._id }
+      });
+      return res.json({ message: 'Session revoked', revoked: 1 });
+    }
+    const revoked = await revokeAllSessions(req.params.id, 'revoked');
+    await recordAuthEvent('sessions_revoked', {
+      req,
+      user: { ID_UTILISATEUR: req.params.id },
+      actor: req.user.ID_UTILISATEUR,
+      details: { revoked }
+    });
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/auth-events:
+ *   get:
+ *     summary: Authentication audit trail
+ *     description: Logins, failures, lockouts, refreshes, logouts and password changes, most recent first. Admin only.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [login_success, login_failure, login_throttled, account_locked, ip_locked, account_unlocked, token_refreshed, refresh_token_reused, logout, password_changed, sessions_revoked, password_reset_requested, password_reset_link_sent, password_reset, mfa_challenge_issued, mfa_enabled, mfa_disabled, mfa_recovery_code_used, recovery_codes_regenerated, mfa_reset]
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: ID_UTILISATEUR
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated auth events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuthEvent'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     totalItems:
+ *                       type: integer
+ *                     itemsPerPage:
+ *                       type: integer
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ */
+router.get('/auth-events', auth, authorize('auth-events:read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    if (page < 1) {
+      return res.status(400).json({ error: 'Page must be greater than 0' });
+    }
+    if (limit < 1 || limit > 100) {
+      return res.status(400).json({ error: 'Limit must be between 1 and 100' });
+    }
+
+    const filter = {};
+    if (req.query.type) {
+      if (!AuthEvent.TYPES.includes(req.query.type)) {
+        return res.status(400).json({ error: `type must be one of: ${AuthEvent.TYPES.join(', ')}` });
+      }
+      filter.TYPE = req.query.type;
+    }
+    if (req.query.email) {
+      filter.EMAIL = req.query.email.toLowerCase();
+    }
+    if (req.query.userId) {
+      filter.ID_UTILISATEUR = req.query.userId;
+    }
+    if (req.query.ip) {
+      filter.IP = req.query.ip;
+    }
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (req.query[param]) {
+        const date = new Date(req.query[param]);
+        if (isNaN(date.getTime())) {
+          return res.status(400).json({ error: `Invalid ${param} date` });
+        }
+        filter.DATE = { ...filter.DATE, [operator]: date };
+      }
+    }
+
+    const [events, totalCount] = await Promise.all([
+      AuthEvent.find(filter)
+        .sort({ DATE: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuthEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totalCount / limit),
+        totalItems: totalCount,
+        itemsPerPage: limit
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
 /**
  * @swagger
- * /utilisateurs/login:
+ * /utilisateurs/lockouts:
+ *   get:
+ *     summary: List locked accounts and IPs
+ *     description: Accounts (by email) and client IPs currently locked after too many failed logins. Admin only.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active lockouts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   KEY_TYPE:
+ *                     type: string
+ *                     enum: [account, ip]
+ *                   KEY:
+ *                     type: string
+ *                     description: Email or IP address
+ *                   FAILURES:
+ *                     type: integer
+ *                   LAST_FAILURE_AT:
+ *                     type: string
+ *                     format: date-time
+ *                   LOCKED_UNTIL:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ */
+router.get('/lockouts', auth, authorize('utilisateurs:unlock'), async (req, res) => {
+  try {
+    res.json(await findLockouts());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/{id}/unlock:
  *   post:
- *     summary: User login
- *     description: Authenticate a user by email and password
+ *     summary: Unlock an account
+ *     description: Clear the failed login attempts and lockout of a user. Admin only.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID_UTILISATEUR
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 wasLocked:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin only
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/unlock', auth, authorize('utilisateurs:unlock'), auditUnlock, async (req, res) => {
+  try {
+    const user = await Utilisateur.findOne({ ID_UTILISATEUR: req.params.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const wasLocked = await unlockAccount(user.EMAIL);
+    await recordAuthEvent('account_unlocked', {
+      req,
+      user,
+      actor: req.user.ID_UTILISATEUR,
+      details: { wasLocked }
+    });
+    res.json({ message: 'Account unlocked', wasLocked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/{id}/send-reset-link:
+ *   post:
+ *     summary: Email a password reset link to a user
+ *     description: |
+ *       Send a single-use link to choose a new password, e.g. to a new
+ *       account or a user who lost theirs. Links sent before stop working.
+ *       Admin only; administrators never set passwords themselves.
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID_UTILISATEUR
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - EMAIL
- *               - password
  *             properties:
- *               EMAIL:
- *                 type: string
- *                 format: email
- *                 description: User email
- *               password:
+ *               purpose:
  *                 type: string
- *                 description: User password
+ *                 enum: [reset, invite]
+ *                 default: reset
+ *                 description: invite uses the longer INVITE_TTL_HOURS lifetime and the welcome wording
  *     responses:
- *       200:
- *         description: Login successful
+ *       202:
+ *         description: Link sent
  *         content:
  *           application/json:
  *             schema:
@@ -38,45 +886,108 @@ const JWT_SECRET = process.env.JWT_SECRET || 'your_secret_key'; // Use env var i
  *               properties:
  *                 message:
  *                   type: string
- *                 user:
- *                   $ref: '#/components/schemas/Utilisateur'
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
  *       400:
- *         description: Invalid credentials
+ *         description: Inactive user, user without EMAIL or invalid purpose
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Permission utilisateurs:reset-password required
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: No mail transport configured; the link was not sent
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', async (req, res) => {
-  const { EMAIL, password } = req.body;
-  if (!EMAIL || !password) {
-    return res.status(400).json({ error: 'EMAIL and password are required' });
+router.post('/:id/send-reset-link', auth, authorize('utilisateurs:reset-password'), auditResetLink, async (req, res) => {
+  try {
+    const purpose = (req.body && req.body.purpose) || 'reset';
+    if (!['reset', 'invite'].includes(purpose)) {
+      return res.status(400).json({ error: 'purpose must be reset or invite' });
+    }
+    const user = await Utilisateur.findOne({ ID_UTILISATEUR: req.params.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.ACTIF) {
+      return res.status(400).json({ error: 'The user is inactive' });
+    }
+    const { expiresAt } = await sendResetLink(user, {
+      purpose,
+      req,
+      actor: req.user.ID_UTILISATEUR
+    });
+    res.status(202).json({ message: `Reset link sent to ${user.EMAIL}`, expiresAt });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
+    res.status(500).json({ error: error.message });
   }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/{id}/totp:
+ *   delete:
+ *     summary: Reset the TOTP second factor of a user
+ *     description: |
+ *       For a lost authenticator without recovery codes. The user logs in
+ *       with the password only, or enrols again at the next login when the
+ *       role requires TOTP. Admin only.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID_UTILISATEUR
+ *     responses:
+ *       200:
+ *         description: Second factor removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Permission utilisateurs:reset-mfa required
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/totp', auth, authorize('utilisateurs:reset-mfa'), auditMfaReset, async (req, res) => {
   try {
-    const user = await Utilisateur.findOne({ EMAIL: EMAIL.toLowerCase(), ACTIF: true });
-    if (!user || user.password !== password) {
-      return res.status(400).json({ error: 'Invalid credentials' });
+    const user = await Utilisateur.findOne({ ID_UTILISATEUR: req.params.id });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    await user.updateLastLogin();
-
-    // Generate JWT token with all necessary user data
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        ID_UTILISATEUR: user.ID_UTILISATEUR,
-        email: user.EMAIL, 
-        ROLE: user.ROLE,  // Use uppercase to match route expectations
-        role: user.ROLE,  // Keep lowercase for backward compatibility
-        SERVICES_AUTORISES: user.SERVICES_AUTORISES || [],
-        NOM: user.NOM
-      },
-      JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Send token in header and body
-    res.setHeader('Authorization', `Bearer ${token}`);
-    res.json({ message: 'Login successful', token, user });
+    await disableTotp(user);
+    await recordAuthEvent('mfa_reset', { req, user, actor: req.user.ID_UTILISATEUR });
+    res.json({ message: 'Second factor removed' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -109,8 +1020,7 @@ router.post('/login', async (req, res) => {
  *                 description: Current password
  *               newPassword:
  *                 type: string
- *                 minLength: 6
- *                 description: New password (minimum 6 characters)
+ *                 description: New password, checked against the password policy in the settings (length, character classes, last passwords)
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -124,7 +1034,7 @@ router.post('/login', async (req, res) => {
  *                 user:
  *                   $ref: '#/components/schemas/Utilisateur'
  *       400:
- *         description: Invalid input or current password
+ *         description: Invalid input, wrong current password or password policy violation
  *         content:
  *           application/json:
  *             schema:
@@ -135,6 +1045,12 @@ router.post('/login', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many failed attempts (same protection as login)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/change-password', async (req, res) => {
   const { EMAIL, currentPassword, newPassword } = req.body;
@@ -146,32 +1062,155 @@ router.post('/change-password', async (req, res) => {
     });
   }
   
-  if (newPassword.length < 6) {
-    return res.status(400).json({ 
-      error: 'New password must be at least 6 characters long' 
-    });
-  }
-  
   try {
+    // Same brute-force protection as login, since the current password is checked
+    if (await rejectThrottled(req, res, EMAIL)) {
+      return;
+    }
+
     // Find the user
     const user = await Utilisateur.findOne({ EMAIL: EMAIL.toLowerCase(), ACTIF: true });
     if (!user) {
+      await releaseAttempt(req);
       return res.status(404).json({ error: 'User not found' });
     }
     
     // Verify current password
-    if (user.password !== currentPassword) {
+    if (!(await user.comparePassword(currentPassword))) {
+      await registerFailure(req, EMAIL, user, 'wrong_current_password');
       return res.status(400).json({ error: 'Current password is incorrect' });
     }
+    await registerSuccess(req, EMAIL);
+
+    // Enforce the password policy from the settings
+    const policyErrors = await user.checkPasswordPolicy(newPassword);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ error: policyErrors[0], details: policyErrors });
+    }
     
-    // Change password using the model method
+    // Change password using the model method, then sign out every device
     await user.changePassword(newPassword);
+    await revokeAllSessions(user.ID_UTILISATEUR, 'password_changed');
+    await recordAuthEvent('password_changed', { req, user });
     
     res.json({ 
       message: 'Password changed successfully',
       user: user
     });
   } catch (error) {
+    await releaseAttempt(req);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /utilisateurs/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: |
+ *       Email a single-use reset link valid PASSWORD_RESET_TTL_MINUTES to the
+ *       account with this address. The response is the same whether or not
+ *       the account exists; at most one link is sent per minute.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - EMAIL
+ *             properties:
+ *               EMAIL:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: EMAIL is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', async (req, res) => {
+  const { EMAIL } = req.body;
+  if (!EMAIL) {
+    return res.status(400).json({ error: 'EMAIL is required' });
+  }
+  try {
+    await requestPasswordReset(EMAIL, req);
+  } catch (error) {
+    // Same answer as success so a mail failure does not reveal the account
+    console.error('❌ Error sending password reset link:', error);
+  }
+  res.status(202).json({
+    message: 'If an active account uses this email, a reset link has been sent'
+  });
+});
+
+/**
+ * @swagger
+ * /utilisateurs/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: |
+ *       Use the token from a reset or invitation email. The token works
+ *       once; the new password is checked against the password policy,
+ *       every session of the user is revoked and the account unlocked.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing fields, invalid, used or expired token, or password policy violation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', async (req, res) => {
+  const { token, newPassword } = req.body;
+  if (!token || !newPassword) {
+    return res.status(400).json({ error: 'token and newPassword are required' });
+  }
+  try {
+    await resetPassword(token, newPassword, req);
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json(error.body);
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -181,7 +1220,17 @@ router.post('/change-password', async (req, res) => {
  * /utilisateurs:
  *   post:
  *     summary: Create a new user
+ *     description: |
+ *       The account is created without a password (a password in the body is
+ *       ignored). When it has an EMAIL, an invitation link to choose the
+ *       password is sent, valid INVITE_TTL_HOURS; otherwise, or when it could
+ *       not be sent (e.g. no mail transport), send one later with
+ *       POST /utilisateurs/{id}/send-reset-link. Only NOM, ROLE,
+ *       SERVICES_AUTORISES, ACTIF, EMAIL and FORCE_PASSWORD_CHANGE are
+ *       taken from the body.
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -201,8 +1250,14 @@ router.post('/change-password', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Permission utilisateurs:create required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/', async (req, res) => {
+router.post('/', auth, authorize('utilisateurs:create'), auditUser, async (req, res) => {
   try {
     const { ROLE } = req.body;
     if (!ROLE) {
@@ -222,9 +1277,18 @@ router.post('/', async (req, res) => {
       nextNum = num + 1;
     }
     const newId = `${prefix}${String(nextNum).padStart(3, '0')}`;
-    // Create user, ignoring any ID_UTILISATEUR from client
-    const user = new Utilisateur({ ...req.body, ID_UTILISATEUR: newId });
+    // Create user, ignoring any ID_UTILISATEUR or password from client:
+    // the user chooses a password through the emailed link
+    const user = new Utilisateur({ ...pickUserFields(req.body), ID_UTILISATEUR: newId });
     const savedUser = await user.save();
+    if (savedUser.EMAIL) {
+      try {
+        await sendResetLink(savedUser, { purpose: 'invite', req, actor: req.user.ID_UTILISATEUR });
+      } catch (error) {
+        // The account exists; the link can be sent again with send-reset-link
+        console.error(`❌ Error sending the invitation of ${savedUser.ID_UTILISATEUR}:`, error);
+      }
+    }
     res.status(201).json(savedUser);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -236,7 +1300,14 @@ router.post('/', async (req, res) => {
  * /utilisateurs/{id}:
  *   put:
  *     summary: Update a user by ID_UTILISATEUR
+ *     description: |
+ *       Only NOM, ROLE, SERVICES_AUTORISES, ACTIF, EMAIL and
+ *       FORCE_PASSWORD_CHANGE can be changed. The password cannot be changed
+ *       here; send a reset link instead. Two-factor authentication is reset
+ *       with DELETE /utilisateurs/{id}/totp.
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -257,6 +1328,18 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Utilisateur'
+ *       400:
+ *         description: Invalid input or password in the body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Permission utilisateurs:update required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -264,17 +1347,27 @@ router.post('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', auth, authorize('utilisateurs:update'), auditUser, async (req, res) => {
   try {
     console.log(`Updating user with ID_UTILISATEUR: ${req.params.id}`);
-    const updatedUser = await Utilisateur.findOneAndUpdate(
-      { ID_UTILISATEUR: req.params.id },
-      req.body,
-      { new: true, runValidators: true }
-    );
-    if (!updatedUser) {
+    const user = await Utilisateur.findOne({ ID_UTILISATEUR: req.params.id });
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+
+    // Passwords are only set by their owner (change or reset)
+    if (req.body.password !== undefined) {
+      return res.status(400).json({
+        error: 'The password cannot be set here; use POST /utilisateurs/:id/send-reset-link'
+      });
+    }
+    Object.assign(user, pickUserFields(req.body));
+    const updatedUser = await user.save();
+
+    // A deactivated user loses the existing sessions
+    if (!updatedUser.ACTIF) {
+      await revokeAllSessions(updatedUser.ID_UTILISATEUR, 'user_deactivated');
+    }
     res.json(updatedUser);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -287,6 +1380,8 @@ router.put('/:id', async (req, res) => {
  *   delete:
  *     summary: Delete a user by ID_UTILISATEUR
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -304,6 +1399,12 @@ router.put('/:id', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       403:
+ *         description: Permission utilisateurs:delete required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User not found
  *         content:
@@ -311,12 +1412,13 @@ router.put('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auth, authorize('utilisateurs:delete'), auditUserDeletion, async (req, res) => {
   try {
     const deletedUser = await Utilisateur.findOneAndDelete({ _id: req.params.id });
     if (!deletedUser) {
       return res.status(404).json({ error: 'User not found' });
     }
+    await revokeAllSessions(deletedUser.ID_UTILISATEUR, 'user_deleted');
     res.json({ message: 'User deleted' });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -329,6 +1431,8 @@ router.delete('/:id', async (req, res) => {
  *   get:
  *     summary: Get all users with pagination, search, and sorting
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -396,6 +1500,12 @@ router.delete('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Permission utilisateurs:read required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -403,7 +1513,7 @@ router.delete('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', auth, authorize('utilisateurs:read'), async (req, res) => {
   try {
     // Extract query parameters with defaults
     const page = parseInt(req.query.page) || 1;
@@ -4,6 +4,7 @@ const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const connectDB = require('./config/database');
+const { startScheduler } = require('./lib/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -16,12 +17,21 @@ app.use(cors({
   credentials: true
 }));
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (login throttling per IP)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Connect to database
 connectDB();
 
+// Background jobs (reservation expiry...)
+startScheduler();
+
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: '.swagger-ui .topbar { display: none }',